@@ -0,0 +1,27 @@
+import { render, screen } from '@testing-library/react';
+import AIInsights from './AIInsights';
+import { VendorRegistryProvider } from './vendorRegistry';
+import { saveState } from './storage';
+
+const renderInsights = () => render(<VendorRegistryProvider><AIInsights /></VendorRegistryProvider>);
+
+describe('AIInsights', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('route polishing runs off the render path and replaces the pending alert with its result', async () => {
+    renderInsights();
+    expect(screen.getByText('Route Analysis Running')).toBeInTheDocument();
+    expect(await screen.findByText('Optimal Route Identified')).toBeInTheDocument();
+    expect(screen.queryByText('Route Analysis Running')).not.toBeInTheDocument();
+    expect(screen.getByText(/cuts route cost by \d+\.\d% on \d vehicles?/)).toBeInTheDocument();
+  });
+
+  test('no route alert when a registry vendor is larger than a vehicle', () => {
+    const huge = { id: 'v1', type: 'vendor', name: 'Fresh Mart', district: 'Downtown', coords: { x: 5, y: 5 },
+      demand: 999, congestion: 45, capacity: 1500, window: { open: 480, close: 570 }, contacts: {} };
+    saveState('vendors', [huge]);
+    renderInsights();
+    expect(screen.queryByText('Route Analysis Running')).not.toBeInTheDocument();
+    expect(screen.queryByText('Optimal Route Identified')).not.toBeInTheDocument();
+  });
+});
@@ -8,22 +8,27 @@ import Simulation from "./Simulation";
 import AIInsights from "./AIInsights";
 import CustomerWaitlist from "./CustomerWaitlist";
 import About from "./About";
+import Vendors from "./Vendors";
+import { VendorRegistryProvider } from "./vendorRegistry";
 
 function App() {
   return (
-    <Router>
-      <Routes>
-        <Route element={<Layout />}>
-          <Route path="/dashboard" element={<Dashboard />} />
-          <Route path="/analytics" element={<Analytics />} />
-          <Route path="/simulation" element={<Simulation />} />
-          <Route path="/insights" element={<AIInsights />} />
-          <Route path="/waitlist" element={<CustomerWaitlist />} />
-          <Route path="/about" element={<About />} />
-          <Route path="/" element={<Dashboard />} />
-        </Route>
-      </Routes>
-    </Router>
+    <VendorRegistryProvider>
+      <Router>
+        <Routes>
+          <Route element={<Layout />}>
+            <Route path="/dashboard" element={<Dashboard />} />
+            <Route path="/analytics" element={<Analytics />} />
+            <Route path="/simulation" element={<Simulation />} />
+            <Route path="/insights" element={<AIInsights />} />
+            <Route path="/waitlist" element={<CustomerWaitlist />} />
+            <Route path="/vendors" element={<Vendors />} />
+            <Route path="/about" element={<About />} />
+            <Route path="/" element={<Dashboard />} />
+          </Route>
+        </Routes>
+      </Router>
+    </VendorRegistryProvider>
   );
 }
 
@@ -1,5 +1,7 @@
 import React, { useState, useMemo } from "react";
 
+import { useVendorRegistry } from "./vendorRegistry";
+
 /**
  * ============================================
  * CUSTOMER WAITLIST COMPONENT
@@ -21,31 +23,33 @@ const DISTRICT_DISTANCES = {
   "Suburban": 2.2,
 };
 
+// requests name a vendor registry entry; name and district are read from the registry
 const INITIAL_WAITLIST = [
-  { id: 1, name: "Fresh Mart", location: "Downtown", volume: 450, impact: 0, status: "pending" },
-  { id: 2, name: "Urban Foods", location: "North District", volume: 320, impact: 0, status: "pending" },
-  { id: 3, name: "City Store", location: "South Market", volume: 580, impact: 0, status: "pending" },
-  { id: 4, name: "Prime Hub", location: "West End", volume: 210, impact: 0, status: "approved" },
+  { id: 1, vendorId: "v1", volume: 450, impact: 0, status: "pending" },
+  { id: 2, vendorId: "v2", volume: 320, impact: 0, status: "pending" },
+  { id: 3, vendorId: "v4", volume: 580, impact: 0, status: "pending" },
+  { id: 4, vendorId: "v5", volume: 210, impact: 0, status: "approved" },
 ];
 
 const CustomerWaitlist = () => {
+  const { vendors, findEntry } = useVendorRegistry();
   const [formData, setFormData] = useState({
-    name: "",
-    location: "",
+    vendorId: "",
     volume: "",
   });
+  const formVendor = findEntry(formData.vendorId);
   const [waitlist, setWaitlist] = useState(INITIAL_WAITLIST);
   const [impactWarning, setImpactWarning] = useState(null);
   const [activeTab, setActiveTab] = useState("pending");
 
   // AI Impact Score Calculation: Impact = (Volume / TotalCapacity) * DistanceFactor
   const calculateImpactScore = useMemo(() => {
-    if (!formData.volume || !formData.location) return null;
+    if (!formData.volume || !formVendor) return null;
 
     const volume = parseFloat(formData.volume);
     if (isNaN(volume) || volume <= 0) return null;
 
-    const distanceFactor = DISTRICT_DISTANCES[formData.location] || 1.5;
+    const distanceFactor = DISTRICT_DISTANCES[formVendor.district] || 1.5;
     const impactScore = (volume / TOTAL_FLEET_CAPACITY) * distanceFactor * 100;
     
     let warningLevel = "low";
@@ -68,13 +72,13 @@ const CustomerWaitlist = () => {
     return {
       score: impactScore,
       volume,
-      location: formData.location,
+      location: formVendor.district,
       warningLevel,
       warningMessage,
       warningColor,
       icon,
     };
-  }, [formData.volume, formData.location]);
+  }, [formData.volume, formVendor]);
 
   // Handle input changes
   const handleInputChange = (e) => {
@@ -84,19 +88,18 @@ const CustomerWaitlist = () => {
 
   // Add customer to waitlist
   const handleAddCustomer = () => {
-    if (!formData.name || !formData.location || !formData.volume) return;
+    if (!formVendor || !formData.volume) return;
 
     const newCustomer = {
       id: Date.now(),
-      name: formData.name,
-      location: formData.location,
+      vendorId: formVendor.id,
       volume: parseFloat(formData.volume),
       impact: calculateImpactScore?.score || 0,
       status: "pending",
     };
 
     setWaitlist(prev => [...prev, newCustomer]);
-    setFormData({ name: "", location: "", volume: "" });
+    setFormData({ vendorId: "", volume: "" });
     setImpactWarning(null);
   };
 
@@ -165,30 +168,21 @@ const CustomerWaitlist = () => {
             <h3 style={styles.cardTitle}>➕ Add New Customer</h3>
             
             <div style={styles.formGroup}>
-              <label style={styles.label}>Customer Name</label>
-              <input
-                type="text"
-                name="name"
-                value={formData.name}
-                onChange={handleInputChange}
-                placeholder="Enter customer name"
-                style={styles.input}
-              />
-            </div>
-
-            <div style={styles.formGroup}>
-              <label style={styles.label}>Location (District)</label>
+              <label style={styles.label}>Customer (Vendor Registry)</label>
               <select
-                name="location"
-                value={formData.location}
+                name="vendorId"
+                value={formData.vendorId}
                 onChange={handleInputChange}
                 style={styles.select}
               >
-                <option value="">Select district</option>
-                {Object.keys(DISTRICT_DISTANCES).map(district => (
-                  <option key={district} value={district}>{district}</option>
+                <option value="">Select customer</option>
+                {vendors.map(vendor => (
+                  <option key={vendor.id} value={vendor.id}>{vendor.name}</option>
                 ))}
               </select>
+              <p style={styles.formHint}>
+                {formVendor ? `Located in ${formVendor.district}` : "New customers are added on the Vendors page"}
+              </p>
             </div>
 
             <div style={styles.formGroup}>
@@ -300,9 +294,9 @@ const CustomerWaitlist = () => {
                     filteredWaitlist.map(customer => (
                       <tr key={customer.id} style={styles.tr}>
                         <td style={styles.td}>
-                          <span style={styles.customerName}>{customer.name}</span>
+                          <span style={styles.customerName}>{findEntry(customer.vendorId)?.name || "Removed vendor"}</span>
                         </td>
-                        <td style={styles.td}>{customer.location}</td>
+                        <td style={styles.td}>{findEntry(customer.vendorId)?.district || "—"}</td>
                         <td style={styles.td}>
                           <span style={styles.volumeBadge}>{customer.volume} kg</span>
                         </td>
@@ -416,6 +410,11 @@ const styles = {
   formGroup: {
     marginBottom: "16px",
   },
+  formHint: {
+    margin: "6px 0 0",
+    fontSize: "11px",
+    color: "#94a3b8",
+  },
   label: {
     display: "block",
     fontSize: "12px",
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import {
   AreaChart,
   Area,
@@ -13,133 +13,70 @@ import {
   Line,
 } from "recharts";
 
-/**
- * ============================================
- * GENETIC ALGORITHM OPTIMIZATION ENGINE
- * ============================================
- */
-
-const INITIAL_VENDORS = [
-  { id: 1, name: "Fresh Mart", location: "Downtown", demand: 95, congestionLevel: 45, baseDelay: 12 },
-  { id: 2, name: "Urban Foods", location: "North District", demand: 65, congestionLevel: 30, baseDelay: 8 },
-  { id: 3, name: "Metro Market", location: "East Plaza", demand: 54, congestionLevel: 60, baseDelay: 15 },
-  { id: 4, name: "City Store", location: "South Market", demand: 96, congestionLevel: 75, baseDelay: 18 },
-  { id: 5, name: "Prime Hub", location: "West End", demand: 72, congestionLevel: 40, baseDelay: 10 },
-  { id: 6, name: "Quick Center", location: "Central Hub", demand: 91, congestionLevel: 55, baseDelay: 14 },
-];
+import Engine from "./DecisionOptimizationEngine";
+import Genetic from "./GeneticOptimizationEngine";
+import Routing from "./VehicleRoutingEngine";
+import { runTask, TaskCancelledError } from "./workerClient";
+import { loadState, saveState } from "./storage";
+import { useVendorRegistry, toRoutingVendor } from "./vendorRegistry";
+import { DATA_SOURCES, computeDeliveryKpis, useDataSource } from "./dataSources";
 
-const calculateFitness = (vendorOrder, vendors) => {
-  let totalDelay = 0;
-  let demandPriority = 0;
-  
-  vendorOrder.forEach((vendorId, index) => {
-    const vendor = vendors.find(v => v.id === vendorId);
-    if (vendor) {
-      const positionDelay = vendor.baseDelay + (index * 2);
-      const congestionMultiplier = 1 + (vendor.congestionLevel / 100);
-      totalDelay += positionDelay * congestionMultiplier;
-      demandPriority += vendor.demand;
-    }
-  });
-
-  const fitness = (1 / (totalDelay + 1)) + (demandPriority * 0.01);
-  return { fitness, totalDelay, demandPriority };
+// mode "single" minimises cost; "pareto" runs NSGA-II over Routing.ROUTING_OBJECTIVES
+const DEFAULT_GA_SETTINGS = {
+  mode: "single",
+  populationSize: 30,
+  generations: 40,
+  ...Genetic.DEFAULT_GA_OPTIONS,
+  stagnationLimit: 10,
 };
 
-const generatePopulation = (vendors, populationSize = 50) => {
-  const population = [];
-  for (let i = 0; i < populationSize; i++) {
-    const shuffled = [...vendors].sort(() => Math.random() - 0.5);
-    population.push(shuffled.map(v => v.id));
-  }
-  return population;
+// numeric GA settings: [key, label, min, max, step]
+const GA_NUMBER_FIELDS = [
+  ["populationSize", "Population", 4, 500, 1],
+  ["generations", "Generations", 1, 1000, 1],
+  ["elitism", "Elitism", 0, 50, 1],
+  ["tournamentSize", "Tournament size", 2, 50, 1],
+  ["mutationRate", "Mutation rate", 0, 1, 0.05],
+  ["stagnationLimit", "Stop after N flat gens (0 = off)", 0, 1000, 1],
+  ["convergenceThreshold", "Converged gap (0 = off)", 0, 1, 0.005],
+];
+
+const STOP_REASONS = {
+  generations: "",
+  stagnation: ", stopped on stagnation",
+  convergence: ", stopped on convergence",
 };
 
-const tournamentSelect = (population, vendors, tournamentSize = 5) => {
-  const tournament = [];
-  for (let i = 0; i < tournamentSize; i++) {
-    const randomIndex = Math.floor(Math.random() * population.length);
-    tournament.push(population[randomIndex]);
-  }
-  
-  let best = tournament[0];
-  let bestFitness = calculateFitness(best, vendors).fitness;
-  
-  tournament.forEach(individual => {
-    const { fitness } = calculateFitness(individual, vendors);
-    if (fitness > bestFitness) {
-      best = individual;
-      bestFitness = fitness;
-    }
+// inputs keep whatever is typed; the run uses clamped values
+const sanitizeGaSettings = (settings) => {
+  const next = { ...settings };
+  GA_NUMBER_FIELDS.forEach(([key, , min, max, step]) => {
+    const n = Number(settings[key]);
+    const value = Number.isFinite(n) && settings[key] !== "" ? n : DEFAULT_GA_SETTINGS[key];
+    next[key] = Math.min(max, Math.max(min, step >= 1 ? Math.round(value) : value));
   });
-  
-  return best;
+  // elites and tournaments are drawn from the population
+  next.elitism = Math.min(next.elitism, next.populationSize - 1);
+  next.tournamentSize = Math.min(next.tournamentSize, next.populationSize);
+  return next;
 };
 
-const crossover = (parent1, parent2) => {
-  const start = Math.floor(Math.random() * parent1.length);
-  const end = Math.floor(Math.random() * (parent1.length - start)) + start;
-  
-  const child = new Array(parent1.length).fill(null);
-  
-  for (let i = start; i <= end; i++) {
-    child[i] = parent1[i];
-  }
-  
-  let currentIndex = 0;
-  for (let i = 0; i < parent1.length; i++) {
-    if (i >= start && i <= end) continue;
-    while (child.includes(parent2[currentIndex])) {
-      currentIndex++;
-    }
-    child[i] = parent2[currentIndex];
-    currentIndex++;
-  }
-  
-  return child;
-};
+const DEFAULT_SOURCE = { kind: "mock", url: "", intervalMs: 3000 };
 
-const mutate = (individual, mutationRate = 0.1) => {
-  if (Math.random() < mutationRate) {
-    const i = Math.floor(Math.random() * individual.length);
-    const j = Math.floor(Math.random() * individual.length);
-    [individual[i], individual[j]] = [individual[j], individual[i]];
-  }
-  return individual;
+const FEED_STATES = {
+  connecting: { label: "Connecting", color: "#f59e0b" },
+  live: { label: "Live", color: "#16a34a" },
+  error: { label: "Error", color: "#ef4444" },
+  ended: { label: "Replay ended", color: "#6b7280" },
 };
 
-const runGeneticOptimization = (vendors, generations = 20, populationSize = 50) => {
-  let population = generatePopulation(vendors, populationSize);
-  const history = [];
-  let bestSolution = population[0];
-  let bestFitness = calculateFitness(bestSolution, vendors).fitness;
-
-  for (let gen = 0; gen < generations; gen++) {
-    const newPopulation = [];
-    newPopulation.push(bestSolution);
-    
-    while (newPopulation.length < populationSize) {
-      const parent1 = tournamentSelect(population, vendors);
-      const parent2 = tournamentSelect(population, vendors);
-      let child = crossover(parent1, parent2);
-      child = mutate(child);
-      newPopulation.push(child);
-    }
-    
-    population = newPopulation;
-    
-    population.forEach(individual => {
-      const { fitness } = calculateFitness(individual, vendors);
-      if (fitness > bestFitness) {
-        bestFitness = fitness;
-        bestSolution = individual;
-      }
-    });
-    
-    history.push({ generation: gen + 1, fitness: bestFitness });
-  }
+const formatPercent = (ratio) => (ratio === null ? "—" : `${Math.round(ratio * 100)}%`);
+
+const ROUTE_COLORS = ["#2563eb", "#16a34a", "#f59e0b", "#a855f7", "#ef4444", "#14b8a6"];
 
-  return { bestSolution, bestFitness, history };
+const formatClock = (minutes) => {
+  const m = Math.round(minutes);
+  return `${String(Math.floor(m / 60) % 24).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
 };
 
 /**
@@ -181,6 +118,49 @@ const Sparkline = ({ data, color = "#2563eb" }) => {
   );
 };
 
+/**
+ * ============================================
+ * ROUTE MAP COMPONENT
+ * Depot, vendors and one polyline per vehicle on the city grid
+ * ============================================
+ */
+const RouteMap = ({ routes, vendors, depot }) => {
+  const nodes = [depot, ...vendors];
+  const xs = nodes.map(n => n.coords.x);
+  const ys = nodes.map(n => n.coords.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  const toPoint = (c) => ({ x: 20 + ((c.x - minX) / span) * 220, y: 240 - ((c.y - minY) / span) * 220 });
+  const pointOf = (id) => toPoint((vendors.find(v => v.id === id) || depot).coords);
+  const depotPoint = toPoint(depot.coords);
+
+  return (
+    <svg width="260" height="260" style={styles.routeMap}>
+      {routes.map((route, i) => (
+        <polyline
+          key={route.vehicle}
+          fill="none"
+          stroke={ROUTE_COLORS[i % ROUTE_COLORS.length]}
+          strokeWidth="2"
+          points={[depotPoint, ...route.stops.map(s => pointOf(s.id)), depotPoint].map(p => `${p.x},${p.y}`).join(" ")}
+        />
+      ))}
+      {vendors.map(v => {
+        const p = toPoint(v.coords);
+        return (
+          <g key={v.id}>
+            <circle cx={p.x} cy={p.y} r="5" fill="#fff" stroke="#1e293b" strokeWidth="1.5" />
+            <text x={p.x + 7} y={p.y - 6} fontSize="10" fill="#374151">{v.name}</text>
+          </g>
+        );
+      })}
+      <rect x={depotPoint.x - 6} y={depotPoint.y - 6} width="12" height="12" fill="#1e293b" />
+      <text x={depotPoint.x + 8} y={depotPoint.y + 14} fontSize="10" fontWeight="600" fill="#1e293b">{depot.name}</text>
+    </svg>
+  );
+};
+
 /**
  * ============================================
  * DASHBOARD COMPONENT
@@ -188,27 +168,34 @@ const Sparkline = ({ data, color = "#2563eb" }) => {
  */
 
 const Dashboard = () => {
-  /* ---------------- SEPARATE STATE ---------------- */
-  
-  const [deliveryData, setDeliveryData] = useState([
-    { time: "08:00", value: 28 },
-    { time: "09:00", value: 35 },
-    { time: "10:00", value: 42 },
-    { time: "11:00", value: 38 },
-    { time: "12:00", value: 32 },
-    { time: "13:00", value: 29 },
-    { time: "14:00", value: 25 },
-    { time: "15:00", value: 22 },
-  ]);
-
-  const [costData, setCostData] = useState([
-    { category: "Fuel", value: 75 },
-    { category: "Labor", value: 88 },
-    { category: "Storage", value: 62 },
-    { category: "Maintenance", value: 45 },
-    { category: "Insurance", value: 38 },
-    { category: "Other", value: 28 },
-  ]);
+  const { vendors: registryVendors, suppliers } = useVendorRegistry();
+  const vendors = useMemo(() => registryVendors.map(toRoutingVendor), [registryVendors]);
+
+  /* ---------------- LIVE DATA ---------------- */
+
+  // the draft is what the source bar shows; Connect copies it into sourceConfig, which (re)connects
+  const [sourceDraft, setSourceDraft] = useState(() => ({ ...DEFAULT_SOURCE, ...loadState("dataSource", {}) }));
+  // the replay file is not persisted: after a reload a CSV source runs the mock until a file is chosen again
+  const [sourceConfig, setSourceConfig] = useState(() => (sourceDraft.kind === "csv" ? { ...sourceDraft, kind: "mock" } : sourceDraft));
+  const [csvFile, setCsvFile] = useState(null);
+
+  // only the mock reads the registry, and only vendor ids, congestion and supplier ids, so other
+  // feeds and other registry edits keep the connection (and its history); only the replay reads the file
+  const mockFields = sourceConfig.kind === "mock"
+    ? JSON.stringify({
+      vendors: registryVendors.map(v => ({ id: v.id, congestion: v.congestion })),
+      suppliers: suppliers.map(s => ({ id: s.id })),
+    })
+    : null;
+  const replayFile = sourceConfig.kind === "csv" ? csvFile : null;
+  const feedConfig = useMemo(() => ({
+    ...sourceConfig,
+    ...(mockFields ? JSON.parse(mockFields) : { vendors: null, suppliers: null }),
+    text: replayFile?.text,
+    fileName: replayFile?.name,
+  }), [sourceConfig, mockFields, replayFile]);
+  const { records, status: feedStatus, updatedAt } = useDataSource(feedConfig);
+  const kpis = useMemo(() => computeDeliveryKpis(records), [records]);
 
   // Optimization state
   const [isOptimizing, setIsOptimizing] = useState(false);
@@ -217,98 +204,246 @@ const Dashboard = () => {
   const [generation, setGeneration] = useState(0);
   const [efficiencyGain, setEfficiencyGain] = useState(0);
   const [delayReduction, setDelayReduction] = useState(0);
-  const [optimizedVendors, setOptimizedVendors] = useState(INITIAL_VENDORS.map((v, i) => ({ ...v, rank: i + 1 })));
+  const [optimizedVendors, setOptimizedVendors] = useState(() => vendors.map((v, i) => ({ ...v, rank: i + 1 })));
+  const [seedInput, setSeedInput] = useState("");
+  const [runSeed, setRunSeed] = useState(null);
+  const [fleet, setFleet] = useState(Routing.DEFAULT_FLEET);
+  const [gaSettings, setGaSettings] = useState(() => ({ ...DEFAULT_GA_SETTINGS, ...loadState("gaSettings", {}) }));
+  const [showGaSettings, setShowGaSettings] = useState(false);
+  const [paretoSet, setParetoSet] = useState(null);
+  const [selectedSolution, setSelectedSolution] = useState(0);
+  const [baselinePlan, setBaselinePlan] = useState(null);
+  const [routePlan, setRoutePlan] = useState(null);
+  const [polishing, setPolishing] = useState(false);
+  const [planError, setPlanError] = useState(null);
 
-  /* ---------------- INDEPENDENT INTERVALS ---------------- */
+  const connectSource = () => {
+    const { kind, url, intervalMs } = sourceDraft;
+    saveState("dataSource", { kind, url, intervalMs });
+    setSourceConfig({ ...sourceDraft });
+  };
 
-  useEffect(() => {
-    const deliveryInterval = setInterval(() => {
-      setDeliveryData(prev => {
-        const newData = [...prev.slice(1)];
-        const lastValue = prev[prev.length - 1].value;
-        const newValue = Math.max(15, Math.min(50, lastValue + (Math.random() - 0.5) * 15));
-        
-        const times = ["08:00", "09:00", "10:00", "11:00", "12:00", "13:00", "14:00", "15:00", "16:00", "17:00"];
-        const newTime = times[newData.length] || `${8 + newData.length}:00`;
-        
-        newData.push({ time: newTime, value: newValue });
-        return newData;
-      });
-    }, 3000);
-
-    return () => clearInterval(deliveryInterval);
-  }, []);
+  const handleReplayFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setCsvFile({ name: file.name, text: await file.text() });
+    setSourceDraft(prev => ({ ...prev, kind: "csv" }));
+  };
 
+  /* ---------------- VEHICLE ROUTING ---------------- */
+
+  const optimizationTask = useRef(null);
+
+  // a registry edit makes any earlier plan stale
   useEffect(() => {
-    const costInterval = setInterval(() => {
-      setCostData(prev => prev.map(item => ({
-        ...item,
-        value: Math.max(20, Math.min(100, item.value + (Math.random() - 0.5) * 20)),
-      })));
-    }, 5000);
+    setOptimizedVendors(vendors.map((v, i) => ({ ...v, rank: i + 1 })));
+    setRoutePlan(null);
+    setParetoSet(null);
+    setOptimizationComplete(false);
+    setEfficiencyGain(0);
+    setDelayReduction(0);
+    setPlanError(null);
+  }, [vendors]);
 
-    return () => clearInterval(costInterval);
-  }, []);
+  // stop a running worker when leaving the page
+  useEffect(() => () => optimizationTask.current && optimizationTask.current.cancel(), []);
 
-  /* ---------------- GENETIC ALGORITHM ---------------- */
+  // rank = position in the giant tour; vehicle and ETA come from the route that serves the vendor
+  const toOrderedVendors = (order, vendorList, routes = []) =>
+    order.map((id, i) => {
+      const route = routes.find(r => r.stops.some(s => s.id === id));
+      const stop = route && route.stops.find(s => s.id === id);
+      return { ...vendorList.find(v => v.id === id), rank: i + 1, vehicle: route?.vehicle, eta: stop?.start, lateBy: stop?.lateBy };
+    });
 
   const runOptimization = async () => {
+    const vendorList = [...vendors];
+    const problem = { depot: Routing.DEFAULT_DEPOT, vendors: vendorList, fleet };
+    // a vendor larger than a whole vehicle cannot be routed; say which instead of planning nothing
+    const oversized = Routing.oversizedVendors(problem);
+    if (oversized.length > 0) {
+      setPlanError(`${oversized.map(v => `${v.name} (${v.demand})`).join(", ")} need${oversized.length === 1 ? "s" : ""} more than one vehicle holds — `
+        + `raise the capacity to at least ${Math.max(...oversized.map(v => v.demand))} or lower the demand on the Vendors page.`);
+      setOptimizationComplete(false);
+      setRoutePlan(null);
+      setParetoSet(null);
+      return;
+    }
+    setPlanError(null);
     setIsOptimizing(true);
     setOptimizationComplete(false);
     setFitnessHistory([]);
     setGeneration(0);
+    setPolishing(false);
+
+    // blank seed = fresh random seed, shown when the run completes so it can be replayed
+    const parsedSeed = parseInt(seedInput, 10);
+    const seed = Number.isNaN(parsedSeed) ? Engine.randomSeed() : parsedSeed;
+    setRunSeed(seed);
+
+    const runSettings = sanitizeGaSettings(gaSettings);
+    setGaSettings(runSettings);
+    saveState("gaSettings", runSettings);
+
+    // the listed order split into routes as-is is the baseline the gains are measured against
+    const baseline = Routing.evaluateOrder(vendorList.map(v => v.id), problem);
+
+    setBaselinePlan(baseline);
+    const pareto = runSettings.mode === "pareto";
+
+    // the GA runs in a worker and reports every generation, then once more after the route polish;
+    // NSGA-II reports the size of its non-dominated front instead of a fitness
+    const task = runTask(pareto ? "routingPareto" : "routing", {
+      problem,
+      options: { ...runSettings, seed },
+    }, {
+      onProgress: ({ phase, generation: gen, bestFitness, frontSize, bestSolution }) => {
+        if (phase === "localSearch") {
+          setPolishing(true);
+          return;
+        }
+        setGeneration(gen);
+        setFitnessHistory(prev => [...prev, { generation: gen, fitness: pareto ? frontSize : bestFitness }]);
+        setOptimizedVendors(toOrderedVendors(bestSolution, vendorList));
+      },
+    });
+    optimizationTask.current = task;
 
-    const vendorList = [...INITIAL_VENDORS];
-    const initialOrder = vendorList.map(v => v.id);
-    const initialStats = calculateFitness(initialOrder, vendorList);
-
-    for (let gen = 0; gen < 20; gen++) {
-      await new Promise(resolve => setTimeout(resolve, 150));
-      setGeneration(gen + 1);
-      
-      const { bestSolution, bestFitness, history } = runGeneticOptimization(vendorList, 1, 30);
-      
-      setFitnessHistory(prev => [...prev, { generation: gen + 1, fitness: bestFitness }]);
-      
-      const optimizedOrder = bestSolution.map(id => {
-        const vendor = vendorList.find(v => v.id === id);
-        return vendor;
-      });
-      
-      setOptimizedVendors(optimizedOrder.map((v, i) => ({ ...v, rank: i + 1 })));
+    try {
+      const result = await task.promise;
+      if (pareto) {
+        setParetoSet(result);
+        showPlan({ ...result.solutions[0], generationsRun: result.generationsRun, stoppedBy: "generations" }, baseline);
+        setSelectedSolution(0);
+      } else {
+        setParetoSet(null);
+        showPlan(result, baseline);
+      }
+      setOptimizationComplete(true);
+    } catch (err) {
+      if (!(err instanceof TaskCancelledError)) {
+        console.error(err);
+        setPlanError(err.message);
+      }
+    } finally {
+      optimizationTask.current = null;
+      setIsOptimizing(false);
+      setPolishing(false);
     }
+  };
+
+  const showPlan = (plan, baseline) => {
+    setRoutePlan(plan);
+    setOptimizedVendors(toOrderedVendors(plan.order, vendors, plan.routes));
+
+    const baseDelay = baseline.totalDuration + baseline.totalLateness;
+    const finalDelay = plan.totalDuration + plan.totalLateness;
+    setEfficiencyGain(baseline.cost > 0 ? Math.max(0, ((baseline.cost - plan.cost) / baseline.cost) * 100) : 0);
+    setDelayReduction(baseDelay > 0 ? Math.max(0, ((baseDelay - finalDelay) / baseDelay) * 100) : 0);
+  };
+
+  const chooseParetoSolution = (index) => {
+    setSelectedSolution(index);
+    showPlan({ ...paretoSet.solutions[index], generationsRun: paretoSet.generationsRun, stoppedBy: "generations" }, baselinePlan);
+  };
+
+  const updateGaSettings = (patch) => {
+    setGaSettings(prev => {
+      const next = { ...prev, ...patch };
+      saveState("gaSettings", next);
+      return next;
+    });
+  };
 
-    const finalStats = calculateFitness(optimizedVendors.map(v => v.id), vendorList);
-    const gainPercent = ((finalStats.fitness - initialStats.fitness) / initialStats.fitness) * 100;
-    const delayPercent = ((initialStats.totalDelay - finalStats.totalDelay) / initialStats.totalDelay) * 100;
+  const resetGaSettings = () => {
+    setGaSettings(DEFAULT_GA_SETTINGS);
+    saveState("gaSettings", DEFAULT_GA_SETTINGS);
+  };
 
-    setEfficiencyGain(Math.max(0, gainPercent));
-    setDelayReduction(Math.max(0, delayPercent));
-    setIsOptimizing(false);
-    setOptimizationComplete(true);
+  const cancelOptimization = () => {
+    if (optimizationTask.current) optimizationTask.current.cancel();
   };
 
   /* ---------------- JSX ---------------- */
 
   return (
     <div style={styles.wrapper}>
+      {/* DATA SOURCE */}
+      <div style={styles.sourceBar}>
+        <span style={{ ...styles.sourceStatus, color: FEED_STATES[feedStatus.state].color }}>
+          ● {FEED_STATES[feedStatus.state].label}
+        </span>
+        <span style={styles.sourceText}>
+          {DATA_SOURCES[sourceConfig.kind].label}
+          {sourceConfig.kind === "csv" && csvFile && ` (${csvFile.name})`}
+          {DATA_SOURCES[sourceConfig.kind].needsUrl && sourceConfig.url && ` — ${sourceConfig.url}`}
+          {` · ${kpis.records} records`}
+          {updatedAt && ` · updated ${new Date(updatedAt).toLocaleTimeString()}`}
+          {feedStatus.message && ` · ${feedStatus.message}`}
+        </span>
+        <div style={styles.sourceControls}>
+          <select
+            value={sourceDraft.kind}
+            onChange={(e) => setSourceDraft(prev => ({ ...prev, kind: e.target.value }))}
+            style={styles.seedInput}
+          >
+            {Object.entries(DATA_SOURCES).map(([key, source]) => <option key={key} value={key}>{source.label}</option>)}
+          </select>
+          {DATA_SOURCES[sourceDraft.kind].needsUrl && (
+            <input
+              value={sourceDraft.url}
+              onChange={(e) => setSourceDraft(prev => ({ ...prev, url: e.target.value }))}
+              placeholder={sourceDraft.kind === "websocket" ? "wss://host/deliveries" : "https://host/api/deliveries"}
+              style={{ ...styles.seedInput, width: "220px" }}
+            />
+          )}
+          {(sourceDraft.kind === "rest" || sourceDraft.kind === "mock") && (
+            <input
+              type="number"
+              min="500"
+              step="500"
+              value={sourceDraft.intervalMs}
+              onChange={(e) => setSourceDraft(prev => ({ ...prev, intervalMs: Math.max(500, parseInt(e.target.value, 10) || 500) }))}
+              title="Interval (ms)"
+              style={{ ...styles.seedInput, width: "80px" }}
+            />
+          )}
+          {sourceDraft.kind === "csv" && (
+            <label style={styles.sourceButton}>
+              {csvFile ? csvFile.name : "Choose CSV…"}
+              <input type="file" accept=".csv,text/csv" onChange={handleReplayFile} style={{ display: "none" }} />
+            </label>
+          )}
+          <button
+            style={styles.sourceButton}
+            onClick={connectSource}
+            disabled={(DATA_SOURCES[sourceDraft.kind].needsUrl && !sourceDraft.url.trim()) || (sourceDraft.kind === "csv" && !csvFile)}
+          >
+            Connect
+          </button>
+        </div>
+      </div>
+
       {/* TOP CARDS */}
       <div style={styles.cardGrid}>
         <div style={styles.card}>
           <p style={styles.cardTitle}>Active Vendors</p>
-          <h2 style={{ ...styles.cardValue, color: "#3b82f6" }}>{INITIAL_VENDORS.length}</h2>
+          <h2 style={{ ...styles.cardValue, color: "#3b82f6" }}>{kpis.activeVendors}</h2>
         </div>
         <div style={styles.card}>
           <p style={styles.cardTitle}>Active Suppliers</p>
-          <h2 style={{ ...styles.cardValue, color: "#a855f7" }}>3</h2>
+          <h2 style={{ ...styles.cardValue, color: "#a855f7" }}>{kpis.activeSuppliers}</h2>
         </div>
         <div style={styles.card}>
           <p style={styles.cardTitle}>Avg Delivery Time</p>
-          <h2 style={{ ...styles.cardValue, color: "#f59e0b" }}>36 min</h2>
+          <h2 style={{ ...styles.cardValue, color: "#f59e0b" }}>
+            {kpis.avgDeliveryMinutes === null ? "—" : `${Math.round(kpis.avgDeliveryMinutes)} min`}
+          </h2>
         </div>
         <div style={styles.card}>
           <p style={styles.cardTitle}>Spoilage Risk</p>
-          <h2 style={{ ...styles.cardValue, color: "#ef4444" }}>30%</h2>
+          <h2 style={{ ...styles.cardValue, color: "#ef4444" }}>{formatPercent(kpis.spoilageRate)}</h2>
         </div>
         <div style={styles.card}>
           <p style={styles.cardTitle}>AI Optimization</p>
@@ -321,7 +456,9 @@ const Dashboard = () => {
         </div>
         <div style={styles.card}>
           <p style={styles.cardTitle}>Cost Optimization</p>
-          <h2 style={{ ...styles.cardValue, color: "#14b8a6" }}>77%</h2>
+          <h2 style={{ ...styles.cardValue, color: "#14b8a6" }}>
+            {kpis.costEfficiency === null ? "—" : `${Math.round(kpis.costEfficiency)}%`}
+          </h2>
         </div>
       </div>
 
@@ -331,10 +468,10 @@ const Dashboard = () => {
         <div style={styles.chartBox}>
           <div style={styles.chartHeader}>
             <h4 style={styles.chartTitle}>📈 Delivery Trends (Live)</h4>
-            <span style={styles.chartUpdate}>Updates every 3s</span>
+            <span style={styles.chartUpdate}>Hourly average · on time {formatPercent(kpis.onTimeRate)}</span>
           </div>
           <ResponsiveContainer width="100%" height="100%">
-            <AreaChart data={deliveryData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+            <AreaChart data={kpis.deliveryTrend} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
               <defs>
                 <linearGradient id="deliveryGradient" x1="0" y1="0" x2="0" y2="1">
                   <stop offset="5%" stopColor="#3b82f6" stopOpacity={0.4}/>
@@ -364,10 +501,10 @@ const Dashboard = () => {
         <div style={styles.chartBox}>
           <div style={styles.chartHeader}>
             <h4 style={styles.chartTitle}>💰 Cost Efficiency (Live)</h4>
-            <span style={styles.chartUpdate}>Updates every 5s</span>
+            <span style={styles.chartUpdate}>Budget vs actual</span>
           </div>
           <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={costData} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+            <BarChart data={kpis.costByCategory} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
               <XAxis dataKey="category" stroke="#64748b" fontSize={10} />
               <YAxis stroke="#64748b" fontSize={11} />
@@ -381,7 +518,7 @@ const Dashboard = () => {
                 radius={[4, 4, 0, 0]}
                 animationDuration={500}
               >
-                {costData.map((entry, index) => (
+                {kpis.costByCategory.map((entry, index) => (
                   <rect
                     key={`bar-${index}`}
                     fill={entry.value > 80 ? "#16a34a" : entry.value > 60 ? "#f59e0b" : "#ef4444"}
@@ -402,23 +539,123 @@ const Dashboard = () => {
             <button
               style={{
                 ...styles.runButton,
-                background: isOptimizing ? "#6b7280" : "#2563eb",
-                cursor: isOptimizing ? "not-allowed" : "pointer",
+                background: isOptimizing || vendors.length === 0 ? "#6b7280" : "#2563eb",
+                cursor: isOptimizing || vendors.length === 0 ? "not-allowed" : "pointer",
               }}
               onClick={runOptimization}
-              disabled={isOptimizing}
+              disabled={isOptimizing || vendors.length === 0}
             >
-              {isOptimizing ? `⏳ Running Generation ${generation}/20...` : "▶ Run Urban Simulation"}
+              {isOptimizing
+                ? (polishing ? "⏳ Polishing routes..." : `⏳ Running Generation ${generation}/${gaSettings.generations}...`)
+                : "▶ Run Urban Simulation"}
             </button>
+
+            {isOptimizing && (
+              <button style={styles.cancelButton} onClick={cancelOptimization}>
+                ✕ Cancel
+              </button>
+            )}
+
+            <div style={styles.sparklineContainer}>
+              <span style={styles.sparklineLabel}>Objective</span>
+              <select
+                value={gaSettings.mode}
+                onChange={(e) => updateGaSettings({ mode: e.target.value })}
+                disabled={isOptimizing}
+                style={styles.seedInput}
+              >
+                <option value="single">Lowest cost</option>
+                <option value="pareto">Pareto trade-offs (NSGA-II)</option>
+              </select>
+            </div>
+
+            <div style={styles.sparklineContainer}>
+              <span style={styles.sparklineLabel}>Seed (blank = random)</span>
+              <input
+                type="number"
+                value={seedInput}
+                onChange={(e) => setSeedInput(e.target.value)}
+                disabled={isOptimizing}
+                style={styles.seedInput}
+              />
+            </div>
+
+            <div style={styles.sparklineContainer}>
+              <span style={styles.sparklineLabel}>Vehicles × capacity</span>
+              <div style={{ display: "flex", gap: "4px" }}>
+                <input
+                  type="number"
+                  min="1"
+                  value={fleet.vehicles}
+                  onChange={(e) => setFleet(prev => ({ ...prev, vehicles: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+                  disabled={isOptimizing}
+                  style={{ ...styles.seedInput, width: "50px" }}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={fleet.capacity}
+                  onChange={(e) => setFleet(prev => ({ ...prev, capacity: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+                  disabled={isOptimizing}
+                  style={{ ...styles.seedInput, width: "70px" }}
+                />
+              </div>
+            </div>
             
             {fitnessHistory.length > 0 && (
               <div style={styles.sparklineContainer}>
-                <span style={styles.sparklineLabel}>Fitness Progress</span>
+                <span style={styles.sparklineLabel}>{gaSettings.mode === "pareto" ? "Pareto Front Size" : "Fitness Progress"}</span>
                 <Sparkline data={fitnessHistory} color={isOptimizing ? "#f59e0b" : "#16a34a"} />
               </div>
             )}
           </div>
 
+          <button style={styles.settingsToggle} onClick={() => setShowGaSettings(prev => !prev)}>
+            {showGaSettings ? "▾" : "▸"} ⚙ GA Settings
+          </button>
+          {showGaSettings && (
+            <div style={styles.settingsPanel}>
+              {GA_NUMBER_FIELDS.map(([key, label, min, max, step]) => (
+                <label key={key} style={styles.settingsField}>
+                  <span style={styles.sparklineLabel}>{label}</span>
+                  <input
+                    type="number"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={gaSettings[key]}
+                    onChange={(e) => updateGaSettings({ [key]: e.target.value })}
+                    disabled={isOptimizing}
+                    style={{ ...styles.seedInput, width: "80px" }}
+                  />
+                </label>
+              ))}
+              <label style={styles.settingsField}>
+                <span style={styles.sparklineLabel}>Crossover</span>
+                <select
+                  value={gaSettings.crossover}
+                  onChange={(e) => updateGaSettings({ crossover: e.target.value })}
+                  disabled={isOptimizing}
+                  style={styles.seedInput}
+                >
+                  {Object.entries(Genetic.CROSSOVER_OPERATORS).map(([key, op]) => <option key={key} value={key}>{op.label}</option>)}
+                </select>
+              </label>
+              <label style={styles.settingsField}>
+                <span style={styles.sparklineLabel}>Mutation</span>
+                <select
+                  value={gaSettings.mutation}
+                  onChange={(e) => updateGaSettings({ mutation: e.target.value })}
+                  disabled={isOptimizing}
+                  style={styles.seedInput}
+                >
+                  {Object.entries(Genetic.MUTATION_OPERATORS).map(([key, op]) => <option key={key} value={key}>{op.label}</option>)}
+                </select>
+              </label>
+              <button style={styles.settingsReset} onClick={resetGaSettings} disabled={isOptimizing}>Reset defaults</button>
+            </div>
+          )}
+
           <div style={styles.optimizationStats}>
             <div style={{
               ...styles.statBox,
@@ -445,10 +682,12 @@ const Dashboard = () => {
 
           <div style={{
             ...styles.successBox,
-            background: optimizationComplete ? "#dcfce7" : (isOptimizing ? "#fef3c7" : "#f3f4f6"),
+            background: planError ? "#fee2e2" : optimizationComplete ? "#dcfce7" : (isOptimizing ? "#fef3c7" : "#f3f4f6"),
+            color: planError ? "#b91c1c" : styles.successBox.color,
           }}>
-            {isOptimizing ? "🔄 Genetic Algorithm Running..." : 
-             optimizationComplete ? "✅ Urban Optimization Complete — 6 vendors optimized" : 
+            {isOptimizing ? (polishing ? "🔄 2-opt / Or-opt Improving Routes..." : "🔄 Genetic Algorithm Running...") :
+             planError ? `⚠ Cannot plan routes: ${planError}` :
+             optimizationComplete ? `✅ Urban Optimization Complete — ${vendors.length} vendors routed on ${routePlan.vehiclesUsed} vehicle${routePlan.vehiclesUsed === 1 ? "" : "s"} after ${routePlan.generationsRun} generations${STOP_REASONS[routePlan.stoppedBy]} (seed ${runSeed})` : 
              "⏸ Optimization Ready — Click Run to begin"}
           </div>
         </div>
@@ -476,6 +715,102 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* PARETO SET */}
+      {paretoSet && (
+        <div style={styles.routesBox}>
+          <h4 style={styles.boxTitle}>⚖ Pareto Set — {paretoSet.solutions.length} trade-off{paretoSet.solutions.length === 1 ? "" : "s"}</h4>
+          <p style={styles.routesSummary}>
+            No plan below is beaten on every objective by another; the best value in each column is highlighted. Pick one to show its routes.
+          </p>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>#</th>
+                {Routing.ROUTING_OBJECTIVES.map(o => (
+                  <th key={o.key} style={styles.th}>{o.label}{o.unit && ` (${o.unit})`}</th>
+                ))}
+                <th style={styles.th}>Vehicles</th>
+                <th style={styles.th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {paretoSet.solutions.map((solution, i) => (
+                <tr key={i} style={{ ...styles.tr, background: i === selectedSolution ? "#eff6ff" : undefined }}>
+                  <td style={styles.td}>{i + 1}</td>
+                  {Routing.ROUTING_OBJECTIVES.map(o => {
+                    const best = Math.min(...paretoSet.solutions.map(sol => sol.objectives[o.key]));
+                    return (
+                      <td key={o.key} style={{ ...styles.td, ...(solution.objectives[o.key] === best ? styles.paretoBest : {}) }}>
+                        {Math.round(solution.objectives[o.key])}
+                      </td>
+                    );
+                  })}
+                  <td style={styles.td}>{solution.vehiclesUsed}</td>
+                  <td style={styles.td}>
+                    <button
+                      style={styles.settingsReset}
+                      onClick={() => chooseParetoSolution(i)}
+                      disabled={i === selectedSolution}
+                    >
+                      {i === selectedSolution ? "Shown" : "Use"}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* VEHICLE ROUTES */}
+      {routePlan && (
+        <div style={styles.routesBox}>
+          <h4 style={styles.boxTitle}>🗺 Vehicle Routes</h4>
+          <p style={styles.routesSummary}>
+            {routePlan.totalDistance.toFixed(1)} km · {Math.round(routePlan.totalDuration)} vehicle-min
+            · {Math.round(routePlan.totalLateness)} min late · {routePlan.localSearchMoves} local-search moves
+            {routePlan.vehiclesUsed > fleet.vehicles && ` · needs ${routePlan.vehiclesUsed - fleet.vehicles} more vehicle(s) than the fleet`}
+          </p>
+          <div style={styles.routesLayout}>
+            <RouteMap routes={routePlan.routes} vendors={vendors} depot={Routing.DEFAULT_DEPOT} />
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Vehicle</th>
+                  <th style={styles.th}>Stops (ETA)</th>
+                  <th style={styles.th}>Load</th>
+                  <th style={styles.th}>Distance</th>
+                  <th style={styles.th}>Back</th>
+                  <th style={styles.th}>Late</th>
+                </tr>
+              </thead>
+              <tbody>
+                {routePlan.routes.map((route, i) => (
+                  <tr key={route.vehicle} style={styles.tr}>
+                    <td style={styles.td}>
+                      <span style={{ ...styles.routeSwatch, background: ROUTE_COLORS[i % ROUTE_COLORS.length] }} />
+                      #{route.vehicle}
+                    </td>
+                    <td style={styles.td}>
+                      {route.stops.map(stop => (
+                        <div key={stop.id} style={stop.lateBy > 0 ? styles.lateStop : undefined}>
+                          {vendors.find(v => v.id === stop.id).name} — {formatClock(stop.start)}
+                          {stop.lateBy > 0 && ` (+${Math.round(stop.lateBy)} min)`}
+                        </div>
+                      ))}
+                    </td>
+                    <td style={styles.td}>{route.load}/{fleet.capacity}</td>
+                    <td style={styles.td}>{route.distance.toFixed(1)} km</td>
+                    <td style={styles.td}>{formatClock(route.returnAt)}</td>
+                    <td style={styles.td}>{Math.round(route.lateness)} min</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* VENDORS + ALERTS */}
       <div style={styles.bottomRow}>
         <div style={styles.vendorBox}>
@@ -487,6 +822,8 @@ const Dashboard = () => {
                 <th style={styles.th}>Vendor</th>
                 <th style={styles.th}>Location</th>
                 <th style={styles.th}>Demand</th>
+                <th style={styles.th}>Vehicle</th>
+                <th style={styles.th}>ETA</th>
                 <th style={styles.th}>Status</th>
               </tr>
             </thead>
@@ -511,13 +848,19 @@ const Dashboard = () => {
                       <div
                         style={{
                           ...styles.progressFill,
-                          width: `${vendor.demand}%`,
+                          width: `${Math.min(100, vendor.demand)}%`,
                           background: vendor.demand > 80 ? "#ef4444" : "#2563eb",
                         }}
                       />
                     </div>
                     <span style={styles.progressText}>{vendor.demand}%</span>
                   </td>
+                  <td style={styles.td}>{vendor.vehicle ? `#${vendor.vehicle}` : "—"}</td>
+                  <td style={styles.td}>
+                    {vendor.eta != null
+                      ? formatClock(vendor.eta)
+                      : vendor.window ? `${formatClock(vendor.window.open)}–${formatClock(vendor.window.close)}` : "—"}
+                  </td>
                   <td style={styles.td}>
                     <span style={styles.activeStatus}>● Active</span>
                   </td>
@@ -555,6 +898,39 @@ const styles = {
     background: "#f4f6f9",
     minHeight: "100vh",
   },
+  sourceBar: {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: "12px",
+    background: "#fff",
+    padding: "10px 16px",
+    borderRadius: "10px",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.05)",
+    marginBottom: "16px",
+  },
+  sourceStatus: {
+    fontSize: "13px",
+    fontWeight: "700",
+  },
+  sourceText: {
+    fontSize: "12px",
+    color: "#64748b",
+  },
+  sourceControls: {
+    display: "flex",
+    alignItems: "center",
+    gap: "8px",
+    marginLeft: "auto",
+  },
+  sourceButton: {
+    padding: "6px 12px",
+    border: "1px solid #e5e7eb",
+    borderRadius: "6px",
+    background: "#f9fafb",
+    fontSize: "12px",
+    cursor: "pointer",
+  },
   cardGrid: {
     display: "grid",
     gridTemplateColumns: "repeat(6, 1fr)",
@@ -647,6 +1023,16 @@ const styles = {
     fontSize: "14px",
     transition: "all 0.2s",
   },
+  cancelButton: {
+    padding: "14px 16px",
+    background: "#fff",
+    color: "#ef4444",
+    border: "1px solid #fecaca",
+    borderRadius: "8px",
+    fontWeight: "600",
+    fontSize: "14px",
+    cursor: "pointer",
+  },
   sparklineContainer: {
     display: "flex",
     flexDirection: "column",
@@ -659,6 +1045,46 @@ const styles = {
   sparkline: {
     display: "block",
   },
+  seedInput: {
+    width: "110px",
+    padding: "6px 8px",
+    border: "1px solid #e5e7eb",
+    borderRadius: "6px",
+    fontSize: "12px",
+  },
+  settingsToggle: {
+    background: "none",
+    border: "none",
+    padding: "0",
+    marginBottom: "10px",
+    fontSize: "12px",
+    fontWeight: "600",
+    color: "#475569",
+    cursor: "pointer",
+  },
+  settingsPanel: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "10px 14px",
+    alignItems: "flex-end",
+    padding: "10px 12px",
+    marginBottom: "15px",
+    background: "#f8fafc",
+    borderRadius: "6px",
+  },
+  settingsField: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "4px",
+  },
+  settingsReset: {
+    padding: "6px 10px",
+    border: "1px solid #e5e7eb",
+    borderRadius: "6px",
+    background: "#fff",
+    fontSize: "12px",
+    cursor: "pointer",
+  },
   optimizationStats: {
     display: "flex",
     gap: "12px",
@@ -726,6 +1152,41 @@ const styles = {
     fontSize: "11px",
     color: "#64748b",
   },
+  routesBox: {
+    background: "#fff",
+    padding: "20px",
+    borderRadius: "12px",
+    marginBottom: "24px",
+  },
+  routesSummary: {
+    fontSize: "12px",
+    color: "#64748b",
+    margin: "0 0 12px",
+  },
+  routesLayout: {
+    display: "flex",
+    gap: "20px",
+    alignItems: "flex-start",
+  },
+  routeMap: {
+    flexShrink: 0,
+    background: "#f8fafc",
+    borderRadius: "8px",
+  },
+  routeSwatch: {
+    display: "inline-block",
+    width: "10px",
+    height: "10px",
+    borderRadius: "2px",
+    marginRight: "6px",
+  },
+  paretoBest: {
+    color: "#16a34a",
+    fontWeight: "700",
+  },
+  lateStop: {
+    color: "#b91c1c",
+  },
   bottomRow: {
     display: "grid",
     gridTemplateColumns: "2fr 1fr",
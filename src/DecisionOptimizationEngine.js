@@ -3,6 +3,34 @@
 
 const clamp = (v, a=0, b=1) => Math.max(a, Math.min(b, v));
 
+// Seedable PRNG (mulberry32). Returns a function yielding floats in [0, 1)
+// with the seed attached so a run can be replayed exactly.
+function createRng(seed) {
+  let a = seed >>> 0;
+  const rng = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.seed = seed >>> 0;
+  return rng;
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// options: { rng, seed } - a caller-supplied rng wins, otherwise seed (or a fresh one)
+function resolveRng(options = {}) {
+  if (typeof options.rng === 'function') {
+    return { rng: options.rng, seed: options.rng.seed ?? options.seed ?? null };
+  }
+  const seed = (options.seed ?? randomSeed()) >>> 0;
+  return { rng: createRng(seed), seed };
+}
+
 function normalizeWeights(weights) {
   const sum = Object.values(weights).reduce((s, x) => s + x, 0);
   if (sum === 0) return weights;
@@ -24,6 +52,84 @@ function freshnessScore(deliveryTime, k) {
   return clamp(Math.exp(-k * deliveryTime));
 }
 
+// Freshness decay models. Each maps (minutes, scenario k, params, scenarioParams) to a
+// freshness score in [0, 1]; scenario k stays the base rate so scenarios still bite.
+// temperatureAware models read scenarioParams.temperatureOffset (°C added to the product's
+// own storage temperature); the others get the offset folded into k instead.
+const ABSOLUTE_ZERO = 273.15;
+const GAS_CONSTANT = 8.314; // J/(mol*K)
+const DEFAULT_K = 0.04;
+
+const DECAY_MODELS = {
+  exponential: {
+    label: 'Exponential',
+    defaults: {},
+    fn: (t, k) => Math.exp(-k * t),
+  },
+  shelfLifeCliff: {
+    // near-flat until the shelf life, then a logistic drop; higher k shortens shelf life
+    label: 'Shelf-life cliff',
+    defaults: { shelfLife: 90, dropoff: 10 },
+    fn: (t, k, p) => {
+      const life = p.shelfLife * (DEFAULT_K / (k || DEFAULT_K));
+      const at = (x) => 1 / (1 + Math.exp((x - life) / p.dropoff));
+      return at(t) / at(0);
+    },
+  },
+  q10: {
+    // rate scales by q10 for every 10°C above the reference temperature
+    label: 'Q10 (temperature)',
+    defaults: { q10: 2.5, refTemp: 4, temperature: 8 },
+    temperatureAware: true,
+    fn: (t, k, p, sp) => {
+      const temp = p.temperature + (sp.temperatureOffset ?? 0);
+      return Math.exp(-k * Math.pow(p.q10, (temp - p.refTemp) / 10) * t);
+    },
+  },
+  arrhenius: {
+    // activationEnergy in kJ/mol, temperatures in °C
+    label: 'Arrhenius (temperature)',
+    defaults: { activationEnergy: 100, refTemp: 4, temperature: -18 },
+    temperatureAware: true,
+    fn: (t, k, p, sp) => {
+      const temp = p.temperature + (sp.temperatureOffset ?? 0);
+      const factor = Math.exp(((p.activationEnergy * 1000) / GAS_CONSTANT)
+        * (1 / (p.refTemp + ABSOLUTE_ZERO) - 1 / (temp + ABSOLUTE_ZERO)));
+      return Math.exp(-k * factor * t);
+    },
+  },
+};
+
+// product categories pick a decay model and its parameters
+const PRODUCT_CATEGORIES = {
+  general: { label: 'General', model: 'exponential', params: {} },
+  produce: { label: 'Produce', model: 'q10', params: { q10: 2.5, refTemp: 4, temperature: 8 } },
+  dairy: { label: 'Dairy', model: 'shelfLifeCliff', params: { shelfLife: 90, dropoff: 10 } },
+  frozen: { label: 'Frozen', model: 'arrhenius', params: { activationEnergy: 100, refTemp: 4, temperature: -18 } },
+};
+
+function registerDecayModel(name, model) {
+  DECAY_MODELS[name] = { label: name, defaults: {}, ...model };
+}
+
+// strategy: { category, decayModel, decayParams } - decayModel overrides the category's model
+function resolveDecayModel(strategy) {
+  const category = PRODUCT_CATEGORIES[strategy.category] || PRODUCT_CATEGORIES.general;
+  const name = DECAY_MODELS[strategy.decayModel] ? strategy.decayModel : category.model;
+  const model = DECAY_MODELS[name] || DECAY_MODELS.exponential;
+  const categoryParams = name === category.model ? category.params : {};
+  return { name, model, params: { ...model.defaults, ...categoryParams, ...(strategy.decayParams || {}) } };
+}
+
+// rate doubles per 10°C of offset for models with no temperature term of their own
+const kAtOffset = (k, offset) => k * Math.pow(2, offset / 10);
+
+function freshnessScoreFor(strategy, deliveryTime, k, scenarioParams = {}) {
+  const { model, params } = resolveDecayModel(strategy);
+  const rate = model.temperatureAware ? k : kAtOffset(k, scenarioParams.temperatureOffset ?? 0);
+  return clamp(model.fn(deliveryTime, rate, params, scenarioParams));
+}
+
 function costScore(actualCost, maxCost) {
   if (maxCost <= 0) return 0;
   return clamp(1 - (actualCost / maxCost));
@@ -43,7 +149,7 @@ function computeFDSForStrategy(strategy, weights, scenarioParams) {
   const rel = clamp((strategy.reliabilityPct * (scenarioParams.reliabilityModifier ?? 1)), 0, 100);
 
   const dScore = deliveryScore(deliveryTime, maxAllowed);
-  const fScore = freshnessScore(deliveryTime, scenarioParams.k || 0.04);
+  const fScore = freshnessScoreFor(strategy, deliveryTime, scenarioParams.k || DEFAULT_K, scenarioParams);
   const cScore = costScore(actualCost, maxCost);
   const rScore = reliabilityScore(rel);
 
@@ -57,6 +163,7 @@ function computeFDSForStrategy(strategy, weights, scenarioParams) {
       reliabilityPct: rel,
       DeliveryScore: dScore,
       FreshnessScore: fScore,
+      decayModel: resolveDecayModel(strategy).name,
       CostScore: cScore,
       ReliabilityScore: rScore,
       FDS,
@@ -64,29 +171,753 @@ function computeFDSForStrategy(strategy, weights, scenarioParams) {
   };
 }
 
-function rankStrategies(strategies, weights, scenarioParams) {
+// Constraints on computed values. Hard limits mark a strategy infeasible; soft
+// limits subtract penalty * relative violation from its FDS.
+// { id, label, field, op: 'max'|'min', limit, type: 'hard'|'soft', penalty, enabled }
+const CONSTRAINT_FIELDS = {
+  deliveryTime: { label: 'Delivery time', unit: 'min' },
+  actualCost: { label: 'Cost', unit: '' },
+  reliabilityPct: { label: 'Reliability', unit: '%' },
+};
+
+const DEFAULT_CONSTRAINTS = [
+  { id: 'deadline', label: 'Delivery deadline', field: 'deliveryTime', op: 'max', limit: 60, type: 'hard', penalty: 0, enabled: true },
+  { id: 'minReliability', label: 'Reliability floor', field: 'reliabilityPct', op: 'min', limit: 90, type: 'hard', penalty: 0, enabled: true },
+  { id: 'maxCost', label: 'Cost ceiling', field: 'actualCost', op: 'max', limit: 500, type: 'soft', penalty: 0.5, enabled: true },
+];
+
+function evaluateConstraints(computed, constraints = []) {
+  const violations = [];
+  let penalty = 0;
+  constraints.filter(c => c.enabled !== false).forEach(c => {
+    const value = computed[c.field];
+    const excess = c.op === 'min' ? c.limit - value : value - c.limit;
+    if (!(excess > 0)) return;
+    const unit = CONSTRAINT_FIELDS[c.field]?.unit || '';
+    const relative = c.limit !== 0 ? excess / Math.abs(c.limit) : excess;
+    const cost = c.type === 'soft' ? (c.penalty || 0) * relative : 0;
+    penalty += cost;
+    violations.push({
+      id: c.id,
+      label: c.label,
+      type: c.type,
+      value,
+      limit: c.limit,
+      penalty: cost,
+      message: `${c.label}: ${value.toFixed(1)}${unit} ${c.op === 'min' ? '<' : '>'} ${c.limit}${unit}`,
+    });
+  });
+  return { feasible: !violations.some(v => v.type === 'hard'), violations, penalty };
+}
+
+// options: { constraints, departureHour } - feasible strategies rank ahead of infeasible ones;
+// departureHour applies the scenario's hour-of-day profiles
+function rankStrategies(strategies, weights, scenarioParams, options = {}) {
   const normalized = normalizeWeights(weights);
-  const computed = strategies.map(s => computeFDSForStrategy(s, normalized, scenarioParams));
-  computed.sort((a,b) => b.computed.FDS - a.computed.FDS);
+  const params = scenarioAtHour(scenarioParams, options.departureHour);
+  const computed = strategies.map(s => computeFDSForStrategy(s, normalized, params));
+  if (options.constraints) {
+    computed.forEach(s => {
+      const { feasible, violations, penalty } = evaluateConstraints(s.computed, options.constraints);
+      s.computed.rawFDS = s.computed.FDS;
+      s.computed.FDS = s.computed.FDS - penalty;
+      s.computed.feasible = feasible;
+      s.computed.violations = violations;
+    });
+    computed.sort((a,b) => (b.computed.feasible - a.computed.feasible) || (b.computed.FDS - a.computed.FDS));
+  } else {
+    computed.sort((a,b) => b.computed.FDS - a.computed.FDS);
+  }
   return { normalizedWeights: normalized, ranked: computed };
 }
 
-function adaptiveLearning(weights, metrics) {
-  // metrics: { spoilageRiskPercent, avgDelay }
-  // weights mutable copy
+// the top of a ranking, or null when constraints leave no strategy feasible
+const feasibleTopId = (ranked) => (ranked[0] && ranked[0].computed.feasible !== false ? ranked[0].id : null);
+
+// Named scenarios scale the strategy inputs. A composite scenario lists component
+// ids instead of its own values: multipliers multiply and k scales relative to DEFAULT_K,
+// so Peak Traffic + Fuel Cost Spike gets both the slower deliveries and the dearer fuel.
+const SCENARIO_PARAMS = ['k', 'deliveryMultiplier', 'costMultiplier', 'reliabilityModifier'];
+
+// Optional hour-of-day profiles on a scenario, 24 values each (index = departure hour):
+// deliveryMultiplier and k are factors on the scenario constants; temperatureOffset (°C)
+// shifts each product's own storage temperature. Temperature reaches decay only through
+// the offset, so k is left for non-thermal effects.
+const PROFILE_KEYS = ['deliveryMultiplier', 'k', 'temperatureOffset'];
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+const round2 = (x) => Math.round(x * 100) / 100;
+// ambient swing of +/-7°C around the daily mean, warmest at 15:00
+const WEEKDAY_OFFSETS = HOURS.map(h => round2(7 * Math.cos((2 * Math.PI * (h - 15)) / 24)));
+
+const HOURLY_PROFILES = {
+  urbanWeekday: {
+    label: 'Urban weekday',
+    deliveryMultiplier: [0.8, 0.8, 0.8, 0.8, 0.85, 0.9, 1.05, 1.3, 1.35, 1.15, 1.0, 1.0, 1.05, 1.0, 1.0, 1.05, 1.2, 1.35, 1.3, 1.1, 0.95, 0.9, 0.85, 0.8],
+    temperatureOffset: WEEKDAY_OFFSETS,
+  },
+  heatwave: {
+    label: 'Heatwave',
+    deliveryMultiplier: HOURS.map(() => 1),
+    temperatureOffset: WEEKDAY_OFFSETS.map(t => round2(t + 10)),
+  },
+};
+
+const profileOf = (name) => {
+  const { label, ...profiles } = HOURLY_PROFILES[name];
+  return profiles;
+};
+
+// linear interpolation between whole hours, wrapping at midnight
+function profileValue(values, hour) {
+  const h = ((hour % 24) + 24) % 24;
+  const h0 = Math.floor(h);
+  const frac = h - h0;
+  return values[h0] * (1 - frac) + values[(h0 + 1) % 24] * frac;
+}
+
+// scenario params in effect for a departure at `hour` (0-24, fractions allowed)
+function scenarioAtHour(scenarioParams, hour) {
+  const { profiles, ...params } = scenarioParams;
+  if (!profiles || hour === undefined || hour === null) return scenarioParams;
+  const at = { ...params, departureHour: hour };
+  if (profiles.deliveryMultiplier) at.deliveryMultiplier = (params.deliveryMultiplier ?? 1) * profileValue(profiles.deliveryMultiplier, hour);
+  if (profiles.k) at.k = (params.k ?? DEFAULT_K) * profileValue(profiles.k, hour);
+  if (profiles.temperatureOffset) at.temperatureOffset = profileValue(profiles.temperatureOffset, hour);
+  return at;
+}
+
+const BUILTIN_SCENARIOS = [
+  { id: 'normal', name: 'Normal', k: 0.04, deliveryMultiplier: 1, costMultiplier: 1, reliabilityModifier: 1, builtin: true },
+  { id: 'peakTraffic', name: 'Peak Traffic', k: 0.04, deliveryMultiplier: 1.25, costMultiplier: 1, reliabilityModifier: 1, builtin: true },
+  { id: 'demandSurge', name: 'Demand Surge', k: 0.05, deliveryMultiplier: 1.1, costMultiplier: 1.05, reliabilityModifier: 1, builtin: true },
+  { id: 'fuelCostSpike', name: 'Fuel Cost Spike', k: 0.04, deliveryMultiplier: 1.0, costMultiplier: 1.15, reliabilityModifier: 1, builtin: true },
+  { id: 'supplierBreakdown', name: 'Supplier Breakdown', k: 0.06, deliveryMultiplier: 1.2, costMultiplier: 1.05, reliabilityModifier: 0.9, builtin: true },
+  { id: 'coldChainFailure', name: 'Cold Chain Failure', k: 0.10, deliveryMultiplier: 1.15, costMultiplier: 1.1, reliabilityModifier: 0.85, builtin: true },
+  { id: 'urbanWeekday', name: 'Urban Weekday (hourly)', k: 0.04, deliveryMultiplier: 1, costMultiplier: 1, reliabilityModifier: 1, profiles: profileOf('urbanWeekday'), builtin: true },
+];
+
+// hour-by-hour: factors multiply, the warmer offset wins
+function composeProfiles(list) {
+  const withProfiles = list.filter(p => p && p.profiles);
+  if (withProfiles.length === 0) return undefined;
+  const result = {};
+  PROFILE_KEYS.forEach(key => {
+    const series = withProfiles.map(p => p.profiles[key]).filter(Boolean);
+    if (series.length === 0) return;
+    result[key] = HOURS.map(h => (key === 'temperatureOffset'
+      ? Math.max(...series.map(v => v[h]))
+      : series.reduce((acc, v) => acc * v[h], 1)));
+  });
+  return result;
+}
+
+function composeScenarioParams(paramsList) {
+  const params = paramsList.reduce((acc, p) => ({
+    k: acc.k * ((p.k ?? DEFAULT_K) / DEFAULT_K),
+    deliveryMultiplier: acc.deliveryMultiplier * (p.deliveryMultiplier ?? 1),
+    costMultiplier: acc.costMultiplier * (p.costMultiplier ?? 1),
+    reliabilityModifier: acc.reliabilityModifier * (p.reliabilityModifier ?? 1),
+  }), { k: DEFAULT_K, deliveryMultiplier: 1, costMultiplier: 1, reliabilityModifier: 1 });
+  const profiles = composeProfiles(paramsList);
+  return profiles ? { ...params, profiles } : params;
+}
+
+// scenario params for an id in the library; unknown ids and component cycles resolve to neutral
+function resolveScenarioParams(scenarios, id, visiting = []) {
+  const scenario = scenarios.find(s => s.id === id);
+  if (!scenario || visiting.includes(id)) return composeScenarioParams([]);
+  if (!scenario.components || scenario.components.length === 0) return composeScenarioParams([scenario]);
+  return composeScenarioParams(scenario.components.map(c => resolveScenarioParams(scenarios, c, [...visiting, id])));
+}
+
+// Pick the row that wins on keys [[field, +1 higher is better | -1 lower is better], ...]
+// in order, later keys only breaking ties; null loses to any number.
+function lexicographicBest(rows, keys) {
+  const better = (r, best) => {
+    for (const [key, sign] of keys) {
+      const x = r[key];
+      const y = best[key];
+      if (x === y || (x !== null && y !== null && Math.abs(x - y) <= 1e-12)) continue;
+      if (x === null) return false;
+      if (y === null) return true;
+      return sign * (x - y) > 0;
+    }
+    return false;
+  };
+  return rows.reduce((best, r) => (!best || better(r, best) ? r : best), null)?.id ?? null;
+}
+
+// Rank every strategy under every scenario ([{ id, name, params }]).
+// probabilities: { [scenarioId]: weight } (normalized; missing = equal weights).
+// Infeasibility is counted apart from the score: each row has the number of scenarios
+// (and their probability) where it breaks a hard constraint, and worst / expected cover
+// only the scenarios it can be executed in (null when there are none).
+function scenarioMatrix(strategies, weights, scenarios, options = {}) {
+  const raw = scenarios.map(sc => Math.max(0, options.probabilities?.[sc.id] ?? 1));
+  const total = raw.reduce((a, b) => a + b, 0);
+  const probs = raw.map(p => (total > 0 ? p / total : 1 / scenarios.length));
+
+  const rows = strategies.map(st => ({ id: st.id, vendor: st.vendor, supplier: st.supplier, cells: {} }));
+  scenarios.forEach(sc => {
+    const { ranked } = rankStrategies(strategies, weights, sc.params, { constraints: options.constraints });
+    ranked.forEach((r, idx) => {
+      const row = rows.find(x => x.id === r.id);
+      const feasible = r.computed.feasible !== false;
+      row.cells[sc.id] = { FDS: r.computed.FDS, rank: idx + 1, feasible };
+    });
+  });
+
+  rows.forEach(row => {
+    const feasible = scenarios
+      .map((sc, i) => ({ FDS: row.cells[sc.id].FDS, probability: probs[i], feasible: row.cells[sc.id].feasible }))
+      .filter(c => c.feasible);
+    row.infeasibleCount = scenarios.length - feasible.length;
+    row.feasibleProbability = feasible.reduce((sum, c) => sum + c.probability, 0);
+    row.worst = feasible.length ? Math.min(...feasible.map(c => c.FDS)) : null;
+    row.expected = row.feasibleProbability > 0
+      ? feasible.reduce((sum, c) => sum + c.FDS * c.probability, 0) / row.feasibleProbability
+      : null;
+  });
+
+  // fewest infeasible scenarios first (most feasible probability for the expectation)
+  return {
+    scenarios: scenarios.map((sc, i) => ({ ...sc, probability: probs[i] })),
+    rows,
+    minimaxId: lexicographicBest(rows, [['infeasibleCount', -1], ['worst', 1], ['expected', 1]]),
+    expectedId: lexicographicBest(rows, [['feasibleProbability', 1], ['expected', 1], ['worst', 1]]),
+  };
+}
+
+// Mean of the worst `alpha` probability mass of a discrete score distribution
+// (lower-tail CVaR of FDS; maximizing it minimizes CVaR of the loss 1 - FDS).
+function lowerTailMean(scores, probs, alpha) {
+  const order = scores.map((v, i) => i).sort((a, b) => scores[a] - scores[b]);
+  let mass = 0;
+  let sum = 0;
+  for (const i of order) {
+    const take = Math.min(probs[i], alpha - mass);
+    if (take <= 0) break;
+    sum += scores[i] * take;
+    mass += take;
+  }
+  return mass > 0 ? sum / mass : 0;
+}
+
+// Robust picks across scenarios on top of scenarioMatrix, over the scenarios each strategy
+// can run in: regret = best feasible FDS in the scenario - this strategy's FDS there, and
+// CVaR takes the tail of its feasible scenarios' probability (renormalized). Infeasible
+// scenarios stay a separate count that ranks first, as in scenarioMatrix.
+// options: { constraints, probabilities, alpha = 0.2 }
+function robustAnalysis(strategies, weights, scenarios, options = {}) {
+  const alpha = Math.min(1, Math.max(0.01, options.alpha ?? 0.2));
+  const matrix = scenarioMatrix(strategies, weights, scenarios, options);
+  const bestIn = {};
+  matrix.scenarios.forEach(sc => {
+    const feasible = matrix.rows.filter(r => r.cells[sc.id].feasible).map(r => r.cells[sc.id].FDS);
+    bestIn[sc.id] = feasible.length ? Math.max(...feasible) : null;
+  });
+
+  const rows = matrix.rows.map(row => {
+    const regrets = {};
+    let maxRegret = null;
+    let maxRegretScenario = null;
+    matrix.scenarios.forEach(sc => {
+      const cell = row.cells[sc.id];
+      regrets[sc.id] = cell.feasible ? bestIn[sc.id] - cell.FDS : null;
+      if (regrets[sc.id] !== null && (maxRegret === null || regrets[sc.id] > maxRegret)) {
+        maxRegret = regrets[sc.id];
+        maxRegretScenario = sc.id;
+      }
+    });
+    const feasible = matrix.scenarios.filter(sc => row.cells[sc.id].feasible);
+    const cvar = row.feasibleProbability > 0
+      ? lowerTailMean(feasible.map(sc => row.cells[sc.id].FDS), feasible.map(sc => sc.probability / row.feasibleProbability), alpha)
+      : null;
+    return { ...row, regrets, maxRegret, maxRegretScenario, cvar };
+  });
+
+  return {
+    ...matrix,
+    rows,
+    alpha,
+    minimaxRegretId: lexicographicBest(rows, [['infeasibleCount', -1], ['maxRegret', -1], ['expected', 1]]),
+    cvarId: lexicographicBest(rows, [['infeasibleCount', -1], ['cvar', 1], ['expected', 1]]),
+  };
+}
+
+// FDS of each strategy for every departure hour, with its best hour and the
+// contiguous window around it scoring within `tolerance` of the best.
+// options: { constraints, step = 1, tolerance = 0.01 }
+function dispatchWindows(strategies, weights, scenarioParams, options = {}) {
+  const step = options.step || 1;
+  const tolerance = options.tolerance ?? 0.01;
+  const hours = [];
+  for (let h = 0; h < 24; h += step) hours.push(h);
+
+  const series = hours.map(hour => {
+    const { ranked } = rankStrategies(strategies, weights, scenarioParams, { constraints: options.constraints, departureHour: hour });
+    const point = { hour };
+    ranked.forEach(r => { point[r.id] = r.computed.feasible === false ? 0 : r.computed.FDS; });
+    return point;
+  });
+
+  const byStrategy = {};
+  strategies.forEach(st => {
+    const values = series.map(p => p[st.id]);
+    const bestIdx = values.indexOf(Math.max(...values));
+    // widen around the best hour (wrapping past midnight) while within tolerance
+    let start = bestIdx;
+    let end = bestIdx;
+    const within = (i) => values[(i + values.length) % values.length] >= values[bestIdx] - tolerance;
+    while (end - start + 1 < values.length && within(start - 1)) start -= 1;
+    while (end - start + 1 < values.length && within(end + 1)) end += 1;
+    const hourAt = (i) => hours[(i + hours.length) % hours.length];
+    byStrategy[st.id] = {
+      bestHour: hours[bestIdx],
+      bestFDS: values[bestIdx],
+      worstFDS: Math.min(...values),
+      window: { start: hourAt(start), end: (hourAt(end) + step) % 24 },
+    };
+  });
+
+  return { hours, series, byStrategy };
+}
+
+// weight x sub-score for each factor; they sum to the unpenalized FDS
+const CONTRIBUTION_FACTORS = [
+  { key: 'delivery', label: 'Delivery', weight: 'Wd', score: 'DeliveryScore' },
+  { key: 'freshness', label: 'Freshness', weight: 'Wf', score: 'FreshnessScore' },
+  { key: 'cost', label: 'Cost', weight: 'Wc', score: 'CostScore' },
+  { key: 'reliability', label: 'Reliability', weight: 'Wr', score: 'ReliabilityScore' },
+];
+
+function factorContributions(computed, weights) {
+  const normalized = normalizeWeights(weights);
+  const contributions = {};
+  CONTRIBUTION_FACTORS.forEach(f => { contributions[f.key] = normalized[f.weight] * computed[f.score]; });
+  contributions.penalty = computed.rawFDS !== undefined ? computed.FDS - computed.rawFDS : 0;
+  return contributions;
+}
+
+const pctDiff = (value, reference) => (reference ? ((reference - value) / reference) * 100 : 0);
+
+// Structured explanation of a ranking (rankStrategies output):
+// every strategy's factor contributions, why #1 beats #2 factor by factor, how the
+// top pick compares with the runner-up and with the average, and - when a Monte Carlo
+// result is given - confidence from how often the top pick stayed first.
+// options: { monteCarlo, robust }
+function explainRanking(ranked, weights, options = {}) {
+  const normalized = normalizeWeights(weights);
+  const strategies = ranked.map((r, idx) => ({
+    id: r.id,
+    vendor: r.vendor,
+    supplier: r.supplier,
+    rank: idx + 1,
+    FDS: r.computed.FDS,
+    feasible: r.computed.feasible !== false,
+    violations: (r.computed.violations || []).map(v => v.message),
+    deliveryTime: r.computed.deliveryTime,
+    actualCost: r.computed.actualCost,
+    contributions: factorContributions(r.computed, normalized),
+  }));
+  const top = ranked[0];
+  const runnerUp = ranked[1];
+  const mean = (key) => ranked.reduce((sum, r) => sum + r.computed[key], 0) / (ranked.length || 1);
+
+  let comparison = null;
+  if (top && runnerUp) {
+    const a = strategies[0].contributions;
+    const b = strategies[1].contributions;
+    comparison = {
+      topId: top.id,
+      runnerUpId: runnerUp.id,
+      scoreAdvantage: top.computed.FDS - runnerUp.computed.FDS,
+      factors: [...CONTRIBUTION_FACTORS.map(f => ({ key: f.key, label: f.label, top: a[f.key], runnerUp: b[f.key], delta: a[f.key] - b[f.key] })),
+        { key: 'penalty', label: 'Penalties', top: a.penalty, runnerUp: b.penalty, delta: a.penalty - b.penalty }],
+      vsRunnerUp: {
+        deliveryFasterPct: pctDiff(top.computed.deliveryTime, runnerUp.computed.deliveryTime),
+        costCheaperPct: pctDiff(top.computed.actualCost, runnerUp.computed.actualCost),
+        freshnessPts: (top.computed.FreshnessScore - runnerUp.computed.FreshnessScore) * 100,
+        reliabilityPts: top.computed.reliabilityPct - runnerUp.computed.reliabilityPct,
+      },
+      vsAverage: {
+        deliveryFasterPct: pctDiff(top.computed.deliveryTime, mean('deliveryTime')),
+        costCheaperPct: pctDiff(top.computed.actualCost, mean('actualCost')),
+      },
+    };
+  }
+
+  const mc = options.monteCarlo;
+  const confidence = mc && top ? {
+    stability: ((mc.topCounts[top.id] || 0) / mc.iterations) * 100,
+    iterations: mc.iterations,
+    seed: mc.seed,
+    probFirst: Object.fromEntries(mc.byStrategy.map(d => [d.id, d.probFirst])),
+  } : null;
+
+  const robust = options.robust ? {
+    alpha: options.robust.alpha,
+    minimaxRegretId: options.robust.minimaxRegretId,
+    cvarId: options.robust.cvarId,
+    minimaxId: options.robust.minimaxId,
+    expectedId: options.robust.expectedId,
+  } : null;
+
+  return { topId: top?.id ?? null, weights: normalized, strategies, comparison, confidence, robust };
+}
+
+// Levers a supplier can move, in the direction that helps it
+const COUNTERFACTUAL_LEVERS = [
+  { field: 'deliveryTime', label: 'Delivery time', unit: 'min', direction: -1, limit: () => 0 },
+  { field: 'cost', label: 'Cost', unit: '', direction: -1, limit: () => 0 },
+  { field: 'reliabilityPct', label: 'Reliability', unit: '%', direction: 1, limit: () => 100 },
+];
+
+const ranksFirst = (strategies, weights, scenarioParams, targetId, options) =>
+  rankStrategies(strategies, weights, scenarioParams, options).ranked[0]?.id === targetId;
+
+// "What would make strategy X win": the smallest single change to one of its inputs,
+// and the smallest transfer of weight between two factors, that put it first.
+// Inputs are bisected (scores are monotone in each lever); for weights, moving t from Wi
+// to Wj shifts every FDS linearly in t, so the winning range of t is solved exactly.
+// options: { constraints }
+function counterfactualToWin(strategies, weights, scenarioParams, targetId, options = {}) {
+  const rankOptions = { constraints: options.constraints };
+  const { normalizedWeights, ranked } = rankStrategies(strategies, weights, scenarioParams, rankOptions);
+  const rank = ranked.findIndex(r => r.id === targetId) + 1;
+  if (rank === 0) return null;
+  if (rank === 1) return { targetId, rank, alreadyFirst: true, levers: [], weightChange: null };
+  const target = strategies.find(st => st.id === targetId);
+
+  const withValue = (field, value) => strategies.map(st => (st.id === targetId ? { ...st, [field]: value } : st));
+  const levers = COUNTERFACTUAL_LEVERS.map(lever => {
+    const from = target[lever.field];
+    const extreme = lever.limit(target);
+    if (!ranksFirst(withValue(lever.field, extreme), normalizedWeights, scenarioParams, targetId, rankOptions)) {
+      return { field: lever.field, label: lever.label, unit: lever.unit, from, possible: false };
+    }
+    // lo never wins, hi always does
+    let lo = from;
+    let hi = extreme;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (ranksFirst(withValue(lever.field, mid), normalizedWeights, scenarioParams, targetId, rankOptions)) hi = mid;
+      else lo = mid;
+    }
+    return {
+      field: lever.field,
+      label: lever.label,
+      unit: lever.unit,
+      from,
+      to: hi,
+      change: hi - from,
+      changePct: from ? ((hi - from) / from) * 100 : 0,
+      possible: true,
+    };
+  });
+
+  // weights: the target must beat every strategy that would outrank it on FDS alone
+  const targetRow = ranked.find(r => r.id === targetId);
+  const targetFeasible = targetRow.computed.feasible !== false;
+  const rivals = ranked.filter(r => r.id !== targetId && (r.computed.feasible !== false || !targetFeasible));
+  const subScore = (r, key) => r.computed[CONTRIBUTION_FACTORS.find(f => f.weight === key).score];
+  let weightChange = null;
+  const feasibleForWeights = targetFeasible || !ranked.some(r => r.computed.feasible !== false);
+  if (feasibleForWeights) {
+    WEIGHT_KEYS.forEach(fromKey => WEIGHT_KEYS.forEach(toKey => {
+      if (fromKey === toKey || normalizedWeights[fromKey] <= 0) return;
+      // lead over each rival is a + b * t for t in [0, w_from]
+      let lo = 0;
+      let hi = normalizedWeights[fromKey];
+      rivals.forEach(r => {
+        const a = targetRow.computed.FDS - r.computed.FDS;
+        const b = (subScore(targetRow, toKey) - subScore(targetRow, fromKey)) - (subScore(r, toKey) - subScore(r, fromKey));
+        if (b > 0) lo = Math.max(lo, -a / b);
+        else if (b < 0) hi = Math.min(hi, -a / b);
+        else if (a <= 0) hi = -1;
+      });
+      const amount = Math.min(hi, lo + 1e-4);
+      if (lo > hi || amount <= 0) return;
+      if (weightChange && amount >= weightChange.amount) return;
+      const next = { ...normalizedWeights, [fromKey]: normalizedWeights[fromKey] - amount, [toKey]: normalizedWeights[toKey] + amount };
+      if (!ranksFirst(strategies, next, scenarioParams, targetId, rankOptions)) return;
+      weightChange = { from: fromKey, to: toKey, amount, weights: next };
+    }));
+  }
+
+  return { targetId, rank, alreadyFirst: false, leaderId: ranked[0].id, levers, weightChange };
+}
+
+// sub-scores compared for Pareto dominance (all higher-is-better)
+const PARETO_OBJECTIVES = ['DeliveryScore', 'FreshnessScore', 'CostScore', 'ReliabilityScore'];
+
+function dominates(a, b, objectives = PARETO_OBJECTIVES) {
+  let strictlyBetter = false;
+  for (const o of objectives) {
+    if (a.computed[o] < b.computed[o]) return false;
+    if (a.computed[o] > b.computed[o]) strictlyBetter = true;
+  }
+  return strictlyBetter;
+}
+
+// options: { constraints } - infeasible strategies are listed apart and neither join
+// the front nor dominate anything on it
+function paretoFront(strategies, weights, scenarioParams, objectives = PARETO_OBJECTIVES, options = {}) {
+  // weights only set fdsRank; dominance ignores them so no trade-off is hidden
+  const { ranked } = rankStrategies(strategies, weights, scenarioParams, { constraints: options.constraints });
+  const feasible = ranked.filter(s => s.computed.feasible !== false);
+  const annotated = ranked.map((s, idx) => ({
+    ...s,
+    fdsRank: idx + 1,
+    dominatedBy: s.computed.feasible === false
+      ? []
+      : feasible.filter(o => o !== s && dominates(o, s, objectives)).map(o => o.id),
+  }));
+  const candidates = annotated.filter(s => s.computed.feasible !== false);
+  return {
+    objectives,
+    front: candidates.filter(s => s.dominatedBy.length === 0),
+    dominated: candidates.filter(s => s.dominatedBy.length > 0),
+    infeasible: annotated.filter(s => s.computed.feasible === false),
+  };
+}
+
+const WEIGHT_KEYS = ['Wd', 'Wf', 'Wc', 'Wr'];
+
+// all compositions of `units` into `parts` non-negative integers
+function simplexGrid(parts, units) {
+  if (parts === 1) return [[units]];
+  const out = [];
+  for (let i = 0; i <= units; i++) {
+    simplexGrid(parts - 1, units - i).forEach(rest => out.push([i, ...rest]));
+  }
+  return out;
+}
+
+// best feasible strategy and its lead over the next feasible one (topId null when none is)
+function topOf(strategies, weights, scenarioParams, constraints) {
+  const { ranked } = rankStrategies(strategies, weights, scenarioParams, { constraints });
+  const feasible = ranked.filter(r => r.computed.feasible !== false);
+  return {
+    topId: feasible[0]?.id ?? null,
+    margin: feasible[1] ? feasible[0].computed.FDS - feasible[1].computed.FDS : 0,
+  };
+}
+
+function weightSimplexSweep(strategies, scenarioParams, options = {}) {
+  // options: { step, fixed, constraints } - fixed pins some weights (e.g. { Wr: 0.15 }) and the
+  // rest sweep the remaining mass; with nothing fixed this covers the whole simplex.
+  // Points where no strategy is feasible have topId null and count toward no region.
+  const step = options.step || 0.05;
+  const fixed = options.fixed || {};
+  const free = WEIGHT_KEYS.filter(k => !(k in fixed));
+  const mass = Math.max(0, 1 - Object.values(fixed).reduce((s,x) => s + x, 0));
+  const units = Math.round(1 / step);
+
+  const points = simplexGrid(free.length, units).map(combo => {
+    const weights = { ...fixed };
+    free.forEach((k, i) => { weights[k] = (combo[i] / units) * mass; });
+    return { weights, ...topOf(strategies, weights, scenarioParams, options.constraints) };
+  });
+
+  const regions = {};
+  strategies.forEach(s => { regions[s.id] = 0; });
+  points.filter(p => p.topId !== null).forEach(p => { regions[p.topId] = (regions[p.topId] || 0) + 1 / points.length; });
+
+  return { step, fixed, free, points, regions };
+}
+
+// Vary one weight from 0 to 1 while the others keep their current ratios and
+// report every value where the top feasible strategy flips.
+// options: { constraints }
+function weightBreakEvens(strategies, weights, scenarioParams, resolution = 200, options = {}) {
+  const base = normalizeWeights(weights);
+  const along = (key, t) => {
+    const rest = WEIGHT_KEYS.filter(k => k !== key);
+    const restSum = rest.reduce((s,k) => s + (base[k] || 0), 0);
+    const w = { [key]: t };
+    rest.forEach(k => { w[k] = restSum > 0 ? (1 - t) * (base[k] || 0) / restSum : (1 - t) / rest.length; });
+    return w;
+  };
+  const topAt = (key, t) => topOf(strategies, along(key, t), scenarioParams, options.constraints).topId;
+
+  return WEIGHT_KEYS.map(key => {
+    const flips = [];
+    let prevT = 0;
+    let prevTop = topAt(key, 0);
+    for (let i = 1; i <= resolution; i++) {
+      const t = i / resolution;
+      const top = topAt(key, t);
+      if (top !== prevTop) {
+        // bisect for the break-even weight
+        let lo = prevT;
+        let hi = t;
+        for (let j = 0; j < 20; j++) {
+          const mid = (lo + hi) / 2;
+          if (topAt(key, mid) === prevTop) lo = mid; else hi = mid;
+        }
+        flips.push({ at: (lo + hi) / 2, fromId: prevTop, toId: top });
+      }
+      prevT = t;
+      prevTop = top;
+    }
+    const current = base[key] || 0;
+    const nearest = flips.reduce((m, f) => Math.min(m, Math.abs(f.at - current)), Infinity);
+    return { key, current, flips, nearestFlipDistance: Number.isFinite(nearest) ? nearest : null };
+  });
+}
+
+// Min-cost max-flow by successive shortest paths (Bellman-Ford queue), so
+// negative edge costs - i.e. scores to maximise - are fine.
+function minCostMaxFlow(nodeCount, edges, source, sink) {
+  const graph = Array.from({ length: nodeCount }, () => []);
+  const handles = edges.map(({ from, to, cap, cost }) => {
+    graph[from].push({ to, cap, cost, flow: 0, rev: graph[to].length });
+    graph[to].push({ to: from, cap: 0, cost: -cost, flow: 0, rev: graph[from].length - 1 });
+    return graph[from][graph[from].length - 1];
+  });
+
+  let totalFlow = 0;
+  let totalCost = 0;
+  for (;;) {
+    const dist = new Array(nodeCount).fill(Infinity);
+    const inQueue = new Array(nodeCount).fill(false);
+    const prev = new Array(nodeCount).fill(null);
+    dist[source] = 0;
+    const queue = [source];
+    while (queue.length) {
+      const u = queue.shift();
+      inQueue[u] = false;
+      graph[u].forEach((e, idx) => {
+        if (e.cap - e.flow > 0 && dist[u] + e.cost < dist[e.to] - 1e-12) {
+          dist[e.to] = dist[u] + e.cost;
+          prev[e.to] = { node: u, idx };
+          if (!inQueue[e.to]) { inQueue[e.to] = true; queue.push(e.to); }
+        }
+      });
+    }
+    if (dist[sink] === Infinity) break;
+
+    let push = Infinity;
+    for (let v = sink; v !== source; v = prev[v].node) {
+      const e = graph[prev[v].node][prev[v].idx];
+      push = Math.min(push, e.cap - e.flow);
+    }
+    for (let v = sink; v !== source; v = prev[v].node) {
+      const e = graph[prev[v].node][prev[v].idx];
+      e.flow += push;
+      graph[v][e.rev].flow -= push;
+    }
+    totalFlow += push;
+    totalCost += push * dist[sink];
+  }
+
+  return { totalFlow, totalCost, flows: handles.map(e => e.flow) };
+}
+
+// Cross every vendor with every supplier. Pairs missing from the strategy list
+// borrow the supplier's average delivery time, cost and reliability.
+function expandVendorSupplierPairs(strategies) {
+  const vendors = [...new Set(strategies.map(s => s.vendor))];
+  const suppliers = [...new Set(strategies.map(s => s.supplier))];
+  const avg = (list, key) => list.reduce((sum, x) => sum + (x[key] || 0), 0) / list.length;
+  const pairs = [];
+  vendors.forEach(vendor => {
+    suppliers.forEach(supplier => {
+      const existing = strategies.find(s => s.vendor === vendor && s.supplier === supplier);
+      if (existing) { pairs.push(existing); return; }
+      const offers = strategies.filter(s => s.supplier === supplier);
+      pairs.push({
+        ...offers[0],
+        id: `${vendor}::${supplier}`,
+        vendor,
+        supplier,
+        deliveryTime: avg(offers, 'deliveryTime'),
+        cost: avg(offers, 'cost'),
+        reliabilityPct: avg(offers, 'reliabilityPct'),
+        derived: true,
+      });
+    });
+  });
+  return pairs;
+}
+
+// Assign supplier capacity to vendor demand.
+// problem: { vendors: [{ id, demand }], suppliers: [{ id, capacity }],
+//            pairs: [{ vendorId, supplierId, score, cost }], objective: 'score'|'cost' }
+// Serves as much demand as capacity allows, then maximises total score
+// (or minimises total cost). Pairs not listed are not allowed.
+function allocateSuppliers({ vendors, suppliers, pairs, objective = 'score' }) {
+  const source = 0;
+  const sink = 1 + suppliers.length + vendors.length;
+  const supplierNode = (i) => 1 + i;
+  const vendorNode = (i) => 1 + suppliers.length + i;
+
+  const edges = [];
+  suppliers.forEach((sp, i) => edges.push({ from: source, to: supplierNode(i), cap: Math.max(0, sp.capacity || 0), cost: 0 }));
+  vendors.forEach((v, i) => edges.push({ from: vendorNode(i), to: sink, cap: Math.max(0, v.demand || 0), cost: 0 }));
+  const pairEdgeStart = edges.length;
+  const usable = pairs.filter(p =>
+    suppliers.some(sp => sp.id === p.supplierId) && vendors.some(v => v.id === p.vendorId)
+  );
+  usable.forEach(p => {
+    const si = suppliers.findIndex(sp => sp.id === p.supplierId);
+    const vi = vendors.findIndex(v => v.id === p.vendorId);
+    edges.push({
+      from: supplierNode(si),
+      to: vendorNode(vi),
+      cap: Math.max(0, vendors[vi].demand || 0),
+      cost: objective === 'cost' ? (p.cost || 0) : -(p.score || 0),
+    });
+  });
+
+  const { flows } = minCostMaxFlow(sink + 1, edges, source, sink);
+
+  const matrix = {};
+  vendors.forEach(v => { matrix[v.id] = {}; suppliers.forEach(sp => { matrix[v.id][sp.id] = 0; }); });
+  const assignments = [];
+  let totalScore = 0;
+  let totalCost = 0;
+  usable.forEach((p, i) => {
+    const units = flows[pairEdgeStart + i];
+    if (units <= 0) return;
+    matrix[p.vendorId][p.supplierId] = units;
+    totalScore += units * (p.score || 0);
+    totalCost += units * (p.cost || 0);
+    assignments.push({ vendorId: p.vendorId, supplierId: p.supplierId, units, score: p.score, cost: p.cost });
+  });
+
+  const served = (vid) => Object.values(matrix[vid]).reduce((s, x) => s + x, 0);
+  const unmetDemand = {};
+  vendors.forEach(v => { unmetDemand[v.id] = (v.demand || 0) - served(v.id); });
+  const supplierLoad = {};
+  suppliers.forEach(sp => { supplierLoad[sp.id] = vendors.reduce((s, v) => s + matrix[v.id][sp.id], 0); });
+
+  return { objective, assignments, matrix, totalScore, totalCost, unmetDemand, supplierLoad };
+}
+
+function adaptiveLearning(weights, metrics, options = {}) {
+  // metrics: { spoilageRiskPercent, avgDelay, delayThreshold }
+  // options: { learningRate, decay, episode, floor }
+  // rate = learningRate / (1 + decay * episode); the cost weight gives up 2/3 of it
+  // and no weight drops below floor before normalization
+  const { learningRate = 0.03, decay = 0, episode = 0, floor = 0 } = options;
+  const rate = learningRate / (1 + decay * episode);
   let w = { ...weights };
 
   if (metrics.spoilageRiskPercent > 12) {
-    w.Wf = (w.Wf || 0) + 0.03;
-    w.Wc = (w.Wc || 0) - 0.02;
+    w.Wf = (w.Wf || 0) + rate;
+    w.Wc = (w.Wc || 0) - rate * (2/3);
   }
 
   const delayThreshold = metrics.delayThreshold || 5; // minutes
   if (metrics.avgDelay > delayThreshold) {
-    w.Wd = (w.Wd || 0) + 0.03;
-    w.Wc = (w.Wc || 0) - 0.02;
+    w.Wd = (w.Wd || 0) + rate;
+    w.Wc = (w.Wc || 0) - rate * (2/3);
   }
 
+  WEIGHT_KEYS.forEach(k => { w[k] = Math.max(floor, w[k] || 0); });
+
   const before = normalizeWeights(weights);
   const after = normalizeWeights(w);
 
@@ -97,12 +928,264 @@ function adaptiveLearning(weights, metrics) {
     Wr: after.Wr - before.Wr,
   };
 
-  return { before, after, delta };
+  return { before, after, delta, rate };
+}
+
+function createLearningState(weights) {
+  const start = normalizeWeights(weights);
+  return {
+    weights: start,
+    history: [{ episode: 0, ...start, change: 0 }],
+    converged: false,
+  };
+}
+
+// One episode of the learning loop. Converged once the largest weight change
+// stays below tolerance for `window` consecutive episodes.
+function learningEpisode(state, metrics, options = {}) {
+  const { tolerance = 0.002, window = 3 } = options;
+  const episode = state.history.length;
+  const res = adaptiveLearning(state.weights, metrics, { ...options, episode: episode - 1 });
+  const change = Math.max(...Object.values(res.delta).map(Math.abs));
+  const history = [...state.history, { episode, ...res.after, change }];
+  const recent = history.slice(1).slice(-window);
+  const converged = recent.length >= window && recent.every(h => h.change < tolerance);
+
+  return {
+    state: { weights: res.after, history, converged },
+    result: res,
+  };
+}
+
+// Recorded delivery outcomes: { strategyId, actualMinutes, actualCost, spoilagePct, onTime }
+
+// Blend planned deliveryTime / reliabilityPct with what actually happened;
+// priorWeight is how many outcomes the planned figure is worth.
+function calibrateStrategies(strategies, outcomes, options = {}) {
+  const { priorWeight = 5 } = options;
+  const blend = (planned, observed, n) => (priorWeight * planned + n * observed) / (priorWeight + n);
+  return strategies.map(s => {
+    const mine = outcomes.filter(o => o.strategyId === s.id);
+    if (mine.length === 0) return s;
+    const timed = mine.filter(o => Number.isFinite(o.actualMinutes));
+    const meanMinutes = timed.length ? timed.reduce((sum, o) => sum + o.actualMinutes, 0) / timed.length : s.deliveryTime;
+    const onTimePct = (mine.filter(o => o.onTime).length / mine.length) * 100;
+    return {
+      ...s,
+      deliveryTime: blend(s.deliveryTime, meanMinutes, timed.length),
+      reliabilityPct: blend(s.reliabilityPct, onTimePct, mine.length),
+      calibration: {
+        outcomes: mine.length,
+        plannedDeliveryTime: s.deliveryTime,
+        plannedReliabilityPct: s.reliabilityPct,
+      },
+    };
+  });
+}
+
+// adaptiveLearning metrics from the most recent outcomes: mean spoilage and
+// mean lateness against the planned delivery time
+function outcomeMetrics(outcomes, strategies, options = {}) {
+  const { recent = 20, delayThreshold = 5 } = options;
+  const window = outcomes.slice(-recent);
+  const spoiled = window.filter(o => Number.isFinite(o.spoilagePct));
+  const late = window
+    .map(o => {
+      const planned = strategies.find(s => s.id === o.strategyId)?.deliveryTime;
+      return Number.isFinite(o.actualMinutes) && planned !== undefined ? o.actualMinutes - planned : null;
+    })
+    .filter(x => x !== null);
+  return {
+    spoilageRiskPercent: spoiled.length ? spoiled.reduce((sum, o) => sum + o.spoilagePct, 0) / spoiled.length : 0,
+    avgDelay: late.length ? late.reduce((sum, x) => sum + x, 0) / late.length : 0,
+    delayThreshold,
+    count: window.length,
+  };
+}
+
+// Multi-armed bandit over strategies. Rewards in [0, 1] come from recorded
+// delivery outcomes; Thompson sampling keeps a Beta posterior per arm
+// (fractional rewards), UCB1 uses the empirical mean plus an exploration bonus.
+const BANDIT_ALGORITHMS = ['thompson', 'ucb'];
+
+function createBanditState(algorithm = 'thompson') {
+  return { algorithm, arms: {}, totalPulls: 0 };
+}
+
+const emptyArm = () => ({ pulls: 0, rewardSum: 0, alpha: 1, beta: 1 });
+
+// outcome: { actualMinutes, spoilagePct, actualCost, onTime } - scored with the FDS sub-scores
+function outcomeReward(strategy, outcome, weights) {
+  const w = normalizeWeights(weights);
+  const maxAllowed = strategy.maxDelivery || (strategy.deliveryTime * 1.5);
+  const maxCost = strategy.maxCost || (strategy.cost * 1.5);
+  const d = deliveryScore(outcome.actualMinutes ?? strategy.deliveryTime, maxAllowed);
+  const f = clamp(1 - (outcome.spoilagePct ?? 0) / 100);
+  const c = costScore(outcome.actualCost ?? strategy.cost, maxCost);
+  const r = outcome.onTime === undefined ? reliabilityScore(strategy.reliabilityPct) : (outcome.onTime ? 1 : 0);
+  return clamp((w.Wd * d) + (w.Wf * f) + (w.Wc * c) + (w.Wr * r));
+}
+
+function banditUpdate(state, armId, reward) {
+  const arm = state.arms[armId] || emptyArm();
+  const r = clamp(reward);
+  return {
+    ...state,
+    totalPulls: state.totalPulls + 1,
+    arms: {
+      ...state.arms,
+      [armId]: {
+        pulls: arm.pulls + 1,
+        rewardSum: arm.rewardSum + r,
+        alpha: arm.alpha + r,
+        beta: arm.beta + (1 - r),
+      },
+    },
+  };
+}
+
+// Marsaglia-Tsang gamma sampler (shape >= 1, boosted for shape < 1)
+function sampleGamma(shape, rng) {
+  if (shape < 1) return sampleGamma(shape + 1, rng) * Math.pow(rng(), 1 / shape);
+  const d = shape - 1/3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = standardNormal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta, rng) {
+  const x = sampleGamma(alpha, rng);
+  const y = sampleGamma(beta, rng);
+  return x / (x + y);
+}
+
+// posterior mean and ~90% interval per arm (prior for arms never pulled)
+function banditEstimates(state, armIds) {
+  return armIds.map(id => {
+    const arm = state.arms[id] || emptyArm();
+    if (state.algorithm === 'ucb') {
+      const mean = arm.pulls ? arm.rewardSum / arm.pulls : 0.5;
+      const bonus = arm.pulls ? Math.sqrt(2 * Math.log(Math.max(1, state.totalPulls)) / arm.pulls) : 1;
+      return { id, pulls: arm.pulls, mean, lower: clamp(mean - bonus), upper: clamp(mean + bonus), index: mean + bonus };
+    }
+    const n = arm.alpha + arm.beta;
+    const mean = arm.alpha / n;
+    const sd = Math.sqrt((arm.alpha * arm.beta) / (n * n * (n + 1)));
+    return { id, pulls: arm.pulls, mean, lower: clamp(mean - 1.645 * sd), upper: clamp(mean + 1.645 * sd) };
+  });
+}
+
+// options: { rng, seed } - Thompson draws from each posterior, UCB takes the highest index
+function banditSelect(state, armIds, options = {}) {
+  const { rng } = resolveRng(options);
+  const estimates = banditEstimates(state, armIds);
+  const scored = estimates.map(e => {
+    if (state.algorithm === 'ucb') {
+      // untried arms first
+      return { ...e, score: e.pulls === 0 ? Infinity : e.index };
+    }
+    const arm = state.arms[e.id] || emptyArm();
+    return { ...e, score: sampleBeta(arm.alpha, arm.beta, rng) };
+  });
+  const best = scored.reduce((b, x) => (x.score > b.score ? x : b), scored[0]);
+  return { armId: best?.id, scored };
+}
+
+// Variables swept by the tornado analysis. Scenario parameters apply to every
+// strategy; strategy inputs are swept for one strategy at a time.
+const SENSITIVITY_VARIABLES = {
+  k: { group: 'scenario', label: 'Decay rate k', fallback: 0.04 },
+  deliveryMultiplier: { group: 'scenario', label: 'Delivery multiplier', fallback: 1 },
+  costMultiplier: { group: 'scenario', label: 'Cost multiplier', fallback: 1 },
+  reliabilityModifier: { group: 'scenario', label: 'Reliability modifier', fallback: 1 },
+  deliveryTime: { group: 'strategy', label: 'Delivery time', fallback: 0 },
+  cost: { group: 'strategy', label: 'Cost', fallback: 0 },
+  reliabilityPct: { group: 'strategy', label: 'Reliability %', fallback: 0 },
+};
+
+// low/high as percent change from the base value
+const DEFAULT_SENSITIVITY_RANGES = {
+  k: { low: -20, high: 20 },
+  deliveryMultiplier: { low: -10, high: 10 },
+  costMultiplier: { low: -10, high: 10 },
+  reliabilityModifier: { low: -5, high: 5 },
+  deliveryTime: { low: -15, high: 15 },
+  cost: { low: -15, high: 15 },
+  reliabilityPct: { low: -5, high: 5 },
+};
+
+// one-at-a-time sweep of every variable; returns bars per strategy ranked by FDS swing.
+// options: { constraints } - FDS includes soft penalties, topAt* is the best feasible
+// strategy (null when none is) and lowFeasible / highFeasible flag the strategy's own status
+function tornadoAnalysis(strategies, weights, scenarioParams, ranges = DEFAULT_SENSITIVITY_RANGES, options = {}) {
+  const rankOptions = { constraints: options.constraints };
+  const base = rankStrategies(strategies, weights, scenarioParams, rankOptions);
+  const baseF = {};
+  base.ranked.forEach(s => { baseF[s.id] = s.computed.FDS; });
+  const fdsOf = (ranked, id) => ranked.find(r => r.id === id)?.computed.FDS ?? 0;
+  const feasibleIn = (ranked, id) => ranked.find(r => r.id === id)?.computed.feasible !== false;
+  const scale = (value, pct) => value * (1 + pct / 100);
+
+  // scenario variables move every strategy at once, so rank once per end
+  const scenarioRuns = {};
+  Object.keys(ranges).filter(v => SENSITIVITY_VARIABLES[v]?.group === 'scenario').forEach(v => {
+    const baseValue = scenarioParams[v] ?? SENSITIVITY_VARIABLES[v].fallback;
+    scenarioRuns[v] = ['low', 'high'].map(end =>
+      rankStrategies(strategies, weights, { ...scenarioParams, [v]: scale(baseValue, ranges[v][end]) }, rankOptions).ranked
+    );
+  });
+
+  const byStrategy = {};
+  strategies.forEach(st => {
+    const bars = Object.keys(ranges).filter(v => SENSITIVITY_VARIABLES[v]).map(v => {
+      const meta = SENSITIVITY_VARIABLES[v];
+      const runs = meta.group === 'scenario'
+        ? scenarioRuns[v]
+        : ['low', 'high'].map(end => rankStrategies(
+            strategies.map(o => o.id === st.id ? { ...o, [v]: scale(o[v] ?? meta.fallback, ranges[v][end]) } : o),
+            weights,
+            scenarioParams,
+            rankOptions
+          ).ranked);
+      const lowF = fdsOf(runs[0], st.id);
+      const highF = fdsOf(runs[1], st.id);
+      return {
+        variable: v,
+        label: meta.label,
+        group: meta.group,
+        low: ranges[v].low,
+        high: ranges[v].high,
+        baseF: baseF[st.id],
+        lowF,
+        highF,
+        swing: Math.abs(highF - lowF),
+        lowFeasible: feasibleIn(runs[0], st.id),
+        highFeasible: feasibleIn(runs[1], st.id),
+        topAtLow: feasibleTopId(runs[0]),
+        topAtHigh: feasibleTopId(runs[1]),
+      };
+    });
+    bars.sort((a, b) => b.swing - a.swing);
+    byStrategy[st.id] = bars;
+  });
+
+  return { baseTopId: feasibleTopId(base.ranked), byStrategy };
 }
 
 function sensitivityAnalysis(strategies, weights, scenarioParams, perturbations) {
-  // perturbations: { trafficPct, costPct, decayPct }
-  const base = rankStrategies(strategies, weights, scenarioParams);
+  // perturbations: { trafficPct, costPct, decayPct, ranges, constraints }
+  // ranges feed the tornado sweep (defaults: DEFAULT_SENSITIVITY_RANGES)
+  const rankOptions = { constraints: perturbations.constraints };
+  const base = rankStrategies(strategies, weights, scenarioParams, rankOptions);
   const baseTop = base.ranked[0];
 
   const perturbed = rankStrategies(strategies, weights, {
@@ -110,7 +1193,7 @@ function sensitivityAnalysis(strategies, weights, scenarioParams, perturbations)
     costMultiplier: (scenarioParams.costMultiplier || 1) * (1 + (perturbations.costPct || 0)/100),
     deliveryMultiplier: (scenarioParams.deliveryMultiplier || 1) * (1 + (perturbations.trafficPct || 0)/100),
     reliabilityModifier: (scenarioParams.reliabilityModifier || 1),
-  });
+  }, rankOptions);
 
   // compute impact per strategy as delta in FDS
   const impacts = base.ranked.map((s) => {
@@ -127,57 +1210,243 @@ function sensitivityAnalysis(strategies, weights, scenarioParams, perturbations)
     };
   });
 
-  return { baseTop, perturbed, impacts };
+  const tornado = tornadoAnalysis(strategies, weights, scenarioParams, perturbations.ranges || DEFAULT_SENSITIVITY_RANGES, rankOptions);
+
+  return { baseTop, perturbed, impacts, tornado };
+}
+
+// Noise models for Monte Carlo perturbations. Each spec yields a relative
+// perturbation, applied as value * (1 + noise).
+const NOISE_DISTRIBUTIONS = {
+  uniform: { params: ['min', 'max'], defaults: { min: -0.2, max: 0.2 } },
+  normal: { params: ['mean', 'sd'], defaults: { mean: 0, sd: 0.1 } },
+  triangular: { params: ['min', 'mode', 'max'], defaults: { min: -0.2, mode: 0, max: 0.2 } },
+  lognormal: { params: ['mu', 'sigma'], defaults: { mu: 0, sigma: 0.1 } },
+};
+
+// matches the original hard-coded ranges: delivery +/-20%, cost +/-15%, decay +/-20%
+const DEFAULT_NOISE = {
+  delivery: { type: 'uniform', min: -0.2, max: 0.2 },
+  cost: { type: 'uniform', min: -0.15, max: 0.15 },
+  decay: { type: 'uniform', min: -0.2, max: 0.2 },
+  perStrategy: {}, // { [strategyId]: { delivery: spec } }
+};
+
+function standardNormal(rng) {
+  // Box-Muller; 1 - rng() keeps log away from 0
+  const u1 = 1 - rng();
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
 }
 
-function monteCarloSimulation(strategies, weights, scenarioParams, iterations = 500) {
-  // randomize deliveryTime +/- 20%, cost +/- 15%, decay k +/-20%
-  const baseRanking = rankStrategies(strategies, weights, scenarioParams);
-  const baseTopId = baseRanking.ranked[0]?.id;
+function sampleNoise(spec, rng) {
+  if (!spec) return 0;
+  switch (spec.type) {
+    case 'normal':
+      return (spec.mean ?? 0) + (spec.sd ?? 0) * standardNormal(rng);
+    case 'triangular': {
+      const { min = 0, mode = 0, max = 0 } = spec;
+      if (max <= min) return min;
+      const u = rng();
+      const fc = (mode - min) / (max - min);
+      return u < fc
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'lognormal':
+      // multiplicative factor exp(N(mu, sigma)), expressed as a relative change
+      return Math.exp((spec.mu ?? 0) + (spec.sigma ?? 0) * standardNormal(rng)) - 1;
+    case 'uniform':
+    default: {
+      const { min = 0, max = 0 } = spec;
+      return min + rng() * (max - min);
+    }
+  }
+}
+
+function resolveNoise(noise = {}) {
+  return {
+    delivery: noise.delivery || DEFAULT_NOISE.delivery,
+    cost: noise.cost || DEFAULT_NOISE.cost,
+    decay: noise.decay || DEFAULT_NOISE.decay,
+    perStrategy: noise.perStrategy || {},
+  };
+}
 
-  let results = [];
+// a factor below zero would mean negative minutes or cost
+const noiseFactor = (noise) => Math.max(0, 1 + noise);
+
+// linear-interpolated percentile of an ascending-sorted array, p in [0, 100]
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// bin samples over a shared [min, max] range so histograms of different strategies line up
+function histogram(samples, min, max, bins = 12) {
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  samples.forEach(x => {
+    const b = Math.min(bins - 1, Math.max(0, Math.floor((x - min) / width)));
+    counts[b] += 1;
+  });
+  return counts.map((count, i) => ({ x0: min + i * width, x1: min + (i + 1) * width, count }));
+}
+
+function describeSamples(samples, min, max, bins) {
+  const n = samples.length;
+  const mean = n ? samples.reduce((s,x) => s + x, 0) / n : 0;
+  const variance = n > 1 ? samples.reduce((s,x) => s + (x - mean) ** 2, 0) / (n - 1) : 0;
+  const sorted = [...samples].sort((a,b) => a - b);
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    min: sorted[0] ?? 0,
+    max: sorted[n - 1] ?? 0,
+    p5: percentile(sorted, 5),
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    histogram: histogram(samples, min, max, bins),
+  };
+}
+
+function monteCarloSimulation(strategies, weights, scenarioParams, iterations = 500, options = {}) {
+  // perturb deliveryTime, cost and decay k with the configured noise models
+  // (defaults: uniform +/-20%, +/-15%, +/-20%)
+  // options: { rng, seed, bins, noise, constraints, onProgress } - same seed reproduces the same stability and topCounts;
+  // with constraints only a feasible strategy can take first place (noFeasible counts draws where none is)
+  // onProgress(done, total) fires about 50 times per run
+  const { rng, seed } = resolveRng(options);
+  const progressEvery = Math.max(1, Math.floor(iterations / 50));
+  const noise = resolveNoise(options.noise);
+  const rankOptions = { constraints: options.constraints };
+  const baseRanking = rankStrategies(strategies, weights, scenarioParams, rankOptions);
+  const baseTopId = feasibleTopId(baseRanking.ranked);
+
+  let samplesById = {};
   let topCounts = {};
+  let feasibleCounts = {};
+  let noFeasible = 0;
+  strategies.forEach(s => { samplesById[s.id] = []; feasibleCounts[s.id] = 0; });
 
   for (let i=0;i<iterations;i++) {
-    const randStrategies = strategies.map(s => ({ ...s }));
-    const kNoise = (Math.random()*0.4 - 0.2); // -20% to +20%
-    const costNoise = (Math.random()*0.3 - 0.15);
-    const delayNoise = (Math.random()*0.4 - 0.2);
+    const kNoise = sampleNoise(noise.decay, rng);
+    const costNoise = sampleNoise(noise.cost, rng);
+    const delayNoise = sampleNoise(noise.delivery, rng);
+
+    // delivery noise goes on each strategy so a volatile supplier can carry its own spec
+    const randStrategies = strategies.map(s => {
+      const own = noise.perStrategy[s.id]?.delivery;
+      const d = own ? sampleNoise(own, rng) : delayNoise;
+      return { ...s, deliveryTime: s.deliveryTime * noiseFactor(d) };
+    });
 
     const sc = {
       ...scenarioParams,
-      k: (scenarioParams.k || 0.04) * (1 + kNoise),
-      costMultiplier: (scenarioParams.costMultiplier || 1) * (1 + costNoise),
-      deliveryMultiplier: (scenarioParams.deliveryMultiplier || 1) * (1 + delayNoise),
+      k: (scenarioParams.k || 0.04) * noiseFactor(kNoise),
+      costMultiplier: (scenarioParams.costMultiplier || 1) * noiseFactor(costNoise),
     };
 
-    const ranked = rankStrategies(randStrategies, weights, sc).ranked;
-    const topId = ranked[0]?.id;
-    topCounts[topId] = (topCounts[topId] || 0) + 1;
-    results.push(ranked.map(r => r.computed.FDS));
+    const ranked = rankStrategies(randStrategies, weights, sc, rankOptions).ranked;
+    const topId = feasibleTopId(ranked);
+    if (topId === null) noFeasible += 1;
+    else topCounts[topId] = (topCounts[topId] || 0) + 1;
+    ranked.forEach(r => {
+      samplesById[r.id].push(r.computed.FDS);
+      if (r.computed.feasible !== false) feasibleCounts[r.id] += 1;
+    });
+    if (options.onProgress && ((i + 1) % progressEvery === 0 || i + 1 === iterations)) {
+      options.onProgress(i + 1, iterations);
+    }
   }
 
-  // aggregate
-  const flat = results.flat();
+  // aggregate (pooled across strategies, kept for the summary card)
+  const flat = Object.values(samplesById).flat();
   const meanF = flat.reduce((s,x) => s + x, 0) / flat.length;
   const best = Math.max(...flat);
   const worst = Math.min(...flat);
 
+  // per-strategy distributions on a shared histogram range
+  const byStrategy = strategies.map(s => ({
+    id: s.id,
+    vendor: s.vendor,
+    supplier: s.supplier,
+    ...describeSamples(samplesById[s.id], worst, best, options.bins),
+    probFirst: (topCounts[s.id] || 0) / iterations,
+    probFeasible: feasibleCounts[s.id] / iterations,
+  }));
+
   // stability: percentage of iterations where baseTop stayed top
   const stability = ((topCounts[baseTopId] || 0) / iterations) * 100;
 
-  return { meanF, best, worst, stability, topCounts };
+  return { meanF, best, worst, stability, topCounts, noFeasible, byStrategy, seed, iterations, noise };
 }
 
 export default {
+  createRng,
+  randomSeed,
+  resolveRng,
   normalizeWeights,
   deliveryScore,
   freshnessScore,
+  DECAY_MODELS,
+  PRODUCT_CATEGORIES,
+  registerDecayModel,
+  resolveDecayModel,
+  freshnessScoreFor,
   costScore,
   reliabilityScore,
   computeFDSForStrategy,
+  CONSTRAINT_FIELDS,
+  DEFAULT_CONSTRAINTS,
+  evaluateConstraints,
   rankStrategies,
+  SCENARIO_PARAMS,
+  PROFILE_KEYS,
+  HOURLY_PROFILES,
+  scenarioAtHour,
+  BUILTIN_SCENARIOS,
+  composeScenarioParams,
+  resolveScenarioParams,
+  scenarioMatrix,
+  robustAnalysis,
+  dispatchWindows,
+  CONTRIBUTION_FACTORS,
+  factorContributions,
+  explainRanking,
+  COUNTERFACTUAL_LEVERS,
+  counterfactualToWin,
+  PARETO_OBJECTIVES,
+  dominates,
+  paretoFront,
+  WEIGHT_KEYS,
+  weightSimplexSweep,
+  weightBreakEvens,
+  minCostMaxFlow,
+  expandVendorSupplierPairs,
+  allocateSuppliers,
   adaptiveLearning,
+  createLearningState,
+  learningEpisode,
+  calibrateStrategies,
+  outcomeMetrics,
+  BANDIT_ALGORITHMS,
+  createBanditState,
+  outcomeReward,
+  banditUpdate,
+  banditEstimates,
+  banditSelect,
   sensitivityAnalysis,
+  SENSITIVITY_VARIABLES,
+  DEFAULT_SENSITIVITY_RANGES,
+  tornadoAnalysis,
   monteCarloSimulation,
+  NOISE_DISTRIBUTIONS,
+  DEFAULT_NOISE,
+  sampleNoise,
+  percentile,
+  describeSamples,
 };
@@ -0,0 +1,884 @@
+import Engine from './DecisionOptimizationEngine';
+
+const STRATEGIES = [
+  { id: 's1', vendor: 'Urban Foods', supplier: 'SwiftDeliver Inc', deliveryTime: 48, maxDelivery: 60, cost: 420, maxCost: 600, reliabilityPct: 92 },
+  { id: 's2', vendor: 'Metro Market', supplier: 'SwiftDeliver Inc', deliveryTime: 50, maxDelivery: 60, cost: 400, maxCost: 600, reliabilityPct: 90 },
+  { id: 's3', vendor: 'City Store', supplier: 'ColdChain Co', deliveryTime: 42, maxDelivery: 60, cost: 450, maxCost: 600, reliabilityPct: 95 },
+  { id: 's4', vendor: 'Prime Hub', supplier: 'FreshRoute Corp', deliveryTime: 55, maxDelivery: 60, cost: 380, maxCost: 600, reliabilityPct: 88 },
+];
+const WEIGHTS = { Wd: 0.3, Wf: 0.3, Wc: 0.2, Wr: 0.2 };
+const SCENARIO = { k: 0.04, deliveryMultiplier: 1, costMultiplier: 1, reliabilityModifier: 1 };
+// reliability is not perturbed by the Monte Carlo noise, so s4 (88%) stays infeasible in every run
+const RELIABILITY_FLOOR = [
+  { id: 'minReliability', label: 'Reliability floor', field: 'reliabilityPct', op: 'min', limit: 90, type: 'hard', penalty: 0, enabled: true },
+];
+
+describe('seeded randomness', () => {
+  test('createRng replays the same sequence for the same seed', () => {
+    const a = Engine.createRng(42);
+    const b = Engine.createRng(42);
+    const other = Engine.createRng(43);
+    const seqA = Array.from({ length: 20 }, a);
+    expect(Array.from({ length: 20 }, b)).toEqual(seqA);
+    expect(Array.from({ length: 20 }, other)).not.toEqual(seqA);
+    seqA.forEach(x => {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    });
+  });
+
+  test('resolveRng prefers a supplied rng, then a seed', () => {
+    const rng = Engine.createRng(5);
+    expect(Engine.resolveRng({ rng, seed: 9 })).toEqual({ rng, seed: 5 });
+    const seeded = Engine.resolveRng({ seed: 9 });
+    expect(seeded.seed).toBe(9);
+    expect(seeded.rng()).toBe(Engine.createRng(9)());
+    expect(Number.isInteger(Engine.resolveRng().seed)).toBe(true);
+  });
+
+  test('monteCarloSimulation is reproducible from its seed', () => {
+    const first = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 200, { seed: 7 });
+    const second = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 200, { seed: 7 });
+    const other = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 200, { seed: 8 });
+    expect(first.seed).toBe(7);
+    expect(second.topCounts).toEqual(first.topCounts);
+    expect(second.stability).toBe(first.stability);
+    expect(second.meanF).toBe(first.meanF);
+    expect(other.meanF).not.toBe(first.meanF);
+  });
+});
+
+describe('FDS distributions', () => {
+  test('percentile interpolates between sorted samples', () => {
+    const sorted = [1, 2, 3, 4, 5];
+    expect(Engine.percentile(sorted, 0)).toBe(1);
+    expect(Engine.percentile(sorted, 50)).toBe(3);
+    expect(Engine.percentile(sorted, 100)).toBe(5);
+    expect(Engine.percentile(sorted, 10)).toBeCloseTo(1.4);
+    expect(Engine.percentile([], 50)).toBe(0);
+  });
+
+  test('describeSamples reports mean, sample deviation and a histogram over the shared range', () => {
+    const summary = Engine.describeSamples([4, 2, 8, 6], 0, 10, 5);
+    expect(summary.mean).toBe(5);
+    expect(summary.std).toBeCloseTo(Math.sqrt(20 / 3));
+    expect(summary.min).toBe(2);
+    expect(summary.max).toBe(8);
+    expect(summary.p50).toBe(5);
+    expect(summary.histogram.map(b => b.count)).toEqual([0, 1, 1, 1, 1]);
+    expect(summary.histogram[0]).toEqual({ x0: 0, x1: 2, count: 0 });
+  });
+
+  test('monteCarloSimulation gives every strategy an ordered percentile band and first-place share', () => {
+    const result = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 300, { seed: 1, bins: 8 });
+    result.byStrategy.forEach(s => {
+      expect(s.min).toBeLessThanOrEqual(s.p5);
+      expect(s.p5).toBeLessThanOrEqual(s.p50);
+      expect(s.p50).toBeLessThanOrEqual(s.p95);
+      expect(s.p95).toBeLessThanOrEqual(s.max);
+      expect(s.histogram).toHaveLength(8);
+      expect(s.histogram.reduce((n, b) => n + b.count, 0)).toBe(300);
+    });
+    const shares = result.byStrategy.reduce((sum, s) => sum + s.probFirst, 0);
+    expect(shares).toBeCloseTo(1);
+  });
+});
+
+describe('noise models', () => {
+  const draws = (spec, seed, n = 4000) => {
+    const rng = Engine.createRng(seed);
+    return Array.from({ length: n }, () => Engine.sampleNoise(spec, rng));
+  };
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+
+  test('each distribution is reproducible for a seed and stays in its support', () => {
+    const uniform = draws({ type: 'uniform', min: -0.1, max: 0.3 }, 4);
+    expect(draws({ type: 'uniform', min: -0.1, max: 0.3 }, 4)).toEqual(uniform);
+    expect(Math.min(...uniform)).toBeGreaterThanOrEqual(-0.1);
+    expect(Math.max(...uniform)).toBeLessThan(0.3);
+    expect(mean(uniform)).toBeCloseTo(0.1, 1);
+
+    const triangular = draws({ type: 'triangular', min: -0.2, mode: 0.1, max: 0.2 }, 4);
+    expect(Math.min(...triangular)).toBeGreaterThanOrEqual(-0.2);
+    expect(Math.max(...triangular)).toBeLessThanOrEqual(0.2);
+    expect(mean(triangular)).toBeCloseTo((-0.2 + 0.1 + 0.2) / 3, 1);
+
+    const lognormal = draws({ type: 'lognormal', mu: 0, sigma: 0.2 }, 4);
+    expect(Math.min(...lognormal)).toBeGreaterThan(-1);
+  });
+
+  test('normal noise centres on its mean with its deviation', () => {
+    const normal = draws({ type: 'normal', mean: 0.05, sd: 0.1 }, 9);
+    const m = mean(normal);
+    const sd = Math.sqrt(normal.reduce((s, x) => s + (x - m) ** 2, 0) / (normal.length - 1));
+    expect(m).toBeCloseTo(0.05, 1);
+    expect(sd).toBeCloseTo(0.1, 1);
+  });
+
+  test('no spec means no noise', () => {
+    expect(Engine.sampleNoise(undefined, Engine.createRng(1))).toBe(0);
+  });
+
+  test('zero-width noise leaves every Monte Carlo sample at the base FDS', () => {
+    const none = { type: 'uniform', min: 0, max: 0 };
+    const result = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 20, {
+      seed: 2, noise: { delivery: none, cost: none, decay: none },
+    });
+    const { ranked } = Engine.rankStrategies(STRATEGIES, WEIGHTS, SCENARIO);
+    result.byStrategy.forEach(s => {
+      const base = ranked.find(r => r.id === s.id).computed.FDS;
+      expect(s.std).toBeCloseTo(0, 12);
+      expect(s.mean).toBeCloseTo(base, 12);
+    });
+    expect(result.stability).toBe(100);
+  });
+
+  test('per-strategy delivery noise only widens that strategy', () => {
+    const none = { type: 'uniform', min: 0, max: 0 };
+    const result = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 50, {
+      seed: 2,
+      noise: { delivery: none, cost: none, decay: none, perStrategy: { s2: { delivery: { type: 'uniform', min: -0.3, max: 0.3 } } } },
+    });
+    const std = Object.fromEntries(result.byStrategy.map(s => [s.id, s.std]));
+    expect(std.s2).toBeGreaterThan(0);
+    expect(std.s1).toBeCloseTo(0, 12);
+    expect(std.s3).toBeCloseTo(0, 12);
+  });
+});
+
+describe('paretoFront', () => {
+  test('front members do not dominate each other and every dominated strategy has a dominator', () => {
+    const { front, dominated } = Engine.paretoFront(STRATEGIES, WEIGHTS, SCENARIO);
+    expect(front.length).toBeGreaterThan(0);
+    front.forEach(a => front.forEach(b => expect(Engine.dominates(a, b)).toBe(false)));
+    const candidates = [...front, ...dominated];
+    dominated.forEach(d => expect(candidates.some(c => Engine.dominates(c, d))).toBe(true));
+  });
+
+  test('a strategy worse on every objective is dominated by the one it copies', () => {
+    const worse = { ...STRATEGIES[2], id: 's5', deliveryTime: 50, cost: 500, reliabilityPct: 90 };
+    const { front, dominated } = Engine.paretoFront([...STRATEGIES, worse], WEIGHTS, SCENARIO);
+    expect(front.some(s => s.id === 's5')).toBe(false);
+    expect(dominated.find(s => s.id === 's5').dominatedBy).toContain('s3');
+  });
+
+  test('dominance follows the chosen objectives only', () => {
+    const { front } = Engine.paretoFront(STRATEGIES, WEIGHTS, SCENARIO, ['CostScore']);
+    expect(front.map(s => s.id)).toEqual(['s4']);
+  });
+});
+
+describe('weight sweeps', () => {
+  const topAt = (weights) => Engine.rankStrategies(STRATEGIES, weights, SCENARIO).ranked[0].id;
+
+  test('weightSimplexSweep covers the simplex and splits it into regions', () => {
+    const sweep = Engine.weightSimplexSweep(STRATEGIES, SCENARIO, { step: 0.25 });
+    expect(sweep.points).toHaveLength(35); // compositions of 4 steps into 4 weights
+    sweep.points.forEach(p => {
+      expect(Object.values(p.weights).reduce((s, w) => s + w, 0)).toBeCloseTo(1);
+      expect(p.margin).toBeGreaterThanOrEqual(0);
+    });
+    expect(Object.values(sweep.regions).reduce((s, r) => s + r, 0)).toBeCloseTo(1);
+    const costOnly = sweep.points.find(p => p.weights.Wc === 1);
+    expect(costOnly.topId).toBe('s4');
+  });
+
+  test('fixed weights stay pinned while the rest sweep the remaining mass', () => {
+    const sweep = Engine.weightSimplexSweep(STRATEGIES, SCENARIO, { step: 0.5, fixed: { Wr: 0.2 } });
+    expect(sweep.free).toEqual(['Wd', 'Wf', 'Wc']);
+    sweep.points.forEach(p => {
+      expect(p.weights.Wr).toBe(0.2);
+      expect(p.weights.Wd + p.weights.Wf + p.weights.Wc).toBeCloseTo(0.8);
+    });
+  });
+
+  test('weightBreakEvens reports flips where the top strategy actually changes', () => {
+    const breakEvens = Engine.weightBreakEvens(STRATEGIES, WEIGHTS, SCENARIO, 100);
+    expect(breakEvens.map(b => b.key)).toEqual(Engine.WEIGHT_KEYS);
+    const cost = breakEvens.find(b => b.key === 'Wc');
+    expect(cost.flips.length).toBeGreaterThan(0);
+    const along = (t) => ({ Wd: (1 - t) * 0.375, Wf: (1 - t) * 0.375, Wc: t, Wr: (1 - t) * 0.25 });
+    cost.flips.forEach(f => {
+      expect(topAt(along(f.at - 1e-4))).toBe(f.fromId);
+      expect(topAt(along(f.at + 1e-4))).toBe(f.toId);
+    });
+    expect(cost.nearestFlipDistance).toBeCloseTo(Math.min(...cost.flips.map(f => Math.abs(f.at - 0.2))));
+  });
+});
+
+describe('tornadoAnalysis', () => {
+  const fdsOf = (strategies, scenario = SCENARIO) =>
+    Object.fromEntries(Engine.rankStrategies(strategies, WEIGHTS, scenario).ranked.map(r => [r.id, r.computed.FDS]));
+
+  test('bars are ranked by swing and match re-ranking at each end of the range', () => {
+    const { baseTopId, byStrategy } = Engine.tornadoAnalysis(STRATEGIES, WEIGHTS, SCENARIO);
+    expect(baseTopId).toBe(Engine.rankStrategies(STRATEGIES, WEIGHTS, SCENARIO).ranked[0].id);
+    const bars = byStrategy.s1;
+    expect(bars).toHaveLength(Object.keys(Engine.DEFAULT_SENSITIVITY_RANGES).length);
+    bars.slice(1).forEach((bar, i) => expect(bar.swing).toBeLessThanOrEqual(bars[i].swing));
+
+    const cost = bars.find(b => b.variable === 'cost');
+    const cheaper = STRATEGIES.map(s => (s.id === 's1' ? { ...s, cost: s.cost * 0.85 } : s));
+    expect(cost.lowF).toBeCloseTo(fdsOf(cheaper).s1);
+    expect(cost.lowF).toBeGreaterThan(cost.baseF);
+    expect(cost.highF).toBeLessThan(cost.baseF);
+
+    const k = bars.find(b => b.variable === 'k');
+    expect(k.highF).toBeCloseTo(fdsOf(STRATEGIES, { ...SCENARIO, k: 0.048 }).s1);
+  });
+
+  test('strategy inputs move only the swept strategy', () => {
+    const { byStrategy } = Engine.tornadoAnalysis(STRATEGIES, WEIGHTS, SCENARIO, { deliveryTime: { low: -50, high: 50 } });
+    const bar = byStrategy.s2[0];
+    expect(bar.variable).toBe('deliveryTime');
+    expect(bar.swing).toBeGreaterThan(0);
+    const base = fdsOf(STRATEGIES);
+    const slower = STRATEGIES.map(s => (s.id === 's2' ? { ...s, deliveryTime: 75 } : s));
+    expect(fdsOf(slower).s1).toBe(base.s1);
+    expect(bar.topAtHigh).toBe(Engine.rankStrategies(slower, WEIGHTS, SCENARIO).ranked[0].id);
+  });
+
+  test('a zero-width range has no swing and unknown variables are ignored', () => {
+    const { byStrategy } = Engine.tornadoAnalysis(STRATEGIES, WEIGHTS, SCENARIO, {
+      costMultiplier: { low: 0, high: 0 },
+      notAVariable: { low: -10, high: 10 },
+    });
+    expect(byStrategy.s3).toHaveLength(1);
+    expect(byStrategy.s3[0].swing).toBe(0);
+  });
+});
+
+describe('freshness decay models', () => {
+  test('the general category keeps the original exponential decay', () => {
+    expect(Engine.freshnessScoreFor({}, 50, 0.04)).toBeCloseTo(Math.exp(-2));
+    expect(Engine.freshnessScoreFor({}, 50, 0.04)).toBeCloseTo(Engine.freshnessScore(50, 0.04));
+  });
+
+  test('Q10 speeds decay by q10 for every 10°C above the reference', () => {
+    const produce = { category: 'produce', decayParams: { temperature: 14 } };
+    expect(Engine.freshnessScoreFor(produce, 30, 0.04)).toBeCloseTo(Math.exp(-0.04 * 2.5 * 30));
+  });
+
+  test('Arrhenius matches the base rate at its reference temperature and slows when frozen', () => {
+    const atRef = { category: 'frozen', decayParams: { temperature: 4 } };
+    expect(Engine.freshnessScoreFor(atRef, 30, 0.04)).toBeCloseTo(Math.exp(-1.2));
+    expect(Engine.freshnessScoreFor({ category: 'frozen' }, 30, 0.04)).toBeGreaterThan(0.95);
+  });
+
+  test('the shelf-life cliff stays flat before the shelf life and drops after it', () => {
+    const dairy = { category: 'dairy' };
+    expect(Engine.freshnessScoreFor(dairy, 0, 0.04)).toBeCloseTo(1);
+    expect(Engine.freshnessScoreFor(dairy, 40, 0.04)).toBeGreaterThan(0.99);
+    expect(Engine.freshnessScoreFor(dairy, 90, 0.04)).toBeCloseTo(0.5, 2);
+    expect(Engine.freshnessScoreFor(dairy, 140, 0.04)).toBeLessThan(0.01);
+    // doubling k halves the shelf life
+    expect(Engine.freshnessScoreFor(dairy, 45, 0.08)).toBeCloseTo(0.5, 1);
+  });
+
+  test('resolveDecayModel lets a strategy override the category model and parameters', () => {
+    expect(Engine.resolveDecayModel({ category: 'produce' }).name).toBe('q10');
+    expect(Engine.resolveDecayModel({ category: 'nope' }).name).toBe('exponential');
+    const override = Engine.resolveDecayModel({ category: 'produce', decayModel: 'shelfLifeCliff', decayParams: { shelfLife: 30 } });
+    expect(override.name).toBe('shelfLifeCliff');
+    expect(override.params).toEqual({ shelfLife: 30, dropoff: 10 });
+    expect(Engine.resolveDecayModel({ decayModel: 'unknown' }).name).toBe('exponential');
+  });
+
+  test('registered models feed computeFDSForStrategy', () => {
+    Engine.registerDecayModel('testStep', { fn: (t, k, p) => (t < p.limit ? 1 : 0), defaults: { limit: 45 } });
+    const weights = { Wd: 0, Wf: 1, Wc: 0, Wr: 0 };
+    const fresh = Engine.computeFDSForStrategy({ ...STRATEGIES[2], decayModel: 'testStep' }, weights, SCENARIO);
+    const stale = Engine.computeFDSForStrategy({ ...STRATEGIES[0], decayModel: 'testStep' }, weights, SCENARIO);
+    expect(fresh.computed.FDS).toBe(1);
+    expect(stale.computed.FDS).toBe(0);
+    expect(stale.computed.decayModel).toBe('testStep');
+  });
+});
+
+describe('constraints', () => {
+  test('evaluateConstraints separates hard violations from soft penalties', () => {
+    const computed = { deliveryTime: 66, actualCost: 550, reliabilityPct: 95 };
+    const result = Engine.evaluateConstraints(computed, Engine.DEFAULT_CONSTRAINTS);
+    expect(result.feasible).toBe(false);
+    expect(result.violations.map(v => v.id)).toEqual(['deadline', 'maxCost']);
+    expect(result.penalty).toBeCloseTo(0.5 * (50 / 500));
+    expect(result.violations[0].message).toBe('Delivery deadline: 66.0min > 60min');
+
+    const softOnly = Engine.evaluateConstraints({ ...computed, deliveryTime: 40 }, Engine.DEFAULT_CONSTRAINTS);
+    expect(softOnly.feasible).toBe(true);
+    const disabled = Engine.DEFAULT_CONSTRAINTS.map(c => ({ ...c, enabled: false }));
+    expect(Engine.evaluateConstraints(computed, disabled)).toEqual({ feasible: true, violations: [], penalty: 0 });
+  });
+
+  test('rankStrategies ranks every feasible strategy ahead of the infeasible ones', () => {
+    const { ranked } = Engine.rankStrategies(STRATEGIES, WEIGHTS, SCENARIO, { constraints: RELIABILITY_FLOOR });
+    expect(ranked.map(s => s.computed.feasible)).toEqual([true, true, true, false]);
+    expect(ranked[3].id).toBe('s4');
+    expect(ranked[3].computed.violations[0].type).toBe('hard');
+  });
+
+  test('soft penalties lower FDS and keep the raw score', () => {
+    const ceiling = [{ id: 'maxCost', label: 'Cost ceiling', field: 'actualCost', op: 'max', limit: 400, type: 'soft', penalty: 1 }];
+    const { ranked } = Engine.rankStrategies(STRATEGIES, WEIGHTS, SCENARIO, { constraints: ceiling });
+    const s3 = ranked.find(s => s.id === 's3');
+    expect(s3.computed.feasible).toBe(true);
+    expect(s3.computed.rawFDS - s3.computed.FDS).toBeCloseTo(50 / 400);
+  });
+
+  test('monteCarloSimulation never counts an infeasible strategy as top', () => {
+    const result = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 200, { seed: 11, constraints: RELIABILITY_FLOOR });
+    const s4 = result.byStrategy.find(s => s.id === 's4');
+    expect(result.topCounts.s4).toBeUndefined();
+    expect(s4.probFirst).toBe(0);
+    expect(s4.probFeasible).toBe(0);
+    expect(result.noFeasible).toBe(0);
+  });
+
+  test('monteCarloSimulation reports runs where nothing is feasible', () => {
+    const impossible = [{ ...RELIABILITY_FLOOR[0], limit: 99 }];
+    const result = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 50, { seed: 3, constraints: impossible });
+    expect(result.noFeasible).toBe(50);
+    expect(result.topCounts).toEqual({});
+    expect(result.stability).toBe(0);
+  });
+
+  test('infeasible strategies are left out of the Pareto front', () => {
+    const { front, dominated, infeasible } = Engine.paretoFront(STRATEGIES, WEIGHTS, SCENARIO, undefined, { constraints: RELIABILITY_FLOOR });
+    expect(infeasible.map(s => s.id)).toEqual(['s4']);
+    expect([...front, ...dominated].some(s => s.id === 's4')).toBe(false);
+  });
+
+  test('the weight sweep and tornado only name feasible strategies as top', () => {
+    const sweep = Engine.weightSimplexSweep(STRATEGIES, SCENARIO, { step: 0.25, constraints: RELIABILITY_FLOOR });
+    expect(sweep.points.find(p => p.weights.Wc === 1).topId).not.toBe('s4');
+    expect(sweep.regions.s4).toBe(0);
+
+    const impossible = [{ ...RELIABILITY_FLOOR[0], limit: 99 }];
+    const none = Engine.weightSimplexSweep(STRATEGIES, SCENARIO, { step: 0.5, constraints: impossible });
+    none.points.forEach(p => expect(p.topId).toBeNull());
+
+    const { baseTopId, byStrategy } = Engine.tornadoAnalysis(STRATEGIES, WEIGHTS, SCENARIO,
+      { reliabilityPct: { low: -5, high: 5 } }, { constraints: RELIABILITY_FLOOR });
+    expect(baseTopId).not.toBe('s4');
+    const s2 = byStrategy.s2[0];
+    expect(s2.lowFeasible).toBe(false);
+    expect(s2.highFeasible).toBe(true);
+  });
+});
+
+describe('supplier allocation', () => {
+  const vendors = [{ id: 'v1', demand: 3 }, { id: 'v2', demand: 2 }];
+  const suppliers = [{ id: 'a', capacity: 2 }, { id: 'b', capacity: 4 }];
+  const pairs = [
+    { vendorId: 'v1', supplierId: 'a', score: 5, cost: 4 },
+    { vendorId: 'v1', supplierId: 'b', score: 2, cost: 1 },
+    { vendorId: 'v2', supplierId: 'a', score: 4, cost: 2 },
+    { vendorId: 'v2', supplierId: 'b', score: 1, cost: 3 },
+  ];
+
+  // every integer allocation within demand and capacity: most units served first, then best objective
+  const bruteForce = (objective) => {
+    let best = null;
+    const range = (n) => Array.from({ length: n + 1 }, (_, i) => i);
+    range(3).forEach(x1a => range(3).forEach(x1b => range(2).forEach(x2a => range(2).forEach(x2b => {
+      const units = [x1a, x1b, x2a, x2b];
+      if (x1a + x1b > 3 || x2a + x2b > 2 || x1a + x2a > 2 || x1b + x2b > 4) return;
+      const served = units.reduce((s, u) => s + u, 0);
+      const value = units.reduce((s, u, i) => s + u * pairs[i][objective], 0);
+      const better = !best || served > best.served ||
+        (served === best.served && (objective === 'score' ? value > best.value : value < best.value));
+      if (better) best = { served, value };
+    }))));
+    return best;
+  };
+
+  test('minCostMaxFlow finds the cheapest maximum flow', () => {
+    // two routes 0 -> 3: via 1 (cost 1 + 1) with room for 2, via 2 (cost 2 + 3) with room for 5
+    const edges = [
+      { from: 0, to: 1, cap: 2, cost: 1 }, { from: 1, to: 3, cap: 4, cost: 1 },
+      { from: 0, to: 2, cap: 5, cost: 2 }, { from: 2, to: 3, cap: 1, cost: 3 },
+    ];
+    const result = Engine.minCostMaxFlow(4, edges, 0, 3);
+    expect(result.totalFlow).toBe(3);
+    expect(result.totalCost).toBe(2 * 2 + 1 * 5);
+    expect(result.flows).toEqual([2, 2, 1, 1]);
+  });
+
+  test.each(['score', 'cost'])('allocateSuppliers matches brute force when optimising %s', (objective) => {
+    const result = Engine.allocateSuppliers({ vendors, suppliers, pairs, objective });
+    const best = bruteForce(objective);
+    const served = result.assignments.reduce((s, a) => s + a.units, 0);
+    expect(served).toBe(best.served);
+    expect(objective === 'score' ? result.totalScore : result.totalCost).toBe(best.value);
+  });
+
+  test('allocateSuppliers never exceeds supplier capacity or vendor demand', () => {
+    const result = Engine.allocateSuppliers({ vendors, suppliers, pairs });
+    suppliers.forEach(sp => expect(result.supplierLoad[sp.id]).toBeLessThanOrEqual(sp.capacity));
+    vendors.forEach(v => expect(result.unmetDemand[v.id]).toBeGreaterThanOrEqual(0));
+  });
+
+  test('pairs that are not listed are never used and short capacity shows as unmet demand', () => {
+    const result = Engine.allocateSuppliers({ vendors, suppliers: [{ id: 'a', capacity: 4 }], pairs: pairs.slice(0, 1) });
+    expect(result.matrix).toEqual({ v1: { a: 3 }, v2: { a: 0 } });
+    expect(result.unmetDemand).toEqual({ v1: 0, v2: 2 });
+    expect(result.supplierLoad).toEqual({ a: 3 });
+  });
+
+  test('expandVendorSupplierPairs fills missing pairs from the supplier averages', () => {
+    const pairsOut = Engine.expandVendorSupplierPairs(STRATEGIES);
+    expect(pairsOut).toHaveLength(4 * 3);
+    const derived = pairsOut.find(p => p.vendor === 'City Store' && p.supplier === 'SwiftDeliver Inc');
+    expect(derived.derived).toBe(true);
+    expect(derived.deliveryTime).toBe(49);
+    expect(derived.cost).toBe(410);
+    expect(derived.reliabilityPct).toBe(91);
+    expect(pairsOut.find(p => p.id === 's3').derived).toBeUndefined();
+  });
+});
+
+describe('adaptive learning', () => {
+  const EVEN = { Wd: 0.25, Wf: 0.25, Wc: 0.25, Wr: 0.25 };
+
+  test('spoilage moves weight from cost to freshness, lateness from cost to delivery', () => {
+    const spoilage = Engine.adaptiveLearning(EVEN, { spoilageRiskPercent: 20, avgDelay: 0 }, { learningRate: 0.03 });
+    expect(spoilage.delta.Wf).toBeGreaterThan(0);
+    expect(spoilage.delta.Wc).toBeLessThan(0);
+    expect(spoilage.delta.Wd).toBeLessThan(0); // only through renormalisation
+    expect(Object.values(spoilage.after).reduce((s, w) => s + w, 0)).toBeCloseTo(1);
+
+    const late = Engine.adaptiveLearning(EVEN, { spoilageRiskPercent: 0, avgDelay: 10, delayThreshold: 5 });
+    expect(late.delta.Wd).toBeGreaterThan(0);
+    expect(late.delta.Wc).toBeLessThan(0);
+
+    const fine = Engine.adaptiveLearning(EVEN, { spoilageRiskPercent: 5, avgDelay: 2 });
+    Object.values(fine.delta).forEach(d => expect(d).toBeCloseTo(0, 12));
+  });
+
+  test('the learning rate decays by episode and the floor keeps weights alive', () => {
+    const early = Engine.adaptiveLearning(EVEN, { spoilageRiskPercent: 20 }, { learningRate: 0.1, decay: 1, episode: 0 });
+    const later = Engine.adaptiveLearning(EVEN, { spoilageRiskPercent: 20 }, { learningRate: 0.1, decay: 1, episode: 4 });
+    expect(early.rate).toBeCloseTo(0.1);
+    expect(later.rate).toBeCloseTo(0.02);
+
+    const starved = Engine.adaptiveLearning({ ...EVEN, Wc: 0.01 }, { spoilageRiskPercent: 20 }, { learningRate: 0.3, floor: 0.05 });
+    expect(starved.after.Wc).toBeGreaterThan(0);
+  });
+
+  test('learningEpisode records history and converges once changes stay small', () => {
+    let state = Engine.createLearningState({ Wd: 3, Wf: 3, Wc: 2, Wr: 2 });
+    expect(state.weights.Wd).toBeCloseTo(0.3);
+    expect(state.history).toHaveLength(1);
+
+    state = Engine.learningEpisode(state, { spoilageRiskPercent: 20, avgDelay: 0 }).state;
+    expect(state.history).toHaveLength(2);
+    expect(state.history[1].change).toBeGreaterThan(0.002);
+    expect(state.converged).toBe(false);
+
+    for (let i = 0; i < 3; i++) {
+      state = Engine.learningEpisode(state, { spoilageRiskPercent: 0, avgDelay: 0 }).state;
+    }
+    expect(state.history).toHaveLength(5);
+    expect(state.converged).toBe(true);
+  });
+});
+
+describe('strategy bandit', () => {
+  const ARMS = ['s1', 's2', 's3'];
+  const pull = (state, armId, rewards) => rewards.reduce((s, r) => Engine.banditUpdate(s, armId, r), state);
+
+  test('outcomeReward scores an outcome with the FDS sub-scores', () => {
+    const s1 = STRATEGIES[0];
+    const perfect = Engine.outcomeReward(s1, { actualMinutes: 0, spoilagePct: 0, actualCost: 0, onTime: true }, WEIGHTS);
+    expect(perfect).toBeCloseTo(1);
+    const reward = Engine.outcomeReward(s1, { actualMinutes: 30, spoilagePct: 10, actualCost: 300, onTime: false }, WEIGHTS);
+    expect(reward).toBeCloseTo(0.3 * 0.5 + 0.3 * 0.9 + 0.2 * 0.5 + 0.2 * 0);
+  });
+
+  test('banditUpdate adds fractional rewards to the Beta posterior', () => {
+    const state = pull(Engine.createBanditState(), 's1', [1, 0.25, 2]);
+    expect(state.totalPulls).toBe(3);
+    expect(state.arms.s1).toEqual({ pulls: 3, rewardSum: 2.25, alpha: 3.25, beta: 1.75 });
+    const [est] = Engine.banditEstimates(state, ['s1']);
+    expect(est.mean).toBeCloseTo(3.25 / 5);
+    expect(est.lower).toBeLessThan(est.mean);
+    expect(est.upper).toBeGreaterThan(est.mean);
+  });
+
+  test('Thompson sampling is reproducible for a seed and favours the proven arm', () => {
+    let state = Engine.createBanditState('thompson');
+    state = pull(state, 's1', Array(30).fill(0.9));
+    state = pull(state, 's2', Array(30).fill(0.2));
+    state = pull(state, 's3', Array(30).fill(0.3));
+    const first = Engine.banditSelect(state, ARMS, { seed: 12 });
+    expect(Engine.banditSelect(state, ARMS, { seed: 12 })).toEqual(first);
+    const rng = Engine.createRng(3);
+    const picks = Array.from({ length: 50 }, () => Engine.banditSelect(state, ARMS, { rng }).armId);
+    expect(picks.filter(id => id === 's1').length).toBeGreaterThan(45);
+  });
+
+  test('UCB tries every arm once, then follows the highest index', () => {
+    let state = Engine.createBanditState('ucb');
+    state = pull(state, 's1', [0.9]);
+    expect(Engine.banditSelect(state, ARMS).armId).toBe('s2');
+    state = pull(state, 's2', [0.1]);
+    state = pull(state, 's3', [0.5]);
+    const { armId, scored } = Engine.banditSelect(state, ARMS);
+    expect(armId).toBe('s1');
+    const bonus = Math.sqrt(2 * Math.log(3));
+    expect(scored.find(s => s.id === 's1').index).toBeCloseTo(0.9 + bonus);
+  });
+});
+
+describe('recorded outcomes', () => {
+  const OUTCOMES = [
+    { strategyId: 's1', actualMinutes: 58, actualCost: 430, spoilagePct: 10, onTime: false },
+    { strategyId: 's1', actualMinutes: 54, actualCost: 410, spoilagePct: 20, onTime: true },
+    { strategyId: 's3', actualMinutes: NaN, actualCost: 450, onTime: true },
+  ];
+
+  test('calibrateStrategies blends planned figures with observed ones', () => {
+    const calibrated = Engine.calibrateStrategies(STRATEGIES, OUTCOMES, { priorWeight: 2 });
+    const s1 = calibrated.find(s => s.id === 's1');
+    expect(s1.deliveryTime).toBeCloseTo((2 * 48 + 2 * 56) / 4);
+    expect(s1.reliabilityPct).toBeCloseTo((2 * 92 + 2 * 50) / 4);
+    expect(s1.calibration).toEqual({ outcomes: 2, plannedDeliveryTime: 48, plannedReliabilityPct: 92 });
+
+    // an untimed outcome still counts toward reliability
+    const s3 = calibrated.find(s => s.id === 's3');
+    expect(s3.deliveryTime).toBe(42);
+    expect(s3.reliabilityPct).toBeCloseTo((2 * 95 + 100) / 3);
+
+    expect(calibrated.find(s => s.id === 's2')).toBe(STRATEGIES[1]);
+  });
+
+  test('outcomeMetrics averages spoilage and lateness over the recent window', () => {
+    const metrics = Engine.outcomeMetrics(OUTCOMES, STRATEGIES, { delayThreshold: 4 });
+    expect(metrics).toEqual({ spoilageRiskPercent: 15, avgDelay: 8, delayThreshold: 4, count: 3 });
+    const recent = Engine.outcomeMetrics(OUTCOMES, STRATEGIES, { recent: 1 });
+    expect(recent).toEqual({ spoilageRiskPercent: 0, avgDelay: 0, delayThreshold: 5, count: 1 });
+  });
+});
+
+describe('scenario composition', () => {
+  const LIBRARY = [
+    ...Engine.BUILTIN_SCENARIOS,
+    { id: 'rushHour', name: 'Rush hour + fuel', components: ['peakTraffic', 'fuelCostSpike'] },
+    { id: 'badDay', name: 'Bad day', components: ['rushHour', 'coldChainFailure'] },
+    { id: 'loopA', name: 'Loop A', components: ['loopB'] },
+    { id: 'loopB', name: 'Loop B', components: ['loopA', 'peakTraffic'] },
+  ];
+
+  test('composites multiply the multipliers and scale k relative to the default', () => {
+    expect(Engine.resolveScenarioParams(LIBRARY, 'rushHour')).toEqual({
+      k: 0.04, deliveryMultiplier: 1.25, costMultiplier: 1.15, reliabilityModifier: 1,
+    });
+    const bad = Engine.resolveScenarioParams(LIBRARY, 'badDay');
+    expect(bad.k).toBeCloseTo(0.1);
+    expect(bad.deliveryMultiplier).toBeCloseTo(1.25 * 1.15);
+    expect(bad.costMultiplier).toBeCloseTo(1.15 * 1.1);
+    expect(bad.reliabilityModifier).toBeCloseTo(0.85);
+    expect(Engine.composeScenarioParams([{ k: 0.08 }, { k: 0.06 }]).k).toBeCloseTo(0.04 * 2 * 1.5);
+  });
+
+  test('unknown ids and component cycles resolve to neutral', () => {
+    const neutral = { k: 0.04, deliveryMultiplier: 1, costMultiplier: 1, reliabilityModifier: 1 };
+    expect(Engine.resolveScenarioParams(LIBRARY, 'missing')).toEqual(neutral);
+    // loopA -> loopB -> (loopA: cycle, neutral) x peakTraffic
+    expect(Engine.resolveScenarioParams(LIBRARY, 'loopA')).toEqual({ ...neutral, deliveryMultiplier: 1.25 });
+  });
+
+  test('a composed scenario ranks like one built from its values', () => {
+    const composed = Engine.resolveScenarioParams(LIBRARY, 'rushHour');
+    const direct = { k: 0.04, deliveryMultiplier: 1.25, costMultiplier: 1.15, reliabilityModifier: 1 };
+    const ids = (sc) => Engine.rankStrategies(STRATEGIES, WEIGHTS, sc).ranked.map(r => [r.id, r.computed.FDS]);
+    expect(ids(composed)).toEqual(ids(direct));
+  });
+});
+
+// cost and reliability only, so FDS = 0.5 * (1 - cost / 1000) + 0.5 * reliability / 100:
+//            base   cost x1.6   reliability x0.8
+//   a (cheap) 0.65     0.59         0.60
+//   b (solid) 0.70     0.52         0.60
+const ROBUST_STRATEGIES = [
+  { id: 'a', vendor: 'Cheap', supplier: 'X', deliveryTime: 30, maxDelivery: 60, cost: 200, maxCost: 1000, reliabilityPct: 50 },
+  { id: 'b', vendor: 'Solid', supplier: 'Y', deliveryTime: 30, maxDelivery: 60, cost: 600, maxCost: 1000, reliabilityPct: 100 },
+];
+const ROBUST_WEIGHTS = { Wd: 0, Wf: 0, Wc: 0.5, Wr: 0.5 };
+const ROBUST_SCENARIOS = [
+  { id: 'base', name: 'Base', params: { ...SCENARIO } },
+  { id: 'fuel', name: 'Fuel', params: { ...SCENARIO, costMultiplier: 1.6 } },
+  { id: 'strike', name: 'Strike', params: { ...SCENARIO, reliabilityModifier: 0.8 } },
+];
+const PROBABILITIES = { base: 3, fuel: 1, strike: 1 };
+// a falls to 40% reliability in the strike scenario
+const FLOOR_45 = [{ ...RELIABILITY_FLOOR[0], limit: 45 }];
+
+describe('scenarioMatrix', () => {
+  const rowOf = (result, id) => result.rows.find(r => r.id === id);
+
+  test('cells hold each scenario score and rank; worst and expected use the probabilities', () => {
+    const result = Engine.scenarioMatrix(ROBUST_STRATEGIES, ROBUST_WEIGHTS, ROBUST_SCENARIOS, { probabilities: PROBABILITIES });
+    expect(result.scenarios.map(s => s.probability)).toEqual([0.6, 0.2, 0.2]);
+    const a = rowOf(result, 'a');
+    const b = rowOf(result, 'b');
+    expect(a.cells.base.FDS).toBeCloseTo(0.65);
+    expect(a.cells.base.rank).toBe(2);
+    expect(a.cells.fuel.rank).toBe(1);
+    expect(a.worst).toBeCloseTo(0.59);
+    expect(b.worst).toBeCloseTo(0.52);
+    expect(a.expected).toBeCloseTo(0.628);
+    expect(b.expected).toBeCloseTo(0.644);
+    expect(result.minimaxId).toBe('a');
+    expect(result.expectedId).toBe('b');
+  });
+
+  test('missing probabilities mean equal weights', () => {
+    const result = Engine.scenarioMatrix(ROBUST_STRATEGIES, ROBUST_WEIGHTS, ROBUST_SCENARIOS);
+    expect(rowOf(result, 'a').expected).toBeCloseTo((0.65 + 0.59 + 0.6) / 3);
+    expect(result.expectedId).toBe('a');
+  });
+
+  test('infeasible scenarios are counted apart and rank first', () => {
+    const result = Engine.scenarioMatrix(ROBUST_STRATEGIES, ROBUST_WEIGHTS, ROBUST_SCENARIOS,
+      { probabilities: PROBABILITIES, constraints: FLOOR_45 });
+    const a = rowOf(result, 'a');
+    expect(a.cells.strike.feasible).toBe(false);
+    expect(a.infeasibleCount).toBe(1);
+    expect(a.feasibleProbability).toBeCloseTo(0.8);
+    expect(a.worst).toBeCloseTo(0.59);
+    expect(a.expected).toBeCloseTo((0.6 * 0.65 + 0.2 * 0.59) / 0.8);
+    expect(result.minimaxId).toBe('b');
+    expect(result.expectedId).toBe('b');
+  });
+
+  test('a strategy infeasible everywhere has no scores and loses', () => {
+    const result = Engine.scenarioMatrix(ROBUST_STRATEGIES, ROBUST_WEIGHTS, ROBUST_SCENARIOS,
+      { constraints: [{ ...RELIABILITY_FLOOR[0], limit: 70 }] });
+    const a = rowOf(result, 'a');
+    expect(a.infeasibleCount).toBe(3);
+    expect(a.worst).toBeNull();
+    expect(a.expected).toBeNull();
+    expect(result.minimaxId).toBe('b');
+  });
+});
+
+describe('robustAnalysis', () => {
+  const rowOf = (result, id) => result.rows.find(r => r.id === id);
+  const analyse = (options) => Engine.robustAnalysis(ROBUST_STRATEGIES, ROBUST_WEIGHTS, ROBUST_SCENARIOS, { probabilities: PROBABILITIES, ...options });
+
+  test('regret is the gap to the best score in each scenario', () => {
+    const result = analyse();
+    const a = rowOf(result, 'a');
+    const b = rowOf(result, 'b');
+    expect(a.regrets.base).toBeCloseTo(0.05);
+    expect(a.regrets.fuel).toBeCloseTo(0);
+    expect(b.regrets.fuel).toBeCloseTo(0.07);
+    expect(a.maxRegret).toBeCloseTo(0.05);
+    expect(a.maxRegretScenario).toBe('base');
+    expect(b.maxRegretScenario).toBe('fuel');
+    expect(result.minimaxRegretId).toBe('a');
+  });
+
+  test('CVaR averages the worst alpha of probability mass', () => {
+    const tail = analyse({ alpha: 0.2 });
+    expect(rowOf(tail, 'a').cvar).toBeCloseTo(0.59);
+    expect(rowOf(tail, 'b').cvar).toBeCloseTo(0.52);
+    expect(tail.cvarId).toBe('a');
+
+    const half = analyse({ alpha: 0.5 });
+    expect(rowOf(half, 'a').cvar).toBeCloseTo((0.59 * 0.2 + 0.6 * 0.2 + 0.65 * 0.1) / 0.5);
+    expect(rowOf(half, 'b').cvar).toBeCloseTo((0.52 * 0.2 + 0.6 * 0.2 + 0.7 * 0.1) / 0.5);
+
+    // the whole distribution is the expectation, where b is ahead
+    const whole = analyse({ alpha: 1 });
+    expect(rowOf(whole, 'b').cvar).toBeCloseTo(0.644);
+    expect(whole.cvarId).toBe('b');
+  });
+
+  test('regret and CVaR only cover the scenarios a strategy can run in', () => {
+    const result = analyse({ alpha: 0.2, constraints: FLOOR_45 });
+    const a = rowOf(result, 'a');
+    expect(a.regrets.strike).toBeNull();
+    expect(a.maxRegret).toBeCloseTo(0.05);
+    expect(rowOf(result, 'b').regrets.strike).toBeCloseTo(0);
+    expect(a.cvar).toBeCloseTo(0.59);
+    expect(result.minimaxRegretId).toBe('b');
+    expect(result.cvarId).toBe('b');
+  });
+
+  test('a strategy infeasible everywhere has no regret or CVaR', () => {
+    const result = analyse({ constraints: [{ ...RELIABILITY_FLOOR[0], limit: 70 }] });
+    const a = rowOf(result, 'a');
+    expect(a.maxRegret).toBeNull();
+    expect(a.maxRegretScenario).toBeNull();
+    expect(a.cvar).toBeNull();
+    expect(result.minimaxRegretId).toBe('b');
+  });
+});
+
+describe('hour-of-day scenarios', () => {
+  const WEEKDAY = Engine.BUILTIN_SCENARIOS.find(s => s.id === 'urbanWeekday');
+
+  test('scenarioAtHour interpolates profiles between whole hours', () => {
+    expect(Engine.scenarioAtHour(SCENARIO, 8)).toBe(SCENARIO);
+    expect(Engine.scenarioAtHour(WEEKDAY, undefined)).toBe(WEEKDAY);
+    const at = Engine.scenarioAtHour({ ...WEEKDAY, deliveryMultiplier: 2 }, 7.5);
+    expect(at.deliveryMultiplier).toBeCloseTo(2 * (1.3 + 1.35) / 2);
+    expect(at.departureHour).toBe(7.5);
+    expect(at.profiles).toBeUndefined();
+    expect(Engine.scenarioAtHour(WEEKDAY, 15).temperatureOffset).toBe(7);
+    expect(Engine.scenarioAtHour(WEEKDAY, 3).temperatureOffset).toBe(-7);
+    // wraps past midnight
+    expect(Engine.scenarioAtHour(WEEKDAY, 23.5).deliveryMultiplier).toBeCloseTo((0.8 + 0.8) / 2);
+  });
+
+  test('the temperature offset shifts each product from its own storage temperature', () => {
+    const warm = { k: 0.04, temperatureOffset: 10 };
+    // Q10 produce: 8°C + 10 -> rate x q10^((18 - 4) / 10)
+    expect(Engine.freshnessScoreFor({ category: 'produce' }, 30, 0.04, warm))
+      .toBeCloseTo(Math.exp(-0.04 * Math.pow(2.5, 1.4) * 30));
+    // no temperature term of its own: the rate doubles per 10°C
+    expect(Engine.freshnessScoreFor({ category: 'general' }, 30, 0.04, warm)).toBeCloseTo(Math.exp(-0.08 * 30));
+  });
+
+  test('frozen stock stays frozen through the afternoon peak while produce spoils', () => {
+    const at15 = Engine.scenarioAtHour(WEEKDAY, 15);
+    const frozen = Engine.freshnessScoreFor({ category: 'frozen' }, 55, at15.k, at15);
+    const produce = Engine.freshnessScoreFor({ category: 'produce' }, 55, at15.k, at15);
+    expect(frozen).toBeGreaterThan(0.8);
+    expect(produce).toBeLessThan(0.1);
+  });
+
+  test('composed profiles multiply factors and keep the warmer offset', () => {
+    const heatwave = { k: 0.04, profiles: { temperatureOffset: Engine.HOURLY_PROFILES.heatwave.temperatureOffset } };
+    const composed = Engine.composeScenarioParams([WEEKDAY, heatwave, { k: 0.04, profiles: { deliveryMultiplier: Array(24).fill(2) } }]);
+    expect(composed.profiles.temperatureOffset[15]).toBe(17);
+    expect(composed.profiles.deliveryMultiplier[8]).toBeCloseTo(2.7);
+    expect(Engine.composeScenarioParams([SCENARIO]).profiles).toBeUndefined();
+  });
+
+  test('rankStrategies applies the departure hour', () => {
+    const fds = (hour) => Engine.rankStrategies(STRATEGIES, WEIGHTS, WEEKDAY, { departureHour: hour }).ranked[0].computed.FDS;
+    expect(fds(3)).toBeGreaterThan(fds(8));
+  });
+
+  test('dispatchWindows finds the best hour and the window around it within tolerance', () => {
+    const { hours, series, byStrategy } = Engine.dispatchWindows(STRATEGIES, { Wd: 1, Wf: 0, Wc: 0, Wr: 0 }, WEEKDAY, { tolerance: 0.02 });
+    expect(hours).toHaveLength(24);
+    const s1 = byStrategy.s1;
+    const values = series.map(p => p.s1);
+    expect(s1.bestFDS).toBe(Math.max(...values));
+    expect(s1.worstFDS).toBe(Math.min(...values));
+    expect(values[s1.bestHour]).toBe(s1.bestFDS);
+    // the rush hours are never in the window
+    const inWindow = (h) => (s1.window.start <= s1.window.end
+      ? h >= s1.window.start && h < s1.window.end
+      : h >= s1.window.start || h < s1.window.end);
+    hours.filter(inWindow).forEach(h => expect(values[h]).toBeGreaterThanOrEqual(s1.bestFDS - 0.02));
+    expect(inWindow(s1.bestHour)).toBe(true);
+    expect(inWindow(8)).toBe(false);
+    expect(inWindow(17)).toBe(false);
+  });
+});
+
+describe('explanations', () => {
+  test('factor contributions add up to FDS, penalties included', () => {
+    const ceiling = [{ id: 'maxCost', label: 'Cost ceiling', field: 'actualCost', op: 'max', limit: 400, type: 'soft', penalty: 1 }];
+    const { ranked } = Engine.rankStrategies(STRATEGIES, WEIGHTS, SCENARIO, { constraints: ceiling });
+    ranked.forEach(r => {
+      const c = Engine.factorContributions(r.computed, WEIGHTS);
+      expect(c.delivery + c.freshness + c.cost + c.reliability).toBeCloseTo(r.computed.rawFDS);
+      expect(c.delivery + c.freshness + c.cost + c.reliability + c.penalty).toBeCloseTo(r.computed.FDS);
+    });
+    const s3 = ranked.find(r => r.id === 's3');
+    expect(Engine.factorContributions(s3.computed, WEIGHTS).penalty).toBeCloseTo(-50 / 400);
+    expect(Engine.factorContributions(s3.computed, WEIGHTS).cost).toBeCloseTo(0.2 * 0.25);
+  });
+
+  test('explainRanking compares the top pick with the runner-up factor by factor', () => {
+    const { ranked } = Engine.rankStrategies(STRATEGIES, WEIGHTS, SCENARIO);
+    const explanation = Engine.explainRanking(ranked, WEIGHTS);
+    const [top, second] = ranked;
+    expect(explanation.topId).toBe(top.id);
+    expect(explanation.strategies.map(s => s.rank)).toEqual([1, 2, 3, 4]);
+    const { comparison } = explanation;
+    expect(comparison.runnerUpId).toBe(second.id);
+    expect(comparison.scoreAdvantage).toBeCloseTo(top.computed.FDS - second.computed.FDS);
+    expect(comparison.factors.reduce((sum, f) => sum + f.delta, 0)).toBeCloseTo(comparison.scoreAdvantage);
+    expect(comparison.vsRunnerUp.deliveryFasterPct).toBeCloseTo(
+      ((second.computed.deliveryTime - top.computed.deliveryTime) / second.computed.deliveryTime) * 100);
+    expect(comparison.vsRunnerUp.reliabilityPts).toBe(top.computed.reliabilityPct - second.computed.reliabilityPct);
+    expect(explanation.confidence).toBeNull();
+  });
+
+  test('confidence comes from how often the top pick stayed first', () => {
+    const { ranked } = Engine.rankStrategies(STRATEGIES, WEIGHTS, SCENARIO);
+    const mc = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 100, { seed: 6 });
+    const { confidence } = Engine.explainRanking(ranked, WEIGHTS, { monteCarlo: mc });
+    expect(confidence.stability).toBe(mc.stability);
+    expect(confidence.seed).toBe(6);
+    expect(confidence.probFirst[ranked[0].id]).toBe(mc.topCounts[ranked[0].id] / 100);
+  });
+
+  test('a single strategy has nothing to compare against', () => {
+    const { ranked } = Engine.rankStrategies(STRATEGIES.slice(0, 1), WEIGHTS, SCENARIO);
+    const explanation = Engine.explainRanking(ranked, WEIGHTS);
+    expect(explanation.comparison).toBeNull();
+    expect(explanation.strategies).toHaveLength(1);
+  });
+});
+
+describe('counterfactualToWin', () => {
+  const topOf = (strategies, weights = WEIGHTS, options) => Engine.rankStrategies(strategies, weights, SCENARIO, options).ranked[0].id;
+  const withValue = (id, field, value) => STRATEGIES.map(s => (s.id === id ? { ...s, [field]: value } : s));
+
+  test('the leader needs no change and unknown ids have no answer', () => {
+    const leader = topOf(STRATEGIES);
+    expect(Engine.counterfactualToWin(STRATEGIES, WEIGHTS, SCENARIO, leader)).toMatchObject({ rank: 1, alreadyFirst: true });
+    expect(Engine.counterfactualToWin(STRATEGIES, WEIGHTS, SCENARIO, 'nope')).toBeNull();
+  });
+
+  test('each possible lever flips the ranking at its threshold and not before', () => {
+    const leader = topOf(STRATEGIES);
+    const target = STRATEGIES.find(s => s.id !== leader).id;
+    const cf = Engine.counterfactualToWin(STRATEGIES, WEIGHTS, SCENARIO, target);
+    expect(cf.rank).toBeGreaterThan(1);
+    expect(cf.leaderId).toBe(leader);
+    const possible = cf.levers.filter(l => l.possible);
+    expect(possible.length).toBeGreaterThan(0);
+    possible.forEach(l => {
+      expect(topOf(withValue(target, l.field, l.to))).toBe(target);
+      // a little less of the change is not enough
+      expect(topOf(withValue(target, l.field, l.from + l.change * 0.99))).not.toBe(target);
+    });
+  });
+
+  test('the weight change puts the target first', () => {
+    const cf = Engine.counterfactualToWin(STRATEGIES, WEIGHTS, SCENARIO, 's4');
+    expect(cf.weightChange).not.toBeNull();
+    const { from, to, amount, weights } = cf.weightChange;
+    expect(weights[from]).toBeCloseTo(WEIGHTS[from] - amount);
+    expect(weights[to]).toBeCloseTo(WEIGHTS[to] + amount);
+    expect(topOf(STRATEGIES, weights)).toBe('s4');
+    // half the transfer leaves the leader in place
+    const half = { ...WEIGHTS, [from]: WEIGHTS[from] - amount / 2, [to]: WEIGHTS[to] + amount / 2 };
+    expect(topOf(STRATEGIES, half)).not.toBe('s4');
+  });
+
+  test('levers that cannot win on their own are reported as impossible', () => {
+    // on cost alone the cheapest, s4, would lead - but it breaks the reliability floor,
+    // so only the reliability lever can put it first and no weight change can
+    const COST_ONLY = { Wd: 0, Wf: 0, Wc: 1, Wr: 0 };
+    const options = { constraints: RELIABILITY_FLOOR };
+    const cf = Engine.counterfactualToWin(STRATEGIES, COST_ONLY, SCENARIO, 's4', options);
+    const byField = Object.fromEntries(cf.levers.map(l => [l.field, l]));
+    expect(byField.deliveryTime.possible).toBe(false);
+    expect(byField.cost.possible).toBe(false);
+    expect(byField.reliabilityPct.possible).toBe(true);
+    expect(byField.reliabilityPct.to).toBeCloseTo(90, 6);
+    expect(topOf(withValue('s4', 'reliabilityPct', byField.reliabilityPct.to), COST_ONLY, options)).toBe('s4');
+    expect(topOf(withValue('s4', 'reliabilityPct', 89.9), COST_ONLY, options)).not.toBe('s4');
+    expect(cf.weightChange).toBeNull();
+  });
+});
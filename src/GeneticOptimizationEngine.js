@@ -0,0 +1,407 @@
+// GeneticOptimizationEngine.js
+// Genetic algorithm for vendor delivery sequencing
+
+import Engine from "./DecisionOptimizationEngine";
+
+const calculateFitness = (vendorOrder, vendors) => {
+  let totalDelay = 0;
+  let demandPriority = 0;
+  
+  vendorOrder.forEach((vendorId, index) => {
+    const vendor = vendors.find(v => v.id === vendorId);
+    if (vendor) {
+      const positionDelay = vendor.baseDelay + (index * 2);
+      const congestionMultiplier = 1 + (vendor.congestionLevel / 100);
+      totalDelay += positionDelay * congestionMultiplier;
+      demandPriority += vendor.demand;
+    }
+  });
+
+  const fitness = (1 / (totalDelay + 1)) + (demandPriority * 0.01);
+  return { fitness, totalDelay, demandPriority };
+};
+
+// Fisher-Yates shuffle driven by the supplied rng so a seeded run is reproducible
+const shuffle = (items, rng = Math.random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const generatePopulation = (vendors, populationSize = 50, rng = Math.random) => {
+  const population = [];
+  for (let i = 0; i < populationSize; i++) {
+    const shuffled = shuffle(vendors, rng);
+    population.push(shuffled.map(v => v.id));
+  }
+  return population;
+};
+
+const tournamentSelect = (population, vendors, tournamentSize = 5, rng = Math.random, fitnessFn = calculateFitness) => {
+  const tournament = [];
+  for (let i = 0; i < tournamentSize; i++) {
+    const randomIndex = Math.floor(rng() * population.length);
+    tournament.push(population[randomIndex]);
+  }
+  
+  let best = tournament[0];
+  let bestFitness = fitnessFn(best, vendors).fitness;
+  
+  tournament.forEach(individual => {
+    const { fitness } = fitnessFn(individual, vendors);
+    if (fitness > bestFitness) {
+      best = individual;
+      bestFitness = fitness;
+    }
+  });
+  
+  return best;
+};
+
+const crossover = (parent1, parent2, rng = Math.random) => {
+  const start = Math.floor(rng() * parent1.length);
+  const end = Math.floor(rng() * (parent1.length - start)) + start;
+  
+  const child = new Array(parent1.length).fill(null);
+  
+  for (let i = start; i <= end; i++) {
+    child[i] = parent1[i];
+  }
+  
+  let currentIndex = 0;
+  for (let i = 0; i < parent1.length; i++) {
+    if (i >= start && i <= end) continue;
+    while (child.includes(parent2[currentIndex])) {
+      currentIndex++;
+    }
+    child[i] = parent2[currentIndex];
+    currentIndex++;
+  }
+  
+  return child;
+};
+
+const mutate = (individual, mutationRate = 0.1, rng = Math.random) => {
+  if (rng() < mutationRate) {
+    const i = Math.floor(rng() * individual.length);
+    const j = Math.floor(rng() * individual.length);
+    [individual[i], individual[j]] = [individual[j], individual[i]];
+  }
+  return individual;
+};
+
+// two cut points i <= j, drawn the same way as crossover
+const segmentBounds = (length, rng) => {
+  const start = Math.floor(rng() * length);
+  const end = Math.floor(rng() * (length - start)) + start;
+  return [start, end];
+};
+
+// Partially mapped crossover: parent1's segment, the rest placed through the segment's mapping
+const pmxCrossover = (parent1, parent2, rng = Math.random) => {
+  const [start, end] = segmentBounds(parent1.length, rng);
+  const child = new Array(parent1.length).fill(null);
+
+  for (let i = start; i <= end; i++) {
+    child[i] = parent1[i];
+  }
+
+  for (let i = start; i <= end; i++) {
+    if (child.includes(parent2[i])) continue;
+    let pos = i;
+    while (pos >= start && pos <= end) {
+      pos = parent2.indexOf(parent1[pos]);
+    }
+    child[pos] = parent2[i];
+  }
+
+  for (let i = 0; i < child.length; i++) {
+    if (child[i] === null) child[i] = parent2[i];
+  }
+  return child;
+};
+
+// Cycle crossover: every position keeps a gene from one parent, alternating parent per cycle
+const cycleCrossover = (parent1, parent2) => {
+  const child = new Array(parent1.length).fill(null);
+  let fromFirst = true;
+
+  for (let startAt = 0; startAt < parent1.length; startAt++) {
+    if (child[startAt] !== null) continue;
+    let i = startAt;
+    do {
+      child[i] = fromFirst ? parent1[i] : parent2[i];
+      i = parent1.indexOf(parent2[i]);
+    } while (i !== startAt);
+    fromFirst = !fromFirst;
+  }
+  return child;
+};
+
+// reverse a random segment
+const inversionMutate = (individual, mutationRate = 0.1, rng = Math.random) => {
+  if (rng() < mutationRate) {
+    const [start, end] = segmentBounds(individual.length, rng);
+    const reversed = individual.slice(start, end + 1).reverse();
+    individual.splice(start, reversed.length, ...reversed);
+  }
+  return individual;
+};
+
+// move one gene to another position
+const insertionMutate = (individual, mutationRate = 0.1, rng = Math.random) => {
+  if (rng() < mutationRate) {
+    const from = Math.floor(rng() * individual.length);
+    const to = Math.floor(rng() * individual.length);
+    const [gene] = individual.splice(from, 1);
+    individual.splice(to, 0, gene);
+  }
+  return individual;
+};
+
+const CROSSOVER_OPERATORS = {
+  ox: { label: "Order (OX)", fn: crossover },
+  pmx: { label: "Partially mapped (PMX)", fn: pmxCrossover },
+  cycle: { label: "Cycle (CX)", fn: cycleCrossover },
+};
+
+const MUTATION_OPERATORS = {
+  swap: { label: "Swap", fn: mutate },
+  inversion: { label: "Inversion", fn: inversionMutate },
+  insertion: { label: "Insertion", fn: insertionMutate },
+};
+
+// stagnationLimit: stop after this many generations without a better individual (0 = off);
+// convergenceThreshold: stop once (best - average) / best falls to this (0 = off)
+const DEFAULT_GA_OPTIONS = {
+  elitism: 1,
+  tournamentSize: 5,
+  mutationRate: 0.1,
+  crossover: "ox",
+  mutation: "swap",
+  stagnationLimit: 0,
+  convergenceThreshold: 0,
+};
+
+// options: { rng, seed, onProgress, fitness, ...DEFAULT_GA_OPTIONS } - same as Engine.monteCarloSimulation,
+// pass one rng across calls to replay a run;
+// onProgress({ generation, generations, bestFitness, averageFitness, bestSolution }) fires after every generation;
+// fitness(order, vendors) -> { fitness } replaces calculateFitness (higher is better)
+const runGeneticOptimization = (vendors, generations = 20, populationSize = 50, options = {}) => {
+  const { rng, seed } = Engine.resolveRng(options);
+  const settings = { ...DEFAULT_GA_OPTIONS, ...options };
+  const crossoverFn = (CROSSOVER_OPERATORS[settings.crossover] || CROSSOVER_OPERATORS.ox).fn;
+  const mutateFn = (MUTATION_OPERATORS[settings.mutation] || MUTATION_OPERATORS.swap).fn;
+  const elitism = Math.min(Math.max(0, settings.elitism), populationSize);
+
+  // an order's fitness never changes within a run, and elites and tournaments revisit the same orders
+  const baseFitness = options.fitness || calculateFitness;
+  const cache = new Map();
+  const fitnessFn = (order) => {
+    const key = order.join(",");
+    if (!cache.has(key)) cache.set(key, baseFitness(order, vendors));
+    return cache.get(key);
+  };
+
+  let population = generatePopulation(vendors, populationSize, rng);
+  const history = [];
+  let bestSolution = population[0];
+  let bestFitness = fitnessFn(bestSolution).fitness;
+  let stagnant = 0;
+  let stoppedBy = "generations";
+
+  for (let gen = 0; gen < generations; gen++) {
+    const ranked = [...population].sort((a, b) => fitnessFn(b).fitness - fitnessFn(a).fitness);
+    const newPopulation = ranked.slice(0, elitism);
+
+    while (newPopulation.length < populationSize) {
+      const parent1 = tournamentSelect(population, vendors, settings.tournamentSize, rng, fitnessFn);
+      const parent2 = tournamentSelect(population, vendors, settings.tournamentSize, rng, fitnessFn);
+      let child = crossoverFn(parent1, parent2, rng);
+      child = mutateFn(child, settings.mutationRate, rng);
+      newPopulation.push(child);
+    }
+
+    population = newPopulation;
+
+    let improved = false;
+    let total = 0;
+    population.forEach(individual => {
+      const { fitness } = fitnessFn(individual);
+      total += fitness;
+      if (fitness > bestFitness) {
+        bestFitness = fitness;
+        bestSolution = individual;
+        improved = true;
+      }
+    });
+    const averageFitness = total / population.length;
+    stagnant = improved ? 0 : stagnant + 1;
+
+    history.push({ generation: gen + 1, fitness: bestFitness, average: averageFitness });
+    if (options.onProgress) {
+      options.onProgress({ generation: gen + 1, generations, bestFitness, averageFitness, bestSolution });
+    }
+
+    if (settings.stagnationLimit > 0 && stagnant >= settings.stagnationLimit) {
+      stoppedBy = "stagnation";
+      break;
+    }
+    if (settings.convergenceThreshold > 0 && (bestFitness - averageFitness) / bestFitness <= settings.convergenceThreshold) {
+      stoppedBy = "convergence";
+      break;
+    }
+  }
+
+  return { bestSolution, bestFitness, history, seed, generationsRun: history.length, stoppedBy };
+};
+
+/* ---------------- NSGA-II ---------------- */
+
+// a dominates b when it is no worse on every objective and better on one (all minimised)
+const dominates = (a, b) => a.every((v, i) => v <= b[i]) && a.some((v, i) => v < b[i]);
+
+// fronts of indices into objectiveValues, best (non-dominated) first
+const nonDominatedSort = (objectiveValues) => {
+  const dominatedBy = objectiveValues.map(() => []);
+  const dominationCount = objectiveValues.map(() => 0);
+  const fronts = [[]];
+  objectiveValues.forEach((a, i) => {
+    objectiveValues.forEach((b, j) => {
+      if (i === j) return;
+      if (dominates(a, b)) dominatedBy[i].push(j);
+      else if (dominates(b, a)) dominationCount[i]++;
+    });
+    if (dominationCount[i] === 0) fronts[0].push(i);
+  });
+  for (let f = 0; fronts[f].length > 0; f++) {
+    const next = [];
+    fronts[f].forEach(i => {
+      dominatedBy[i].forEach(j => {
+        dominationCount[j]--;
+        if (dominationCount[j] === 0) next.push(j);
+      });
+    });
+    fronts.push(next);
+  }
+  return fronts.slice(0, -1);
+};
+
+// { index: distance } for one front; boundary points are always kept (Infinity)
+const crowdingDistance = (front, objectiveValues) => {
+  const distance = {};
+  front.forEach(i => { distance[i] = 0; });
+  if (front.length === 0) return distance;
+  objectiveValues[front[0]].forEach((_, m) => {
+    const sorted = [...front].sort((a, b) => objectiveValues[a][m] - objectiveValues[b][m]);
+    const min = objectiveValues[sorted[0]][m];
+    const max = objectiveValues[sorted[sorted.length - 1]][m];
+    distance[sorted[0]] = Infinity;
+    distance[sorted[sorted.length - 1]] = Infinity;
+    if (max === min) return;
+    for (let k = 1; k < sorted.length - 1; k++) {
+      distance[sorted[k]] += (objectiveValues[sorted[k + 1]][m] - objectiveValues[sorted[k - 1]][m]) / (max - min);
+    }
+  });
+  return distance;
+};
+
+// options: { rng, seed, onProgress, objectives, ...DEFAULT_GA_OPTIONS } (elitism and stopping rules do not apply -
+// NSGA-II keeps the best of parents + offspring every generation);
+// objectives(order, vendors) -> number[] to minimise;
+// onProgress({ generation, generations, frontSize, bestSolution }) fires after every generation
+const runNSGA2 = (vendors, generations = 40, populationSize = 40, options = {}) => {
+  const { rng, seed } = Engine.resolveRng(options);
+  const settings = { ...DEFAULT_GA_OPTIONS, ...options };
+  const crossoverFn = (CROSSOVER_OPERATORS[settings.crossover] || CROSSOVER_OPERATORS.ox).fn;
+  const mutateFn = (MUTATION_OPERATORS[settings.mutation] || MUTATION_OPERATORS.swap).fn;
+
+  const cache = new Map();
+  const objectivesOf = (order) => {
+    const key = order.join(",");
+    if (!cache.has(key)) cache.set(key, options.objectives(order, vendors));
+    return cache.get(key);
+  };
+
+  // rank and crowding for a population; survivors are the first populationSize of the returned order
+  const rankPopulation = (individuals) => {
+    const values = individuals.map(objectivesOf);
+    const fronts = nonDominatedSort(values);
+    const rank = {};
+    const crowding = {};
+    const order = [];
+    fronts.forEach((front, f) => {
+      const distance = crowdingDistance(front, values);
+      front.forEach(i => { rank[i] = f; crowding[i] = distance[i]; });
+      order.push(...[...front].sort((a, b) => distance[b] - distance[a]));
+    });
+    return { order, rank, crowding, firstFront: fronts[0] };
+  };
+
+  // binary tournament: lower rank wins, then the less crowded
+  const select = (individuals, { rank, crowding }) => {
+    const a = Math.floor(rng() * individuals.length);
+    const b = Math.floor(rng() * individuals.length);
+    if (rank[a] !== rank[b]) return individuals[rank[a] < rank[b] ? a : b];
+    return individuals[crowding[a] >= crowding[b] ? a : b];
+  };
+
+  let population = generatePopulation(vendors, populationSize, rng);
+  let ranking = rankPopulation(population);
+
+  for (let gen = 0; gen < generations; gen++) {
+    const offspring = [];
+    while (offspring.length < populationSize) {
+      const child = crossoverFn(select(population, ranking), select(population, ranking), rng);
+      offspring.push(mutateFn(child, settings.mutationRate, rng));
+    }
+
+    // identical orders would crowd the front out, so each survives once
+    const seen = new Set();
+    const combined = [...population, ...offspring].filter(order => {
+      const key = order.join(",");
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    const combinedRanking = rankPopulation(combined);
+    population = combinedRanking.order.slice(0, populationSize).map(i => combined[i]);
+    ranking = rankPopulation(population);
+
+    if (options.onProgress) {
+      options.onProgress({
+        generation: gen + 1,
+        generations,
+        frontSize: ranking.firstFront.length,
+        bestSolution: population[ranking.firstFront[0]],
+      });
+    }
+  }
+
+  const front = ranking.firstFront.map(i => ({ order: population[i], objectives: objectivesOf(population[i]) }));
+  return { front, seed, generationsRun: generations };
+};
+
+export default {
+  DEFAULT_GA_OPTIONS,
+  CROSSOVER_OPERATORS,
+  MUTATION_OPERATORS,
+  calculateFitness,
+  shuffle,
+  generatePopulation,
+  tournamentSelect,
+  crossover,
+  pmxCrossover,
+  cycleCrossover,
+  mutate,
+  inversionMutate,
+  insertionMutate,
+  runGeneticOptimization,
+  dominates,
+  nonDominatedSort,
+  crowdingDistance,
+  runNSGA2,
+};
@@ -0,0 +1,71 @@
+import Genetic from './GeneticOptimizationEngine';
+import Engine from './DecisionOptimizationEngine';
+
+const VENDORS = [
+  { id: 'v1', baseDelay: 12, congestionLevel: 45, demand: 95 },
+  { id: 'v2', baseDelay: 8, congestionLevel: 30, demand: 65 },
+  { id: 'v3', baseDelay: 15, congestionLevel: 60, demand: 54 },
+  { id: 'v4', baseDelay: 10, congestionLevel: 75, demand: 96 },
+  { id: 'v5', baseDelay: 6, congestionLevel: 40, demand: 72 },
+  { id: 'v6', baseDelay: 9, congestionLevel: 55, demand: 91 },
+];
+const IDS = VENDORS.map(v => v.id);
+
+const expectPermutation = (order) => {
+  expect([...order].sort()).toEqual([...IDS].sort());
+};
+
+describe('operators', () => {
+  test.each(Object.keys(Genetic.CROSSOVER_OPERATORS))('%s crossover always yields a permutation', (key) => {
+    const { fn } = Genetic.CROSSOVER_OPERATORS[key];
+    const rng = Engine.createRng(1);
+    for (let i = 0; i < 200; i++) {
+      const p1 = Genetic.shuffle(IDS, rng);
+      const p2 = Genetic.shuffle(IDS, rng);
+      expectPermutation(fn(p1, p2, rng));
+    }
+  });
+
+  test.each(Object.keys(Genetic.MUTATION_OPERATORS))('%s mutation always yields a permutation', (key) => {
+    const { fn } = Genetic.MUTATION_OPERATORS[key];
+    const rng = Engine.createRng(2);
+    for (let i = 0; i < 200; i++) {
+      expectPermutation(fn(Genetic.shuffle(IDS, rng), 1, rng));
+    }
+  });
+});
+
+describe('runGeneticOptimization', () => {
+  test('the same seed replays the same run', () => {
+    const first = Genetic.runGeneticOptimization(VENDORS, 15, 20, { seed: 99 });
+    const second = Genetic.runGeneticOptimization(VENDORS, 15, 20, { seed: 99 });
+    expect(first.seed).toBe(99);
+    expect(second.bestSolution).toEqual(first.bestSolution);
+    expect(second.bestFitness).toBe(first.bestFitness);
+    expect(second.history).toEqual(first.history);
+    expectPermutation(first.bestSolution);
+  });
+});
+
+describe('NSGA-II', () => {
+  test('nonDominatedSort puts only mutually non-dominated points in the first front', () => {
+    const points = [[1, 5], [2, 2], [5, 1], [3, 3], [4, 4], [2, 6]];
+    const fronts = Genetic.nonDominatedSort(points);
+    expect(fronts[0].sort()).toEqual([0, 1, 2]);
+    expect(fronts.flat().sort()).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+
+  test('runNSGA2 returns a non-dominated front of permutations', () => {
+    // total delay against how late the largest order (v4) is served - the two pull apart
+    const objectives = (order, vendors) => [
+      Genetic.calculateFitness(order, vendors).totalDelay,
+      order.indexOf('v4'),
+    ];
+    const { front } = Genetic.runNSGA2(VENDORS, 20, 24, { seed: 5, objectives });
+    expect(front.length).toBeGreaterThan(0);
+    front.forEach(a => {
+      expectPermutation(a.order);
+      front.forEach(b => expect(Genetic.dominates(a.objectives, b.objectives)).toBe(false));
+    });
+  });
+});
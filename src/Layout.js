@@ -41,6 +41,7 @@ const Layout = () => {
           {menuItem("Simulation", "🧪", "/simulation")}
           {menuItem("AI Insights", "🤖", "/insights")}
           {menuItem("Customer Queue", "📋", "/waitlist")}
+          {menuItem("Vendors", "🏪", "/vendors")}
         </div>
 
         <div style={styles.menuGroup}>
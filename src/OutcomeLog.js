@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from "react";
+
+import { parseCSV, toCSV, downloadText } from "./csv";
+
+/**
+ * ============================================
+ * OUTCOME LOG
+ * Actual delivery results recorded against executed strategies
+ * ============================================
+ */
+
+const CSV_COLUMNS = ["strategyId", "actualMinutes", "actualCost", "spoilagePct", "onTime", "recordedAt"];
+
+const toNumber = (value) => {
+  if (value === "" || value === undefined || value === null) return undefined;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+const toBool = (value) => /^(1|true|yes|y)$/i.test(String(value).trim());
+
+// validate one raw row (form or CSV) into an outcome entry
+const buildOutcome = (raw, strategyIds) => {
+  if (!strategyIds.includes(raw.strategyId)) return { error: `unknown strategy "${raw.strategyId}"` };
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    strategyId: raw.strategyId,
+    actualMinutes: toNumber(raw.actualMinutes),
+    actualCost: toNumber(raw.actualCost),
+    spoilagePct: toNumber(raw.spoilagePct),
+    onTime: typeof raw.onTime === "boolean" ? raw.onTime : toBool(raw.onTime),
+    recordedAt: raw.recordedAt || new Date().toISOString(),
+  };
+  if (entry.actualMinutes === undefined) return { error: "actual minutes is required" };
+  const bad = ["actualMinutes", "actualCost", "spoilagePct"].find(k => Number.isNaN(entry[k]) || entry[k] < 0);
+  if (bad) return { error: `${bad} must be a non-negative number` };
+  if (entry.spoilagePct > 100) return { error: "spoilagePct must be 0-100" };
+  return { entry };
+};
+
+const EMPTY_FORM = { actualMinutes: "", actualCost: "", spoilagePct: "", onTime: true };
+
+const OutcomeLog = ({ strategies, outcomes, defaultStrategyId, onRecord, onClear }) => {
+  const [form, setForm] = useState({ ...EMPTY_FORM, strategyId: defaultStrategyId || strategies[0]?.id });
+  const [errors, setErrors] = useState([]);
+
+  // follow the bandit's suggestion when it changes
+  useEffect(() => {
+    if (defaultStrategyId) setForm(prev => ({ ...prev, strategyId: defaultStrategyId }));
+  }, [defaultStrategyId]);
+
+  const strategyIds = strategies.map(s => s.id);
+  const labelOf = (id) => {
+    const s = strategies.find(st => st.id === id);
+    return s ? `${s.vendor} / ${s.supplier}` : id;
+  };
+
+  const handleSubmit = () => {
+    const { entry, error } = buildOutcome(form, strategyIds);
+    if (error) {
+      setErrors([error]);
+      return;
+    }
+    setErrors([]);
+    onRecord([entry]);
+    setForm(prev => ({ ...EMPTY_FORM, strategyId: prev.strategyId }));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const rows = parseCSV(await file.text());
+    const entries = [];
+    const rowErrors = [];
+    rows.forEach((row, i) => {
+      const { entry, error } = buildOutcome(row, strategyIds);
+      if (error) rowErrors.push(`Row ${i + 2}: ${error}`);
+      else entries.push(entry);
+    });
+    setErrors(rowErrors);
+    if (entries.length > 0) onRecord(entries);
+  };
+
+  return (
+    <div>
+      <div style={styles.formGrid}>
+        <label style={styles.field}>
+          Strategy
+          <select value={form.strategyId} onChange={(e) => setForm({ ...form, strategyId: e.target.value })} style={styles.input}>
+            {strategies.map(s => <option key={s.id} value={s.id}>{s.vendor} / {s.supplier}</option>)}
+          </select>
+        </label>
+        {[
+          ["actualMinutes", "Actual minutes"],
+          ["actualCost", "Actual cost"],
+          ["spoilagePct", "Spoilage %"],
+        ].map(([key, label]) => (
+          <label key={key} style={styles.field}>
+            {label}
+            <input type="number" min={0} value={form[key]} onChange={(e) => setForm({ ...form, [key]: e.target.value })} style={styles.input} />
+          </label>
+        ))}
+        <label style={{ ...styles.field, flexDirection: "row", alignItems: "center", gap: "6px" }}>
+          <input type="checkbox" checked={form.onTime} onChange={(e) => setForm({ ...form, onTime: e.target.checked })} />
+          On time
+        </label>
+      </div>
+
+      <div style={styles.actions}>
+        <button onClick={handleSubmit} style={{ ...styles.button, ...styles.primary }}>Record outcome</button>
+        <label style={styles.button}>
+          Import CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleImport} style={{ display: "none" }} />
+        </label>
+        <button
+          onClick={() => downloadText("delivery-outcomes.csv", toCSV(outcomes, CSV_COLUMNS))}
+          disabled={outcomes.length === 0}
+          style={styles.button}
+        >
+          Export CSV
+        </button>
+        <button onClick={onClear} disabled={outcomes.length === 0} style={styles.button}>Clear log</button>
+        <span style={styles.hint}>CSV columns: {CSV_COLUMNS.join(", ")}</span>
+      </div>
+
+      {errors.length > 0 && (
+        <div style={styles.errors}>
+          {errors.slice(0, 5).map((err, i) => <div key={i}>{err}</div>)}
+          {errors.length > 5 && <div>…and {errors.length - 5} more</div>}
+        </div>
+      )}
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Recorded</th>
+            <th style={styles.th}>Strategy</th>
+            <th style={styles.th}>Minutes</th>
+            <th style={styles.th}>Cost</th>
+            <th style={styles.th}>Spoilage</th>
+            <th style={styles.th}>On time</th>
+          </tr>
+        </thead>
+        <tbody>
+          {outcomes.length === 0 ? (
+            <tr><td style={styles.td} colSpan={6}>No outcomes recorded yet</td></tr>
+          ) : (
+            outcomes.slice(-8).reverse().map(o => (
+              <tr key={o.id}>
+                <td style={styles.td}>{new Date(o.recordedAt).toLocaleString()}</td>
+                <td style={styles.td}>{labelOf(o.strategyId)}</td>
+                <td style={styles.td}>{o.actualMinutes ?? "—"}</td>
+                <td style={styles.td}>{o.actualCost ?? "—"}</td>
+                <td style={styles.td}>{o.spoilagePct !== undefined ? `${o.spoilagePct}%` : "—"}</td>
+                <td style={styles.td}>{o.onTime ? "✅" : "❌"}</td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+      {outcomes.length > 8 && <div style={styles.hint}>Showing latest 8 of {outcomes.length}</div>}
+    </div>
+  );
+};
+
+const styles = {
+  formGrid: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "12px",
+    alignItems: "flex-end",
+    marginBottom: "12px",
+  },
+  field: {
+    display: "flex",
+    flexDirection: "column",
+    gap: "4px",
+    fontSize: "12px",
+    color: "#6b7280",
+  },
+  input: {
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    minWidth: "90px",
+  },
+  actions: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "8px",
+    alignItems: "center",
+    marginBottom: "12px",
+  },
+  button: {
+    padding: "6px 12px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    background: "#f9fafb",
+    cursor: "pointer",
+    fontSize: "12px",
+  },
+  primary: {
+    background: "#16a34a",
+    color: "#fff",
+    border: "none",
+  },
+  hint: {
+    fontSize: "11px",
+    color: "#94a3b8",
+  },
+  errors: {
+    background: "#fef2f2",
+    color: "#b91c1c",
+    padding: "8px 12px",
+    borderRadius: "6px",
+    fontSize: "12px",
+    marginBottom: "12px",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+  th: {
+    textAlign: "left",
+    padding: "8px",
+    borderBottom: "2px solid #e5e7eb",
+    color: "#6b7280",
+    fontWeight: "600",
+    fontSize: "11px",
+    textTransform: "uppercase",
+  },
+  td: {
+    padding: "8px",
+    borderBottom: "1px solid #f3f4f6",
+    color: "#374151",
+  },
+};
+
+export default OutcomeLog;
@@ -0,0 +1,340 @@
+import React, { useState } from "react";
+
+import Engine from "./DecisionOptimizationEngine";
+
+/**
+ * ============================================
+ * SCENARIO LIBRARY
+ * Built-in, custom and composite scenarios for the Simulation page
+ * ============================================
+ */
+
+const PARAM_FIELDS = [
+  { key: "k", label: "Decay k", step: "0.01" },
+  { key: "deliveryMultiplier", label: "Delivery ×", step: "0.05" },
+  { key: "costMultiplier", label: "Cost ×", step: "0.05" },
+  { key: "reliabilityModifier", label: "Reliability ×", step: "0.05" },
+];
+
+const PROFILE_LABELS = { deliveryMultiplier: "Delivery ×", k: "k ×", temperatureOffset: "Temp ±°C" };
+
+const HOUR_LABELS = Array.from({ length: 24 }, (_, h) => String(h).padStart(2, "0"));
+
+// preset key whose values match the scenario's profiles, "custom" when edited, "" for none
+const profilePresetOf = (profiles) => {
+  if (!profiles) return "";
+  const match = Object.entries(Engine.HOURLY_PROFILES).find(([, preset]) =>
+    Engine.PROFILE_KEYS.every(key => JSON.stringify(preset[key]) === JSON.stringify(profiles[key])));
+  return match ? match[0] : "custom";
+};
+
+export const validateScenario = (scenario) => {
+  const errors = [];
+  if (!String(scenario.name ?? "").trim()) errors.push("name is required");
+  if (scenario.components) {
+    if (scenario.components.length === 0) errors.push("combines no scenarios");
+    return errors;
+  }
+  PARAM_FIELDS.forEach(({ key }) => {
+    if (!(scenario[key] > 0)) errors.push(`${key} must be a positive number`);
+  });
+  Object.entries(scenario.profiles || {}).forEach(([key, values]) => {
+    const ok = key === "temperatureOffset" ? values.every(Number.isFinite) : values.every(v => v > 0);
+    if (!ok) errors.push(`hourly ${key} values must be ${key === "temperatureOffset" ? "numbers" : "positive numbers"}`);
+  });
+  return errors;
+};
+
+// { [id]: [messages] } for every scenario with problems
+export const scenarioErrors = (scenarios) => {
+  const result = {};
+  scenarios.forEach(sc => {
+    const errors = validateScenario(sc);
+    if (errors.length > 0) result[sc.id] = errors;
+  });
+  return result;
+};
+
+// Libraries saved before hourly temperature became an offset: built-ins take the current
+// definitions, and a custom absolute temperature series becomes an offset from its daily
+// mean (its k series was derived from that temperature, so it is dropped).
+export const upgradeScenarios = (scenarios) => scenarios.map(sc => {
+  if (sc.builtin) return Engine.BUILTIN_SCENARIOS.find(b => b.id === sc.id) || sc;
+  if (!sc.profiles?.temperature) return sc;
+  const { temperature, k, ...profiles } = sc.profiles;
+  const mean = temperature.reduce((sum, t) => sum + t, 0) / temperature.length;
+  return { ...sc, profiles: { ...profiles, temperatureOffset: temperature.map(t => Math.round((t - mean) * 100) / 100) } };
+});
+
+const nextId = (scenarios) => {
+  const used = scenarios.map(sc => parseInt(String(sc.id).replace(/^custom-/, ""), 10)).filter(Number.isFinite);
+  return `custom-${(used.length ? Math.max(...used) : 0) + 1}`;
+};
+
+const ScenarioLibrary = ({ scenarios, selectedId, onSelect, onChange }) => {
+  const [composing, setComposing] = useState([]);
+  const [editingProfile, setEditingProfile] = useState(null);
+  const errors = scenarioErrors(scenarios);
+  const nameOf = (id) => scenarios.find(sc => sc.id === id)?.name || id;
+
+  const updateScenario = (id, patch) => {
+    onChange(scenarios.map(sc => sc.id === id ? { ...sc, ...patch } : sc));
+  };
+
+  const addScenario = () => {
+    const id = nextId(scenarios);
+    onChange([...scenarios, { id, name: "New scenario", ...Engine.composeScenarioParams([]) }]);
+    onSelect(id);
+  };
+
+  // a clone copies the resolved values, so a composite becomes an editable plain scenario
+  const cloneScenario = (source) => {
+    const id = nextId(scenarios);
+    const params = Engine.resolveScenarioParams(scenarios, source.id);
+    onChange([...scenarios, { id, name: `${source.name} (copy)`, ...params }]);
+    onSelect(id);
+  };
+
+  const deleteScenario = (id) => {
+    // composites that used it keep their remaining components
+    const next = scenarios
+      .filter(sc => sc.id !== id)
+      .map(sc => sc.components ? { ...sc, components: sc.components.filter(c => c !== id) } : sc);
+    onChange(next);
+    setComposing(prev => prev.filter(c => c !== id));
+    if (selectedId === id) onSelect(next[0]?.id);
+  };
+
+  const setProfilePreset = (id, preset) => {
+    if (!preset) {
+      const { profiles, ...rest } = scenarios.find(sc => sc.id === id);
+      onChange(scenarios.map(sc => sc.id === id ? rest : sc));
+      return;
+    }
+    const { label, ...profiles } = Engine.HOURLY_PROFILES[preset];
+    updateScenario(id, { profiles });
+  };
+
+  const updateProfileValue = (sc, key, hour, value) => {
+    const values = [...sc.profiles[key]];
+    values[hour] = value === "" ? NaN : Number(value);
+    updateScenario(sc.id, { profiles: { ...sc.profiles, [key]: values } });
+  };
+
+  const composeSelected = () => {
+    const id = nextId(scenarios);
+    onChange([...scenarios, { id, name: composing.map(nameOf).join(" + "), components: composing }]);
+    setComposing([]);
+    onSelect(id);
+  };
+
+  const toggleComposing = (id) => {
+    setComposing(prev => prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]);
+  };
+
+  return (
+    <div>
+      <div style={styles.actions}>
+        <button onClick={addScenario} style={{ ...styles.button, ...styles.primary }}>New scenario</button>
+        <button onClick={composeSelected} disabled={composing.length < 2} style={styles.button}>
+          Combine selected ({composing.length})
+        </button>
+        <span style={styles.hint}>Built-in scenarios are read-only — clone one to change it</span>
+      </div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Combine</th>
+            <th style={styles.th}>Scenario</th>
+            {PARAM_FIELDS.map(f => <th key={f.key} style={styles.th}>{f.label}</th>)}
+            <th style={styles.th}>Hourly profile</th>
+            <th style={styles.th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {scenarios.map(sc => {
+            const composite = sc.components && sc.components.length > 0;
+            const editable = !sc.builtin && !composite;
+            const params = Engine.resolveScenarioParams(scenarios, sc.id);
+            return (
+              <React.Fragment key={sc.id}>
+                <tr style={sc.id === selectedId ? styles.selectedRow : undefined}>
+                  <td style={styles.td}>
+                    <input type="checkbox" checked={composing.includes(sc.id)} onChange={() => toggleComposing(sc.id)} />
+                  </td>
+                  <td style={styles.td}>
+                    {sc.builtin ? (
+                      <span>{sc.name}</span>
+                    ) : (
+                      <input value={sc.name} onChange={(e) => updateScenario(sc.id, { name: e.target.value })} style={{ ...styles.input, width: "160px" }} />
+                    )}
+                    <div style={styles.hint}>
+                      {sc.builtin ? "Built-in" : composite ? `Combines ${sc.components.map(nameOf).join(" + ")}` : "Custom"}
+                    </div>
+                  </td>
+                  {PARAM_FIELDS.map(({ key, step }) => (
+                    <td key={key} style={styles.td}>
+                      {editable ? (
+                        <input
+                          type="number"
+                          step={step}
+                          value={Number.isFinite(sc[key]) ? sc[key] : ""}
+                          onChange={(e) => updateScenario(sc.id, { [key]: e.target.value === "" ? NaN : Number(e.target.value) })}
+                          style={{ ...styles.input, width: "64px" }}
+                        />
+                      ) : (
+                        <span>{+params[key].toFixed(3)}</span>
+                      )}
+                    </td>
+                  ))}
+                  <td style={styles.td}>
+                    {editable ? (
+                      <div style={{ display: "flex", gap: "4px" }}>
+                        <select value={profilePresetOf(sc.profiles)} onChange={(e) => setProfilePreset(sc.id, e.target.value)} style={styles.input}>
+                          <option value="">None</option>
+                          {Object.entries(Engine.HOURLY_PROFILES).map(([key, preset]) => <option key={key} value={key}>{preset.label}</option>)}
+                          {profilePresetOf(sc.profiles) === "custom" && <option value="custom" disabled>Custom</option>}
+                        </select>
+                        {sc.profiles && (
+                          <button onClick={() => setEditingProfile(editingProfile === sc.id ? null : sc.id)} style={styles.button}>
+                            {editingProfile === sc.id ? "Done" : "Edit"}
+                          </button>
+                        )}
+                      </div>
+                    ) : (
+                      <span>{params.profiles ? "Hourly" : "—"}</span>
+                    )}
+                  </td>
+                  <td style={{ ...styles.td, whiteSpace: "nowrap" }}>
+                    <button onClick={() => onSelect(sc.id)} disabled={sc.id === selectedId} style={styles.button}>Use</button>{" "}
+                    <button onClick={() => cloneScenario(sc)} style={styles.button}>Clone</button>{" "}
+                    {!sc.builtin && <button onClick={() => deleteScenario(sc.id)} style={styles.button}>Delete</button>}
+                  </td>
+                </tr>
+                {editable && sc.profiles && editingProfile === sc.id && (
+                  <tr>
+                    <td colSpan={PARAM_FIELDS.length + 4} style={{ ...styles.td, overflowX: "auto" }}>
+                      <table style={styles.profileTable}>
+                        <thead>
+                          <tr>
+                            <th style={styles.profileCell}>Hour</th>
+                            {HOUR_LABELS.map(h => <th key={h} style={styles.profileCell}>{h}</th>)}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {Engine.PROFILE_KEYS.filter(key => sc.profiles[key]).map(key => (
+                            <tr key={key}>
+                              <td style={styles.profileCell}>{PROFILE_LABELS[key]}</td>
+                              {sc.profiles[key].map((v, h) => (
+                                <td key={h} style={styles.profileCell}>
+                                  <input
+                                    type="number"
+                                    step="0.05"
+                                    value={Number.isFinite(v) ? v : ""}
+                                    onChange={(e) => updateProfileValue(sc, key, h, e.target.value)}
+                                    style={styles.profileInput}
+                                  />
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </td>
+                  </tr>
+                )}
+                {errors[sc.id] && (
+                  <tr>
+                    <td colSpan={PARAM_FIELDS.length + 4} style={styles.errorCell}>{errors[sc.id].join("; ")}</td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const styles = {
+  actions: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "8px",
+    alignItems: "center",
+    marginBottom: "12px",
+  },
+  button: {
+    padding: "6px 12px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    background: "#f9fafb",
+    cursor: "pointer",
+    fontSize: "12px",
+  },
+  primary: {
+    background: "#2563eb",
+    color: "#fff",
+    border: "none",
+  },
+  hint: {
+    fontSize: "11px",
+    color: "#94a3b8",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+  th: {
+    textAlign: "left",
+    padding: "8px",
+    borderBottom: "2px solid #e5e7eb",
+    color: "#6b7280",
+    fontWeight: "600",
+    fontSize: "11px",
+    textTransform: "uppercase",
+  },
+  td: {
+    padding: "6px 8px",
+    borderBottom: "1px solid #f3f4f6",
+    color: "#374151",
+    verticalAlign: "top",
+  },
+  input: {
+    padding: "4px 6px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    fontSize: "12px",
+  },
+  profileTable: {
+    borderCollapse: "collapse",
+    fontSize: "10px",
+  },
+  profileCell: {
+    padding: "2px",
+    color: "#6b7280",
+    textAlign: "center",
+    whiteSpace: "nowrap",
+  },
+  profileInput: {
+    width: "40px",
+    padding: "2px",
+    fontSize: "10px",
+    border: "1px solid #e5e7eb",
+    borderRadius: "4px",
+  },
+  selectedRow: {
+    background: "#eff6ff",
+  },
+  errorCell: {
+    padding: "4px 8px 8px",
+    color: "#b91c1c",
+    fontSize: "11px",
+    borderBottom: "1px solid #f3f4f6",
+  },
+};
+
+export default ScenarioLibrary;
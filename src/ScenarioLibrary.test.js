@@ -0,0 +1,52 @@
+import { validateScenario, scenarioErrors, upgradeScenarios } from './ScenarioLibrary';
+import Engine from './DecisionOptimizationEngine';
+
+const PLAIN = { id: 'custom-1', name: 'Snow', k: 0.05, deliveryMultiplier: 1.4, costMultiplier: 1.1, reliabilityModifier: 0.9 };
+
+test('the built-in library validates', () => {
+  expect(scenarioErrors(Engine.BUILTIN_SCENARIOS)).toEqual({});
+});
+
+test('plain scenarios need a name and positive parameters', () => {
+  expect(validateScenario(PLAIN)).toEqual([]);
+  expect(validateScenario({ ...PLAIN, name: ' ', k: 0, costMultiplier: NaN })).toEqual([
+    'name is required',
+    'k must be a positive number',
+    'costMultiplier must be a positive number',
+  ]);
+});
+
+test('composites must combine something and skip parameter checks', () => {
+  expect(validateScenario({ id: 'c', name: 'Combo', components: ['normal'] })).toEqual([]);
+  expect(validateScenario({ id: 'c', name: 'Combo', components: [] })).toEqual(['combines no scenarios']);
+});
+
+test('scenarioErrors keys problems by scenario id', () => {
+  expect(scenarioErrors([PLAIN, { ...PLAIN, id: 'custom-2', deliveryMultiplier: -1 }])).toEqual({
+    'custom-2': ['deliveryMultiplier must be a positive number'],
+  });
+});
+
+test('hourly offsets may be negative, hourly factors must be positive', () => {
+  const profiles = { temperatureOffset: Array(24).fill(-3), deliveryMultiplier: [0, ...Array(23).fill(1)] };
+  expect(validateScenario({ ...PLAIN, profiles })).toEqual(['hourly deliveryMultiplier values must be positive numbers']);
+});
+
+test('upgradeScenarios refreshes built-ins and turns a saved temperature series into an offset', () => {
+  const legacy = {
+    ...PLAIN,
+    profiles: {
+      deliveryMultiplier: Array(24).fill(1.1),
+      temperature: Array.from({ length: 24 }, (_, h) => (h < 12 ? 10 : 20)),
+      k: Array(24).fill(1.5),
+    },
+  };
+  const staleBuiltin = { ...Engine.BUILTIN_SCENARIOS[6], profiles: { temperature: Array(24).fill(20) } };
+  const [builtin, custom, plain] = upgradeScenarios([staleBuiltin, legacy, PLAIN]);
+  expect(builtin).toBe(Engine.BUILTIN_SCENARIOS[6]);
+  expect(custom.profiles).toEqual({
+    deliveryMultiplier: legacy.profiles.deliveryMultiplier,
+    temperatureOffset: Array.from({ length: 24 }, (_, h) => (h < 12 ? -5 : 5)),
+  });
+  expect(plain).toBe(PLAIN);
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import {
   BarChart,
   Bar,
@@ -18,25 +18,174 @@ import {
   PolarAngleAxis,
   PolarRadiusAxis,
   Radar,
+  ErrorBar,
+  ScatterChart,
+  Scatter,
 } from "recharts";
 
 import Engine from "./DecisionOptimizationEngine";
+import { loadState, saveState, clearState } from "./storage";
+import OutcomeLog from "./OutcomeLog";
+import StrategyEditor, { normalizeStrategy, strategyErrors } from "./StrategyEditor";
+import ScenarioLibrary, { scenarioErrors, upgradeScenarios } from "./ScenarioLibrary";
+import { runTask, TaskCancelledError } from "./workerClient";
+import { downloadText } from "./csv";
+import { linkStrategy, useVendorRegistry } from "./vendorRegistry";
+
+const MC_ITERATIONS = 500;
+
+// Default strategies (vendor-supplier combos), used until the planner edits the set;
+// vendorId / supplierId point into the vendor registry, which supplies the current names
+const BASE_STRATEGIES = [
+  { id: 's1', vendorId: 'v2', vendor: 'Urban Foods', supplierId: 'sp1', supplier: 'SwiftDeliver Inc', deliveryTime: 48, maxDelivery: 60, cost: 420, maxCost: 600, reliabilityPct: 92 },
+  { id: 's2', vendorId: 'v3', vendor: 'Metro Market', supplierId: 'sp1', supplier: 'SwiftDeliver Inc', deliveryTime: 50, maxDelivery: 60, cost: 400, maxCost: 600, reliabilityPct: 90 },
+  { id: 's3', vendorId: 'v4', vendor: 'City Store', supplierId: 'sp2', supplier: 'ColdChain Co', deliveryTime: 42, maxDelivery: 60, cost: 450, maxCost: 600, reliabilityPct: 95 },
+  { id: 's4', vendorId: 'v5', vendor: 'Prime Hub', supplierId: 'sp3', supplier: 'FreshRoute Corp', deliveryTime: 55, maxDelivery: 60, cost: 380, maxCost: 600, reliabilityPct: 88 },
+];
+
+const OBJECTIVE_LABELS = {
+  DeliveryScore: 'Delivery',
+  FreshnessScore: 'Freshness',
+  CostScore: 'Cost',
+  ReliabilityScore: 'Reliability',
+};
+
+const DEFAULT_WEIGHTS = { Wd: 0.35, Wf: 0.30, Wc: 0.20, Wr: 0.15 };
+const DEFAULT_LEARNING_CONFIG = { learningRate: 0.03, decay: 0.5, floor: 0.05, tolerance: 0.002 };
+
+/**
+ * Editor for one noise spec: distribution type plus its parameters.
+ * With allowInherit, an empty spec means "use the shared delivery noise".
+ */
+const NoiseSpecEditor = ({ label, spec, onChange, allowInherit = false }) => {
+  const type = spec?.type || (allowInherit ? "" : "uniform");
+  const dist = Engine.NOISE_DISTRIBUTIONS[type];
+
+  const changeType = (nextType) => {
+    if (!nextType) return onChange(null);
+    onChange({ type: nextType, ...Engine.NOISE_DISTRIBUTIONS[nextType].defaults });
+  };
+
+  return (
+    <div style={styles.noiseRow}>
+      <span style={styles.noiseLabel}>{label}</span>
+      <select value={type} onChange={(e) => changeType(e.target.value)} style={styles.noiseSelect}>
+        {allowInherit && <option value="">inherit shared</option>}
+        {Object.keys(Engine.NOISE_DISTRIBUTIONS).map(t => <option key={t} value={t}>{t}</option>)}
+      </select>
+      {dist && dist.params.map(param => (
+        <label key={param} style={styles.noiseParam}>
+          {param}
+          <input
+            type="number"
+            step="0.01"
+            value={spec[param]}
+            onChange={(e) => onChange({ ...spec, [param]: parseFloat(e.target.value) || 0 })}
+            style={styles.noiseInput}
+          />
+        </label>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Ternary plot of a weight sweep with one weight held fixed: each grid point is
+ * coloured by the strategy that ranks first there; the ring marks the current weights.
+ */
+const TernaryPlot = ({ sweep, weights, colorOf, size = 300 }) => {
+  const height = size * Math.sqrt(3) / 2;
+  const pad = 20;
+  const [a, b, c] = sweep.free;
+  const project = (w) => {
+    const total = (w[a] + w[b] + w[c]) || 1;
+    const wb = w[b] / total;
+    const wc = w[c] / total;
+    return { x: pad + (wb + wc / 2) * size, y: pad + height - wc * height };
+  };
+  const r = (size * sweep.step) / 2;
+  const current = project(weights);
+
+  return (
+    <svg width={size + pad * 2} height={height + pad * 2 + 10}>
+      <polygon
+        points={`${pad},${pad + height} ${pad + size},${pad + height} ${pad + size / 2},${pad}`}
+        fill="none"
+        stroke="#e5e7eb"
+      />
+      {sweep.points.map((p, i) => {
+        const { x, y } = project(p.weights);
+        return <circle key={i} cx={x} cy={y} r={r} fill={colorOf(p.topId)} fillOpacity={0.75} />;
+      })}
+      <circle cx={current.x} cy={current.y} r={r + 3} fill="none" stroke="#111827" strokeWidth={2} />
+      <text x={pad - 12} y={pad + height + 16} fontSize={11} fill="#374151">{a}</text>
+      <text x={pad + size - 4} y={pad + height + 16} fontSize={11} fill="#374151">{b}</text>
+      <text x={pad + size / 2 - 6} y={pad - 6} fontSize={11} fill="#374151">{c}</text>
+    </svg>
+  );
+};
 
 const Simulation = () => {
   const [isRunning, setIsRunning] = useState(false);
   const [simulationProgress, setSimulationProgress] = useState(0);
+  const simulationTask = useRef(null);
+  const [simulationError, setSimulationError] = useState(null);
   const [simulationComplete, setSimulationComplete] = useState(false);
   const [logSteps, setLogSteps] = useState([]);
-  const [scenario, setScenario] = useState("Normal");
-  const [weights, setWeights] = useState({ Wd: 0.35, Wf: 0.30, Wc: 0.20, Wr: 0.15 });
+  const [scenarios, setScenarios] = useState(() => upgradeScenarios(loadState('scenarios') || Engine.BUILTIN_SCENARIOS));
+  const [scenarioId, setScenarioId] = useState('normal');
+  const [compareScenarioId, setCompareScenarioId] = useState('');
+  const [scenarioProbabilities, setScenarioProbabilities] = useState(() => loadState('scenarioProbabilities', {}));
+  const [cvarAlpha, setCvarAlpha] = useState(0.2);
+  const [departureHour, setDepartureHour] = useState(''); // '' = scenario constants, else 0-23
+  const [learningState, setLearningState] = useState(() => loadState('learning') || Engine.createLearningState(DEFAULT_WEIGHTS));
+  const [learningConfig, setLearningConfig] = useState(() => loadState('learningConfig') || DEFAULT_LEARNING_CONFIG);
+  const [weights, setWeights] = useState(() => learningState.weights);
+  const [bandit, setBandit] = useState(() => loadState('bandit') || Engine.createBanditState());
+  const [banditPick, setBanditPick] = useState(null);
+  const [outcomes, setOutcomes] = useState(() => loadState('outcomes', []));
+  const [useOutcomes, setUseOutcomes] = useState(true);
   const [strategies, setStrategies] = useState([]);
   const [ranking, setRanking] = useState([]);
   const [explanation, setExplanation] = useState("");
-  const [sensitivity, setSensitivity] = useState(null);
+  const [explanationData, setExplanationData] = useState(null);
+  const [sensitivityRanges, setSensitivityRanges] = useState(Engine.DEFAULT_SENSITIVITY_RANGES);
+  const [tornadoTarget, setTornadoTarget] = useState('');
+  const [toWinId, setToWinId] = useState(null); // strategy whose "to win" hint is open
+  const [storedStrategySet, setStrategySet] = useState(() => (loadState('strategies') || BASE_STRATEGIES).map(normalizeStrategy));
+  const [constraints, setConstraints] = useState(Engine.DEFAULT_CONSTRAINTS);
+  const [allocationObjective, setAllocationObjective] = useState('score');
   const [monteCarlo, setMonteCarlo] = useState(null);
   const [previousWeights, setPreviousWeights] = useState(null);
   const [learningDelta, setLearningDelta] = useState(null);
   const [scoreAdvantage, setScoreAdvantage] = useState(null);
+  const [seedInput, setSeedInput] = useState("");
+  const [noise, setNoise] = useState(Engine.DEFAULT_NOISE);
+  const [paretoAxes, setParetoAxes] = useState({ x: 'CostScore', y: 'FreshnessScore' });
+  const [plannerPick, setPlannerPick] = useState(null);
+  const [weightRobustness, setWeightRobustness] = useState(null);
+  const [ternaryFixed, setTernaryFixed] = useState('Wr');
+
+  // vendor / supplier names, demand and capacity come from the shared registry
+  const registry = useVendorRegistry();
+  const strategySet = useMemo(() => storedStrategySet.map(s => linkStrategy(s, registry.entries)), [storedStrategySet, registry.entries]);
+  const vendorDemand = useMemo(() => Object.fromEntries(registry.vendors.map(v => [v.name, v.demand])), [registry.vendors]);
+  const supplierCapacity = useMemo(() => Object.fromEntries(registry.suppliers.map(sp => [sp.name, sp.capacity])), [registry.suppliers]);
+  const registryEntryNamed = (type, name) => registry.entries.find(e => e.type === type && e.name === name);
+
+  // a registry rename reaches the strategies of the last run too
+  useEffect(() => {
+    setStrategies(prev => prev.map(s => linkStrategy(s, registry.entries)));
+  }, [registry.entries]);
+
+  // baseScenarioParams keeps the hourly profiles; everything else sees the params at the chosen departure hour
+  const hour = departureHour === '' ? undefined : Number(departureHour);
+  const baseScenarioParams = useMemo(() => Engine.resolveScenarioParams(scenarios, scenarioId), [scenarios, scenarioId]);
+  const scenarioParams = useMemo(() => Engine.scenarioAtHour(baseScenarioParams, hour), [baseScenarioParams, hour]);
+  const resolvedScenarios = useMemo(
+    () => scenarios.map(sc => ({ id: sc.id, name: sc.name, params: Engine.scenarioAtHour(Engine.resolveScenarioParams(scenarios, sc.id), hour) })),
+    [scenarios, hour]
+  );
 
   const routeOptimizationData = [
     { name: "Route A", before: 45, after: 38 },
@@ -72,133 +221,410 @@ const Simulation = () => {
 
   const COLORS = ["#2563eb", "#16a34a", "#f59e0b", "#ef4444"];
 
+  const strategyIssues = strategyErrors(strategySet);
+  const scenarioIssues = scenarioErrors(scenarios);
+  const canRun = strategySet.length > 0 && Object.keys(strategyIssues).length === 0 && Object.keys(scenarioIssues).length === 0;
+
   const handleRunSimulation = () => {
     // orchestrate simulation steps and run engine
     setIsRunning(true);
     setSimulationProgress(0);
     setSimulationComplete(false);
+    setSimulationError(null);
     setLogSteps([]);
     setExplanation("");
 
-    // Prepare default strategies (vendor-supplier combos)
-    const baseStrategies = [
-      { id: 's1', vendor: 'Urban Foods', supplier: 'SwiftDeliver Inc', deliveryTime: 48, maxDelivery: 60, cost: 420, maxCost: 600, reliabilityPct: 92 },
-      { id: 's2', vendor: 'Metro Market', supplier: 'SwiftDeliver Inc', deliveryTime: 50, maxDelivery: 60, cost: 400, maxCost: 600, reliabilityPct: 90 },
-      { id: 's3', vendor: 'City Store', supplier: 'ColdChain Co', deliveryTime: 42, maxDelivery: 60, cost: 450, maxCost: 600, reliabilityPct: 95 },
-      { id: 's4', vendor: 'Prime Hub', supplier: 'FreshRoute Corp', deliveryTime: 55, maxDelivery: 60, cost: 380, maxCost: 600, reliabilityPct: 88 },
-    ];
+    const plannedStrategies = strategySet;
+    // recorded outcomes pull deliveryTime / reliabilityPct towards what actually happened
+    const baseStrategies = useOutcomes ? Engine.calibrateStrategies(plannedStrategies, outcomes) : plannedStrategies;
 
     setStrategies(baseStrategies);
 
-    const scenarioParams = getScenarioParams(scenario);
-
-    // Step sequence
-    const steps = [
-      { name: 'Aggregating city signals', fn: () => log('Aggregating city signals...') },
-      { name: 'Evaluating freshness decay', fn: () => log('Evaluating freshness decay with k=' + scenarioParams.k) },
-      { name: 'Computing delivery efficiency', fn: () => log('Computing delivery efficiency') },
-      { name: 'Running optimization function', fn: () => runOptimization(baseStrategies, weights, scenarioParams) },
-      { name: 'Ranking strategies', fn: () => log('Ranking produced') },
-      { name: 'Learning from outcome', fn: () => runLearning(baseStrategies) },
-      { name: 'Generating recommendation', fn: () => log('Recommendation generated') },
-    ];
-
-    let idx = 0;
-    const interval = setInterval(async () => {
-      const step = steps[idx];
-      if (!step) {
-        clearInterval(interval);
-        setIsRunning(false);
-        setSimulationComplete(true);
-        setSimulationProgress(100);
-        return;
-      }
-      // execute
-      try { step.fn(); } catch (e) { console.error(e); }
-      idx += 1;
-      setSimulationProgress(Math.round((idx / steps.length) * 100));
-    }, 600);
+    runPipeline(plannedStrategies, baseStrategies, scenarioParams);
+  };
+
+  // progress tracks real work: quick steps, then Monte Carlo (the bulk), then learning
+  const runPipeline = async (plannedStrategies, baseStrategies, scenarioParams) => {
+    try {
+      log('Aggregating city signals...');
+      log('Evaluating freshness decay with k=' + scenarioParams.k);
+      log('Computing delivery efficiency');
+      setSimulationProgress(10);
+      const ranked = await runOptimization(baseStrategies, weights, scenarioParams);
+      log('Ranking produced');
+      setSimulationProgress(95);
+      runLearning(plannedStrategies, ranked);
+      log('Recommendation generated');
+      setSimulationProgress(100);
+      setSimulationComplete(true);
+    } catch (e) {
+      if (e instanceof TaskCancelledError) log('Simulation cancelled');
+      else setSimulationError(e.message || String(e));
+    } finally {
+      simulationTask.current = null;
+      setIsRunning(false);
+    }
+  };
+
+  const cancelSimulation = () => {
+    if (simulationTask.current) simulationTask.current.cancel();
+  };
+
+  const updateStrategySet = (next) => {
+    setStrategySet(next);
+    saveState('strategies', next);
+  };
+
+  const resetStrategySet = () => {
+    clearState('strategies');
+    setStrategySet(BASE_STRATEGIES.map(normalizeStrategy));
+  };
+
+  // category / decay model choice from the results table; applies live and to later runs
+  const updateStrategyDecay = (id, patch) => {
+    updateStrategySet(strategySet.map(s => s.id === id ? { ...s, ...patch, decayParams: {} } : s));
+    setStrategies(prev => prev.map(s => s.id === id ? { ...s, ...patch, decayParams: {} } : s));
   };
 
   const log = (text) => {
     setLogSteps(prev => [...prev, { time: new Date().toLocaleTimeString(), text }]);
   };
 
-  const getScenarioParams = (sc) => {
-    switch(sc) {
-      case 'Peak Traffic': return { k: 0.04, deliveryMultiplier: 1.25, costMultiplier: 1, reliabilityModifier: 1 };
-      case 'Demand Surge': return { k: 0.05, deliveryMultiplier: 1.1, costMultiplier: 1.05, reliabilityModifier: 1 };
-      case 'Fuel Cost Spike': return { k: 0.04, deliveryMultiplier: 1.0, costMultiplier: 1.15, reliabilityModifier: 1 };
-      case 'Supplier Breakdown': return { k: 0.06, deliveryMultiplier: 1.2, costMultiplier: 1.05, reliabilityModifier: 0.9 };
-      case 'Cold Chain Failure': return { k: 0.10, deliveryMultiplier: 1.15, costMultiplier: 1.1, reliabilityModifier: 0.85 };
-      default: return { k: 0.04, deliveryMultiplier: 1, costMultiplier: 1, reliabilityModifier: 1 };
-    }
+  const updateScenarios = (next) => {
+    setScenarios(next);
+    saveState('scenarios', next);
   };
 
-  const runOptimization = (strategiesInput, weightsInput, scenarioParams) => {
-    const { normalizedWeights, ranked } = Engine.rankStrategies(strategiesInput, weightsInput, scenarioParams);
+  const runOptimization = async (strategiesInput, weightsInput, scenarioParams) => {
+    const { normalizedWeights, ranked } = Engine.rankStrategies(strategiesInput, weightsInput, scenarioParams, { constraints });
     setPreviousWeights(weights);
     setWeights(normalizedWeights);
     setRanking(ranked);
-    // generate explainable output
-    generateExplanation(ranked);
-    // sensitivity quick sample
-    const sens = Engine.sensitivityAnalysis(strategiesInput, weightsInput, scenarioParams, { trafficPct:10, costPct:5, decayPct:15 });
-    setSensitivity(sens.impacts);
-    // monte carlo
-    const mc = Engine.monteCarloSimulation(strategiesInput, weightsInput, scenarioParams, 500);
+    // robust picks across the scenario library, for the explanation
+    const robust = Engine.robustAnalysis(strategiesInput, weightsInput, resolvedScenarios, {
+      constraints,
+      probabilities: scenarioProbabilities,
+      alpha: cvarAlpha,
+    });
+    // monte carlo (blank seed = fresh random seed, recorded in the result for replay)
+    const parsedSeed = parseInt(seedInput, 10);
+    const task = runTask('monteCarlo', {
+      strategies: strategiesInput,
+      weights: weightsInput,
+      scenarioParams,
+      iterations: MC_ITERATIONS,
+      options: { seed: Number.isNaN(parsedSeed) ? undefined : parsedSeed, noise, constraints },
+    }, {
+      onProgress: ({ done, total }) => setSimulationProgress(10 + Math.round((done / total) * 80)),
+    });
+    simulationTask.current = task;
+    const mc = await task.promise;
     setMonteCarlo(mc);
+    log('Monte Carlo seed: ' + mc.seed);
+    // explainable output; confidence comes from how often the top pick stayed first in the Monte Carlo runs
+    generateExplanation(ranked, normalizedWeights, { robust, monteCarlo: mc });
+    // weight-space robustness: who wins where on the simplex, and where the top pick flips
+    setWeightRobustness({
+      regions: Engine.weightSimplexSweep(strategiesInput, scenarioParams, { constraints }).regions,
+      breakEvens: Engine.weightBreakEvens(strategiesInput, weightsInput, scenarioParams, undefined, { constraints }),
+    });
     log('Optimization complete. Top strategy: ' + (ranked[0]?.vendor || 'N/A'));
+    return ranked;
   };
 
-  const runLearning = (strategiesInput) => {
-    // derive simple outcome metrics from ranking
-    const top = ranking[0];
-    const avgDelay = strategiesInput.reduce((s,x) => s + x.deliveryTime, 0) / strategiesInput.length;
-    const spoilageRisk = 20 * (1 - (top ? top.computed.FreshnessScore : 0)); // synthetic
+  const runLearning = (strategiesInput, ranked) => {
+    // learn from recorded outcomes when there are any, else from synthetic metrics
+    let metrics;
+    if (useOutcomes && outcomes.length > 0) {
+      metrics = Engine.outcomeMetrics(outcomes, strategiesInput);
+      log(`Learning from ${metrics.count} recorded outcomes`);
+    } else {
+      const top = ranked[0];
+      const avgDelay = strategiesInput.reduce((s,x) => s + x.deliveryTime, 0) / strategiesInput.length;
+      const spoilageRisk = 20 * (1 - (top ? top.computed.FreshnessScore : 0)); // synthetic
+      metrics = { spoilageRiskPercent: spoilageRisk, avgDelay, delayThreshold: 40 };
+    }
 
-    const res = Engine.adaptiveLearning(weights, { spoilageRiskPercent: spoilageRisk, avgDelay, delayThreshold: 40 });
+    // one episode of the persisted learning loop, starting from the current weights
+    const { state, result: res } = Engine.learningEpisode(
+      { ...learningState, weights: Engine.normalizeWeights(weights) },
+      metrics,
+      learningConfig
+    );
+    setLearningState(state);
+    saveState('learning', state);
     setPreviousWeights(res.before);
     setWeights(res.after);
     setLearningDelta(res.delta);
-    log('Model learning from outcome... Optimization priorities recalibrated');
+    log(`Model learning from outcome... episode ${state.history.length - 1}${state.converged ? ' (converged)' : ''}`);
     // show deltas in explanation
     setExplanation(prev => prev + `\n\nLearning applied. Weight deltas: ${Object.entries(res.delta).map(([k,v])=>`${k}: ${(v*100).toFixed(1)}%`).join(', ')}`);
   };
 
-  const generateExplanation = (ranked) => {
+  const updateLearningConfig = (patch) => {
+    const next = { ...learningConfig, ...patch };
+    setLearningConfig(next);
+    saveState('learningConfig', next);
+  };
+
+  const resetLearning = () => {
+    const fresh = Engine.createLearningState(DEFAULT_WEIGHTS);
+    clearState('learning');
+    setLearningState(fresh);
+    setWeights(fresh.weights);
+    setPreviousWeights(null);
+    setLearningDelta(null);
+  };
+
+  const updateBandit = (next) => {
+    setBandit(next);
+    saveState('bandit', next);
+  };
+
+  const suggestWithBandit = () => {
+    const { armId } = Engine.banditSelect(bandit, strategySet.map(st => st.id));
+    setBanditPick(armId);
+  };
+
+  // new outcomes go to the persisted log and update the bandit
+  const recordOutcomes = (entries) => {
+    const nextOutcomes = [...outcomes, ...entries];
+    setOutcomes(nextOutcomes);
+    saveState('outcomes', nextOutcomes);
+    const nextBandit = entries.reduce((state, o) => {
+      const strategy = strategySet.find(st => st.id === o.strategyId);
+      return Engine.banditUpdate(state, o.strategyId, Engine.outcomeReward(strategy, o, weights));
+    }, bandit);
+    updateBandit(nextBandit);
+  };
+
+  const clearOutcomes = () => {
+    setOutcomes([]);
+    clearState('outcomes');
+  };
+
+  const generateExplanation = (ranked, normalizedWeights, { robust, monteCarlo: mc } = {}) => {
     if (!ranked || ranked.length === 0) return;
-    const top = ranked[0].computed;
-    const next = ranked[1]?.computed;
+    const data = Engine.explainRanking(ranked, normalizedWeights, { robust, monteCarlo: mc });
+    const c = data.comparison;
+    const [top, runnerUp] = data.strategies;
+    const signed = (v, more, less) => `${Math.abs(v).toFixed(1)}% ${v >= 0 ? more : less}`;
     let expl = '';
-    // compute percent differences
-    if (next) {
-      const faster = ((next.deliveryTime - top.deliveryTime) / next.deliveryTime) * 100;
-      const spoilageDrop = ((next.FreshnessScore - top.FreshnessScore) * 100).toFixed(1);
-      const costDelta = ((next.actualCost - top.actualCost) / next.actualCost) * 100;
-      const scoreAdv = ((top.FDS - next.FDS) * 100).toFixed(1);
-      expl += `${Math.abs(faster.toFixed(1))}% faster delivery than average\n`;
-      expl += `${Math.abs(spoilageDrop)}% lower spoilage probability\n`;
-      expl += `${Math.abs(costDelta.toFixed(1))}% cheaper than next alternative\n`;
-      expl += `Reliability: ${(top.ReliabilityScore*100).toFixed(1)}%\n`;
-      expl += `Decision Stability: ${((top.FDS) * 100).toFixed(1)}% confidence`;
-      setScoreAdvantage(scoreAdv);
+    if (c) {
+      const strongest = [...c.factors].sort((x, y) => y.delta - x.delta)[0];
+      expl += `${top.vendor} / ${top.supplier} ranks first, ${(c.scoreAdvantage * 100).toFixed(1)} pts of FDS ahead of ${runnerUp.vendor} / ${runnerUp.supplier}\n`;
+      expl += `Delivery: ${signed(c.vsRunnerUp.deliveryFasterPct, 'faster', 'slower')} than the runner-up, `
+        + `${signed(c.vsAverage.deliveryFasterPct, 'faster', 'slower')} than the average of all ${data.strategies.length} strategies\n`;
+      expl += `Freshness: ${Math.abs(c.vsRunnerUp.freshnessPts).toFixed(1)} pts ${c.vsRunnerUp.freshnessPts >= 0 ? 'higher' : 'lower'} than the runner-up\n`;
+      expl += `Cost: ${signed(c.vsRunnerUp.costCheaperPct, 'cheaper', 'more expensive')} than the runner-up, `
+        + `${signed(c.vsAverage.costCheaperPct, 'cheaper', 'more expensive')} than average\n`;
+      expl += `Reliability: ${ranked[0].computed.reliabilityPct.toFixed(1)}% (${c.vsRunnerUp.reliabilityPts >= 0 ? '+' : ''}${c.vsRunnerUp.reliabilityPts.toFixed(1)} pts vs runner-up)\n`;
+      if (strongest.delta > 0) expl += `Largest contributor to the lead: ${strongest.label} (+${(strongest.delta * 100).toFixed(1)} pts)\n`;
+      setScoreAdvantage((c.scoreAdvantage * 100).toFixed(1));
     } else {
       expl = 'Top strategy identified.\n';
       setScoreAdvantage(null);
     }
+    expl += data.confidence
+      ? `Decision stability: stayed first in ${data.confidence.stability.toFixed(1)}% of ${data.confidence.iterations} Monte Carlo runs (seed ${data.confidence.seed})`
+      : 'Decision stability: not available until a Monte Carlo run completes';
+    if (robust) expl += robustExplanation(ranked[0], robust);
     setExplanation(expl);
+    setExplanationData(data);
   };
 
+  const exportExplanation = () => {
+    const payload = {
+      generatedAt: new Date().toISOString(),
+      scenario: { id: scenarioId, name: scenarios.find(sc => sc.id === scenarioId)?.name, params: scenarioParams },
+      departureHour: hour ?? null,
+      text: explanation,
+      ...explanationData,
+    };
+    downloadText('explanation.json', JSON.stringify(payload, null, 2), 'application/json');
+  };
+
+  // waterfall from the runner-up's FDS to the top pick's, one step per factor
+  const waterfall = useMemo(() => {
+    if (!explanationData?.comparison) return null;
+    const [top, runnerUp] = explanationData.strategies;
+    let running = runnerUp.FDS * 100;
+    const rows = [{ name: `#2 ${runnerUp.vendor}`, base: 0, value: running, kind: 'total' }];
+    explanationData.comparison.factors.filter(f => Math.abs(f.delta) > 1e-9).forEach(f => {
+      const next = running + f.delta * 100;
+      rows.push({ name: f.label, base: Math.min(running, next), value: Math.abs(f.delta * 100), delta: f.delta * 100, kind: f.delta >= 0 ? 'up' : 'down' });
+      running = next;
+    });
+    rows.push({ name: `#1 ${top.vendor}`, base: 0, value: top.FDS * 100, kind: 'total' });
+    const low = Math.min(...rows.map(r => (r.kind === 'total' ? r.value : r.base)));
+    return { rows, floor: Math.max(0, Math.floor(low - 2)) };
+  }, [explanationData]);
+
+  // why the minimax-regret / CVaR choices agree or disagree with the nominal top pick
+  const robustExplanation = (nominal, robust) => {
+    const row = (id) => robust.rows.find(r => r.id === id);
+    const nameOf = (id) => { const r = row(id); return r ? `${r.vendor} / ${r.supplier}` : id; };
+    const scenarioName = (id) => robust.scenarios.find(sc => sc.id === id)?.name || id;
+    const pts = (v) => (v * 100).toFixed(1);
+    const top = row(nominal.id);
+    if (!top || robust.scenarios.length < 2) return '';
+    // picks rank on infeasible scenarios first, so say so when that is what decided it
+    const infeasibleIn = (r) => `${r.infeasibleCount} of ${robust.scenarios.length} scenarios`;
+    const decidedByFeasibility = (pick) => pick.infeasibleCount < top.infeasibleCount
+      ? `${nameOf(top.id)} breaks a hard constraint in ${infeasibleIn(top)}, ${nameOf(pick.id)} in ${infeasibleIn(pick)}.`
+      : null;
+
+    let text = '\n\nRobustness across ' + robust.scenarios.length + ' scenarios:';
+    if (top.infeasibleCount > 0) text += `\n${nameOf(top.id)} breaks a hard constraint in ${infeasibleIn(top)}; regret and CVaR cover the rest.`;
+    const regretPick = row(robust.minimaxRegretId);
+    if (regretPick.id === top.id) {
+      text += top.maxRegret === null
+        ? `\nThe nominal pick is also the minimax-regret choice, though every strategy breaks a hard constraint in every scenario.`
+        : `\nThe nominal pick is also the minimax-regret choice: where it can run, it never trails the best feasible option by more than ${pts(top.maxRegret)} pts.`;
+    } else {
+      text += `\nMinimax-regret choice is ${nameOf(regretPick.id)}, not ${nameOf(top.id)}. `
+        + (decidedByFeasibility(regretPick)
+          || `${nameOf(top.id)} trails the best feasible option by ${pts(top.maxRegret)} pts under ${scenarioName(top.maxRegretScenario)}, `
+            + `while ${nameOf(regretPick.id)} never trails by more than ${pts(regretPick.maxRegret)} pts (worst: ${scenarioName(regretPick.maxRegretScenario)}).`);
+    }
+    const cvarPick = row(robust.cvarId);
+    if (cvarPick.id !== top.id) {
+      text += `\nCVaR choice (worst ${Math.round(robust.alpha * 100)}% of scenario probability) is ${nameOf(cvarPick.id)}: `
+        + (decidedByFeasibility(cvarPick)
+          || `its tail FDS averages ${pts(cvarPick.cvar)}% against ${pts(top.cvar)}% for ${nameOf(top.id)}.`);
+    }
+    return text;
+  };
+
+  // Pareto front over the four sub-scores (independent of weights)
+  const pareto = useMemo(() => {
+    if (strategies.length === 0) return null;
+    return Engine.paretoFront(strategies, weights, scenarioParams, Engine.PARETO_OBJECTIVES, { constraints });
+  }, [strategies, weights, scenarioParams, constraints]);
+  const pickedStrategy = pareto && plannerPick ? [...pareto.front, ...pareto.dominated, ...pareto.infeasible].find(s => s.id === plannerPick) : null;
+  const toParetoPoint = (s) => ({
+    id: s.id,
+    name: s.vendor,
+    x: +(s.computed[paretoAxes.x] * 100).toFixed(1),
+    y: +(s.computed[paretoAxes.y] * 100).toFixed(1),
+  });
+
+  // one-at-a-time tornado sweep, recomputed live as ranges are edited
+  const sensitivity = useMemo(() => {
+    if (strategies.length === 0) return null;
+    return Engine.sensitivityAnalysis(strategies, weights, scenarioParams, { ranges: sensitivityRanges, constraints });
+  }, [strategies, scenarioParams, weights, sensitivityRanges, constraints]);
+  const tornadoId = tornadoTarget || sensitivity?.tornado.baseTopId;
+  const tornadoBars = sensitivity && tornadoId ? sensitivity.tornado.byStrategy[tornadoId] || [] : [];
+
+  // ternary slice of the weight simplex, holding one weight at its current value
+  const ternarySweep = useMemo(() => {
+    if (strategies.length === 0) return null;
+    return Engine.weightSimplexSweep(strategies, scenarioParams, {
+      fixed: { [ternaryFixed]: weights[ternaryFixed] },
+      constraints,
+    });
+  }, [strategies, scenarioParams, weights, ternaryFixed, constraints]);
+  // null = no strategy is feasible there
+  const strategyColor = (id) => {
+    if (id === null) return '#e5e7eb';
+    const idx = strategies.findIndex(s => s.id === id);
+    return COLORS[(idx < 0 ? 0 : idx) % COLORS.length];
+  };
+  const strategyName = (id) => (id === null ? 'no feasible strategy' : strategies.find(s => s.id === id)?.vendor || id);
+
+  // stop a running Monte Carlo worker when leaving the page
+  useEffect(() => () => simulationTask.current && simulationTask.current.cancel(), []);
+
   // live re-calculation when strategies, weights or scenario change
   // NOTE: do not call setWeights here (would cause an update loop). Only recompute ranking.
   useEffect(() => {
     if (strategies.length > 0) {
-      const params = getScenarioParams(scenario);
-      const { ranked } = Engine.rankStrategies(strategies, weights, params);
+      const { ranked } = Engine.rankStrategies(strategies, weights, scenarioParams, { constraints });
       setRanking(ranked);
     }
-  }, [strategies, scenario, weights]);
+  }, [strategies, scenarioParams, weights, constraints]);
+
+  // multi-vendor allocation over every vendor x supplier pair (infeasible pairs excluded)
+  const allocation = useMemo(() => {
+    if (strategies.length === 0) return null;
+    const pairs = Engine.expandVendorSupplierPairs(strategies);
+    const { ranked } = Engine.rankStrategies(pairs, weights, scenarioParams, { constraints });
+    const vendors = [...new Set(pairs.map(p => p.vendor))];
+    const suppliers = [...new Set(pairs.map(p => p.supplier))];
+    const result = Engine.allocateSuppliers({
+      vendors: vendors.map(id => ({ id, demand: vendorDemand[id] ?? 0 })),
+      suppliers: suppliers.map(id => ({ id, capacity: supplierCapacity[id] ?? 0 })),
+      pairs: ranked.filter(r => r.computed.feasible !== false).map(r => ({
+        vendorId: r.vendor,
+        supplierId: r.supplier,
+        score: r.computed.FDS,
+        cost: r.computed.actualCost,
+      })),
+      objective: allocationObjective,
+    });
+    const pairScore = {};
+    ranked.forEach(r => { pairScore[`${r.vendor}::${r.supplier}`] = r.computed; });
+    return { ...result, vendors, suppliers, pairScore };
+  }, [strategies, scenarioParams, weights, constraints, vendorDemand, supplierCapacity, allocationObjective]);
+
+  // the selected scenario next to another one: params and each strategy's FDS / rank under both
+  const scenarioComparison = useMemo(() => {
+    if (strategies.length === 0 || !compareScenarioId) return null;
+    const sides = [scenarioId, compareScenarioId].map(id => {
+      const params = resolvedScenarios.find(sc => sc.id === id)?.params || Engine.composeScenarioParams([]);
+      const { ranked } = Engine.rankStrategies(strategies, weights, params, { constraints });
+      const byId = {};
+      ranked.forEach((r, idx) => { byId[r.id] = { rank: idx + 1, FDS: r.computed.FDS, feasible: r.computed.feasible !== false }; });
+      return { id, name: scenarios.find(sc => sc.id === id)?.name || id, params, byId };
+    });
+    return { sides, rows: strategies.map(st => ({ id: st.id, vendor: st.vendor, supplier: st.supplier, a: sides[0].byId[st.id], b: sides[1].byId[st.id] })) };
+  }, [strategies, scenarios, resolvedScenarios, scenarioId, compareScenarioId, weights, constraints]);
+
+  // every strategy under every saved scenario, with minimax, expected, minimax-regret and CVaR picks
+  const matrix = useMemo(() => {
+    if (strategies.length === 0) return null;
+    return Engine.robustAnalysis(strategies, weights, resolvedScenarios, {
+      constraints,
+      probabilities: scenarioProbabilities,
+      alpha: cvarAlpha,
+    });
+  }, [strategies, resolvedScenarios, weights, constraints, scenarioProbabilities, cvarAlpha]);
+
+  // smallest input or weight change that would put a non-leading strategy first; each one
+  // runs a bisection per lever, so only the strategy the planner opened is solved
+  const toWin = useMemo(() => {
+    if (!toWinId || strategies.length < 2) return null;
+    return Engine.counterfactualToWin(strategies, weights, scenarioParams, toWinId, { constraints });
+  }, [toWinId, strategies, weights, scenarioParams, constraints]);
+
+  const toWinHint = (cf) => {
+    if (!cf || cf.alreadyFirst) return null;
+    const fmt = (v) => +v.toFixed(v < 10 ? 1 : 0);
+    const parts = cf.levers.filter(l => l.possible).map(l =>
+      `${l.label.toLowerCase()} ${fmt(l.from)} → ${fmt(l.to)}${l.unit} (${l.changePct > 0 ? '+' : ''}${l.changePct.toFixed(0)}%)`);
+    if (cf.weightChange) {
+      parts.push(`shift ${(cf.weightChange.amount * 100).toFixed(1)} pts of weight ${cf.weightChange.from} → ${cf.weightChange.to}`);
+    }
+    return parts.length > 0 ? `To win: ${parts.join(' or ')}` : 'To win: no single input or weight change is enough';
+  };
+
+  // FDS against departure hour for the selected scenario's hourly profiles
+  const dispatch = useMemo(() => {
+    if (strategies.length === 0 || !baseScenarioParams.profiles) return null;
+    return Engine.dispatchWindows(strategies, weights, baseScenarioParams, { constraints });
+  }, [strategies, baseScenarioParams, weights, constraints]);
+  const formatHour = (h) => `${String(Math.floor(h)).padStart(2, '0')}:00`;
+
+  const updateScenarioProbability = (id, value) => {
+    const next = { ...scenarioProbabilities, [id]: Math.max(0, parseFloat(value) || 0) };
+    setScenarioProbabilities(next);
+    saveState('scenarioProbabilities', next);
+  };
+
+  const updateConstraint = (id, patch) => {
+    setConstraints(prev => prev.map(c => c.id === id ? { ...c, ...patch } : c));
+  };
 
   return (
     <div style={styles.wrapper}>
@@ -222,15 +648,25 @@ const Simulation = () => {
 
         <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginBottom: 12 }}>
           <label style={{ color: '#6b7280' }}>Scenario:</label>
-          <select value={scenario} onChange={(e)=>setScenario(e.target.value)} style={{ padding: '8px 12px', borderRadius: 6 }}>
-            <option>Normal</option>
-            <option>Peak Traffic</option>
-            <option>Demand Surge</option>
-            <option>Fuel Cost Spike</option>
-            <option>Supplier Breakdown</option>
-            <option>Cold Chain Failure</option>
+          <select value={scenarioId} onChange={(e)=>setScenarioId(e.target.value)} style={{ padding: '8px 12px', borderRadius: 6 }}>
+            {scenarios.map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+          </select>
+
+          <label style={{ color: '#6b7280' }}>Departure:</label>
+          <select value={departureHour} onChange={(e)=>setDepartureHour(e.target.value)} style={{ padding: '8px 12px', borderRadius: 6 }}>
+            <option value="">Any time</option>
+            {Array.from({ length: 24 }, (_, h) => <option key={h} value={h}>{formatHour(h)}</option>)}
           </select>
 
+          <label style={{ color: '#6b7280' }}>Seed:</label>
+          <input
+            type="number"
+            placeholder="random"
+            value={seedInput}
+            onChange={(e)=>setSeedInput(e.target.value)}
+            style={{ padding: '8px 12px', borderRadius: 6, width: 120 }}
+          />
+
           <div style={{ marginLeft: 'auto', display: 'flex', gap: 8 }}>
             <div style={{ textAlign: 'right' }}>
               <div style={{ fontSize: 12, color: '#6b7280' }}>Wd</div>
@@ -253,16 +689,22 @@ const Simulation = () => {
 
         <button
           onClick={handleRunSimulation}
-          disabled={isRunning}
+          disabled={isRunning || !canRun}
           style={{
             ...styles.runButton,
-            opacity: isRunning ? 0.7 : 1,
-            cursor: isRunning ? "not-allowed" : "pointer",
+            opacity: isRunning || !canRun ? 0.7 : 1,
+            cursor: isRunning || !canRun ? "not-allowed" : "pointer",
           }}
         >
           {isRunning ? `Running... ${simulationProgress}%` : "Run Urban Simulation"}
         </button>
 
+        {simulationError && !isRunning && (
+          <div style={{ marginTop: 12, padding: 12, borderRadius: 8, background: '#fee2e2', color: '#b91c1c', fontSize: 14 }}>
+            ⚠ Simulation failed: {simulationError}
+          </div>
+        )}
+
         {/* FDS formula (always visible) */}
         <div style={{ marginTop: 12, background: '#fff', borderRadius: 8, padding: 12, border: '1px solid #e5e7eb' }}>
           <div style={{ color: '#6b7280', fontSize: 13 }}>Final Decision Score (FDS)</div>
@@ -284,7 +726,15 @@ const Simulation = () => {
           <div style={styles.progressContainer}>
             <div style={styles.progressLabel}>
               <span>Simulation Progress</span>
-              <span>{simulationProgress}%</span>
+              <span>
+                {simulationProgress}%
+                <button
+                  onClick={cancelSimulation}
+                  style={{ marginLeft: 8, padding: '2px 8px', borderRadius: 6, border: '1px solid #e5e7eb', background: '#f9fafb', cursor: 'pointer', fontSize: 12 }}
+                >
+                  Cancel
+                </button>
+              </span>
             </div>
             <div style={styles.progressBar}>
               <div
@@ -319,6 +769,272 @@ const Simulation = () => {
         </div>
       </div>
 
+      {/* Strategy set */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Strategies</h4>
+        {!canRun && (
+          <p style={{ fontSize: 12, color: '#b91c1c', marginTop: -8, marginBottom: 12 }}>
+            {strategySet.length === 0
+              ? 'Add at least one strategy to run the simulation.'
+              : Object.keys(strategyIssues).length > 0
+                ? 'Fix the highlighted strategies to run the simulation.'
+                : 'Fix the invalid scenarios in the library to run the simulation.'}
+          </p>
+        )}
+        <StrategyEditor
+          strategies={strategySet}
+          vendors={registry.vendors}
+          suppliers={registry.suppliers}
+          onChange={updateStrategySet}
+          onReset={resetStrategySet}
+        />
+      </div>
+
+      {/* Scenario library */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Scenario Library</h4>
+        <ScenarioLibrary scenarios={scenarios} selectedId={scenarioId} onSelect={setScenarioId} onChange={updateScenarios} />
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', fontSize: 13, color: '#6b7280', margin: '16px 0 12px 0' }}>
+          <strong style={{ color: '#111827' }}>Compare</strong>
+          <span>{scenarios.find(sc => sc.id === scenarioId)?.name}</span>
+          <span>with</span>
+          <select value={compareScenarioId} onChange={(e)=>setCompareScenarioId(e.target.value)}>
+            <option value="">Choose a scenario…</option>
+            {scenarios.filter(sc => sc.id !== scenarioId).map(sc => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+          </select>
+        </div>
+        {scenarioComparison ? (
+          <table style={styles.resultsTable}>
+            <thead>
+              <tr style={styles.tableHeader}>
+                <th style={styles.th}>Strategy</th>
+                {scenarioComparison.sides.map(side => (
+                  <th key={side.id} style={styles.th}>
+                    {side.name}
+                    <div style={{ fontWeight: 400, textTransform: 'none' }}>
+                      k {+side.params.k.toFixed(3)} • delivery ×{+side.params.deliveryMultiplier.toFixed(2)} • cost ×{+side.params.costMultiplier.toFixed(2)} • reliability ×{+side.params.reliabilityModifier.toFixed(2)}
+                    </div>
+                  </th>
+                ))}
+                <th style={styles.th}>Δ FDS</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scenarioComparison.rows.map(row => (
+                <tr key={row.id} style={styles.tableRow}>
+                  <td style={styles.td}>{row.vendor} / {row.supplier}</td>
+                  {[row.a, row.b].map((cell, i) => (
+                    <td key={i} style={{ ...styles.td, color: cell.feasible ? '#111827' : '#9ca3af' }}>
+                      #{cell.rank} • {(cell.FDS * 100).toFixed(1)}%{!cell.feasible && ' (infeasible)'}
+                    </td>
+                  ))}
+                  <td style={{ ...styles.td, color: row.b.FDS >= row.a.FDS ? '#16a34a' : '#ef4444' }}>
+                    {row.b.FDS >= row.a.FDS ? '+' : ''}{((row.b.FDS - row.a.FDS) * 100).toFixed(1)} pts
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div style={{ color: '#6b7280', fontSize: 13 }}>
+            {strategies.length === 0 ? 'Run the simulation, then pick a scenario to compare against.' : 'Pick a scenario to compare against.'}
+          </div>
+        )}
+      </div>
+
+      {/* Scenario x strategy matrix */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Scenario Comparison Matrix</h4>
+        <p style={{ fontSize: 12, color: '#6b7280', marginTop: -8, marginBottom: 12 }}>
+          Rank and FDS of every strategy under every saved scenario. Set a relative probability per scenario for the
+          expected score. Scenarios where a strategy breaks a hard constraint are greyed out and counted separately:
+          worst case and expected cover the scenarios it can run in, and fewer infeasible scenarios win first. Regret is the gap to
+          the best feasible strategy in each scenario; CVaR averages the worst tail of a strategy's feasible scenario probability.
+        </p>
+        <label style={{ fontSize: 12, color: '#6b7280', display: 'inline-flex', gap: 6, alignItems: 'center', marginBottom: 12 }}>
+          CVaR tail
+          <input
+            type="number"
+            min={5}
+            max={100}
+            step={5}
+            value={Math.round(cvarAlpha * 100)}
+            onChange={(e)=>setCvarAlpha(Math.min(1, Math.max(0.05, (parseFloat(e.target.value) || 20) / 100)))}
+            style={{ width: 52 }}
+          />
+          % of probability
+        </label>
+        {matrix ? (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={styles.resultsTable}>
+              <thead>
+                <tr style={styles.tableHeader}>
+                  <th style={styles.th}>Strategy</th>
+                  {matrix.scenarios.map(sc => (
+                    <th key={sc.id} style={styles.th}>
+                      {sc.name}
+                      <div style={{ fontWeight: 400, textTransform: 'none', marginTop: 4 }}>
+                        <input
+                          type="number"
+                          min={0}
+                          step="0.1"
+                          value={scenarioProbabilities[sc.id] ?? 1}
+                          onChange={(e)=>updateScenarioProbability(sc.id, e.target.value)}
+                          style={{ width: 52 }}
+                        />
+                        {' '}→ {(sc.probability * 100).toFixed(0)}%
+                      </div>
+                    </th>
+                  ))}
+                  <th style={styles.th}>Worst case</th>
+                  <th style={styles.th}>Expected</th>
+                  <th style={styles.th}>Max regret</th>
+                  <th style={styles.th}>CVaR {Math.round(matrix.alpha * 100)}%</th>
+                </tr>
+              </thead>
+              <tbody>
+                {matrix.rows.map(row => (
+                  <tr key={row.id} style={styles.tableRow}>
+                    <td style={styles.td}>
+                      {row.vendor} / {row.supplier}
+                      {row.id === matrix.minimaxId && <span style={styles.pickBadge}>Best worst-case</span>}
+                      {row.id === matrix.expectedId && <span style={{ ...styles.pickBadge, background: '#dcfce7', color: '#166534' }}>Best expected</span>}
+                      {row.id === matrix.minimaxRegretId && <span style={{ ...styles.pickBadge, background: '#fef3c7', color: '#92400e' }}>Min regret</span>}
+                      {row.id === matrix.cvarId && <span style={{ ...styles.pickBadge, background: '#ede9fe', color: '#5b21b6' }}>Best CVaR</span>}
+                    </td>
+                    {matrix.scenarios.map(sc => {
+                      const cell = row.cells[sc.id];
+                      return (
+                        <td
+                          key={sc.id}
+                          style={{ ...styles.td, color: cell.feasible ? '#111827' : '#9ca3af', fontWeight: cell.rank === 1 ? 600 : 400 }}
+                          title={cell.feasible ? '' : 'Infeasible under this scenario'}
+                        >
+                          #{cell.rank} • {(cell.FDS * 100).toFixed(1)}%
+                        </td>
+                      );
+                    })}
+                    <td style={{ ...styles.td, fontWeight: row.id === matrix.minimaxId ? 600 : 400 }}>
+                      {row.worst === null ? '—' : `${(row.worst * 100).toFixed(1)}%`}
+                      {row.infeasibleCount > 0 && <div style={{ fontSize: 11, color: '#dc2626' }}>{row.infeasibleCount} infeasible</div>}
+                    </td>
+                    <td style={{ ...styles.td, fontWeight: row.id === matrix.expectedId ? 600 : 400 }}>
+                      {row.expected === null ? '—' : `${(row.expected * 100).toFixed(1)}%`}
+                      {row.feasibleProbability < 1 - 1e-9 && <div style={{ fontSize: 11, color: '#6b7280' }}>runs in {(row.feasibleProbability * 100).toFixed(0)}%</div>}
+                    </td>
+                    <td
+                      style={{ ...styles.td, fontWeight: row.id === matrix.minimaxRegretId ? 600 : 400 }}
+                      title={row.maxRegret === null ? 'Infeasible in every scenario' : `Largest gap to the best feasible option, under ${matrix.scenarios.find(sc => sc.id === row.maxRegretScenario)?.name}`}
+                    >
+                      {row.maxRegret === null ? '—' : `${(row.maxRegret * 100).toFixed(1)} pts`}
+                    </td>
+                    <td style={{ ...styles.td, fontWeight: row.id === matrix.cvarId ? 600 : 400 }}>{row.cvar === null ? '—' : `${(row.cvar * 100).toFixed(1)}%`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div style={{ color: '#6b7280', fontSize: 13 }}>Run the simulation to compare strategies across scenarios.</div>
+        )}
+      </div>
+
+      {/* Dispatch window */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Dispatch Window by Departure Hour</h4>
+        {dispatch ? (
+          <div>
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={dispatch.series.map(p => {
+                const point = { hour: formatHour(p.hour) };
+                strategies.forEach(st => { point[st.id] = +(p[st.id] * 100).toFixed(1); });
+                return point;
+              })}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="hour" fontSize={11} interval={2} />
+                <YAxis fontSize={11} unit="%" />
+                <Tooltip contentStyle={styles.tooltipStyle} />
+                <Legend />
+                {strategies.map(st => (
+                  <Line key={st.id} type="monotone" dataKey={st.id} name={st.vendor} stroke={strategyColor(st.id)} dot={false} strokeWidth={2} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+            <table style={{ ...styles.resultsTable, marginTop: 12 }}>
+              <thead>
+                <tr style={styles.tableHeader}>
+                  <th style={styles.th}>Strategy</th>
+                  <th style={styles.th}>Best departure</th>
+                  <th style={styles.th}>Window (within 1 pt)</th>
+                  <th style={styles.th}>Best FDS</th>
+                  <th style={styles.th}>Worst FDS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {strategies.map(st => {
+                  const w = dispatch.byStrategy[st.id];
+                  return (
+                    <tr key={st.id} style={styles.tableRow}>
+                      <td style={styles.td}>{st.vendor} / {st.supplier}</td>
+                      <td style={styles.td}>{formatHour(w.bestHour)}</td>
+                      <td style={styles.td}>{formatHour(w.window.start)} – {formatHour(w.window.end)}</td>
+                      <td style={{ ...styles.td, fontWeight: 600 }}>{(w.bestFDS * 100).toFixed(1)}%</td>
+                      <td style={styles.td}>{(w.worstFDS * 100).toFixed(1)}%</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div style={{ color: '#6b7280', fontSize: 13 }}>
+            {strategies.length === 0
+              ? 'Run the simulation to find the best dispatch window.'
+              : 'The selected scenario has no hourly profile, so every departure hour scores the same. Pick "Urban Weekday (hourly)" or add a profile to a custom scenario.'}
+          </div>
+        )}
+      </div>
+
+      {/* Constraints */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Constraints</h4>
+        <p style={{ fontSize: 12, color: '#6b7280', marginTop: -8, marginBottom: 12 }}>
+          Hard limits make a strategy infeasible; soft limits subtract penalty × relative violation from its FDS.
+        </p>
+        {constraints.map(c => (
+          <div key={c.id} style={styles.noiseRow}>
+            <input type="checkbox" checked={c.enabled !== false} onChange={(e)=>updateConstraint(c.id, { enabled: e.target.checked })} />
+            <span style={{ width: 160, color: '#374151' }}>{c.label}</span>
+            <span style={{ width: 120, color: '#6b7280', fontSize: 12 }}>
+              {Engine.CONSTRAINT_FIELDS[c.field].label} {c.op === 'min' ? '≥' : '≤'}
+            </span>
+            <input
+              type="number"
+              value={c.limit}
+              onChange={(e)=>updateConstraint(c.id, { limit: parseFloat(e.target.value) || 0 })}
+              style={styles.noiseInput}
+            />
+            <select value={c.type} onChange={(e)=>updateConstraint(c.id, { type: e.target.value })} style={styles.noiseSelect}>
+              <option value="hard">hard</option>
+              <option value="soft">soft</option>
+            </select>
+            {c.type === 'soft' && (
+              <label style={styles.noiseParam}>
+                penalty
+                <input
+                  type="number"
+                  step="0.1"
+                  value={c.penalty}
+                  onChange={(e)=>updateConstraint(c.id, { penalty: parseFloat(e.target.value) || 0 })}
+                  style={styles.noiseInput}
+                />
+              </label>
+            )}
+          </div>
+        ))}
+      </div>
+
       {/* Optimization Results Table */}
       <div style={styles.resultsTableCard}>
         <h4 style={styles.cardTitle}>Optimization Results</h4>
@@ -328,28 +1044,280 @@ const Simulation = () => {
               <th style={styles.th}>Vendor</th>
               <th style={styles.th}>Supplier</th>
               <th style={styles.th}>Time</th>
+              <th style={styles.th}>Category</th>
+              <th style={styles.th}>Decay Model</th>
+              <th style={styles.th}>Freshness</th>
               <th style={styles.th}>Score</th>
             </tr>
           </thead>
           <tbody>
             {ranking && ranking.length > 0 ? (
               ranking.map((item, idx) => (
-                <tr key={item.id || idx} style={styles.tableRow}>
-                  <td style={styles.td}>{item.vendor}</td>
+                <tr
+                  key={item.id || idx}
+                  style={{ ...styles.tableRow, ...(item.computed.feasible === false ? styles.infeasibleRow : {}) }}
+                >
+                  <td style={styles.td}>
+                    {item.vendor}
+                    {item.id === plannerPick && <span style={styles.pickBadge}>Planner pick</span>}
+                    {item.computed.violations && item.computed.violations.length > 0 && (
+                      <div style={styles.violationText}>
+                        {item.computed.feasible === false ? 'Infeasible — ' : 'Penalized — '}
+                        {item.computed.violations.map(v => v.message).join('; ')}
+                      </div>
+                    )}
+                    {idx > 0 && (
+                      <button
+                        onClick={() => setToWinId(toWinId === item.id ? null : item.id)}
+                        style={styles.toWinToggle}
+                      >
+                        {toWinId === item.id ? 'Hide what it takes to win' : 'What would make it win?'}
+                      </button>
+                    )}
+                    {toWinId === item.id && toWinHint(toWin) && <div style={styles.toWinText}>{toWinHint(toWin)}</div>}
+                  </td>
                   <td style={styles.td}>{item.supplier}</td>
-                  <td style={styles.td}>{Math.round(item.computed.deliveryTime)}min</td>
+                  <td style={styles.td}>
+                    {Math.round(item.computed.deliveryTime)}min
+                    {item.calibration && (
+                      <div style={{ fontSize: 11, color: '#6b7280' }}>
+                        planned {item.calibration.plannedDeliveryTime}min • {item.calibration.outcomes} outcomes
+                      </div>
+                    )}
+                  </td>
+                  <td style={styles.td}>
+                    <select value={item.category || 'general'} onChange={(e)=>updateStrategyDecay(item.id, { category: e.target.value, decayModel: '' })}>
+                      {Object.entries(Engine.PRODUCT_CATEGORIES).map(([key, c]) => <option key={key} value={key}>{c.label}</option>)}
+                    </select>
+                  </td>
+                  <td style={styles.td}>
+                    <select value={item.decayModel || ''} onChange={(e)=>updateStrategyDecay(item.id, { decayModel: e.target.value })}>
+                      <option value="">Category default ({Engine.DECAY_MODELS[(Engine.PRODUCT_CATEGORIES[item.category] || Engine.PRODUCT_CATEGORIES.general).model].label})</option>
+                      {Object.entries(Engine.DECAY_MODELS).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+                    </select>
+                  </td>
+                  <td style={styles.td}>{(item.computed.FreshnessScore*100).toFixed(1)}%</td>
                   <td style={{ ...styles.td, color: "#f59e0b", fontWeight: "600" }}>{(item.computed.FDS*100).toFixed(1)}%</td>
                 </tr>
               ))
             ) : (
               <tr>
-                <td style={styles.td} colSpan={4}>No rankings yet — run simulation</td>
+                <td style={styles.td} colSpan={7}>No rankings yet — run simulation</td>
               </tr>
             )}
           </tbody>
         </table>
       </div>
 
+      {/* Multi-vendor allocation */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Supplier Allocation</h4>
+        {allocation ? (
+          <div>
+            <div style={{ display: 'flex', gap: 12, alignItems: 'center', fontSize: 13, color: '#6b7280', marginBottom: 12 }}>
+              <label>Objective:</label>
+              <select value={allocationObjective} onChange={(e)=>setAllocationObjective(e.target.value)}>
+                <option value="score">Maximise total FDS</option>
+                <option value="cost">Minimise total cost</option>
+              </select>
+              <span style={{ marginLeft: 'auto' }}>
+                Total FDS: <strong>{allocation.totalScore.toFixed(2)}</strong> • Total cost: <strong>{Math.round(allocation.totalCost)}</strong>
+              </span>
+            </div>
+            <table style={styles.resultsTable}>
+              <thead>
+                <tr style={styles.tableHeader}>
+                  <th style={styles.th}>Vendor \ Supplier</th>
+                  {allocation.suppliers.map(sp => <th key={sp} style={styles.th}>{sp}</th>)}
+                  <th style={styles.th}>Demand</th>
+                  <th style={styles.th}>Unmet</th>
+                </tr>
+              </thead>
+              <tbody>
+                {allocation.vendors.map(v => (
+                  <tr key={v} style={styles.tableRow}>
+                    <td style={styles.td}>{v}</td>
+                    {allocation.suppliers.map(sp => {
+                      const units = allocation.matrix[v][sp];
+                      const pair = allocation.pairScore[`${v}::${sp}`];
+                      return (
+                        <td key={sp} style={{ ...styles.td, background: units > 0 ? '#dcfce7' : undefined, opacity: pair?.feasible === false ? 0.5 : 1 }}>
+                          <strong>{units}</strong>
+                          <div style={{ fontSize: 11, color: '#6b7280' }}>
+                            {pair?.feasible === false ? 'infeasible' : `FDS ${(pair.FDS*100).toFixed(0)}%`}
+                          </div>
+                        </td>
+                      );
+                    })}
+                    <td style={styles.td}>
+                      {registryEntryNamed('vendor', v) ? (
+                        <input
+                          type="number"
+                          value={vendorDemand[v]}
+                          onChange={(e)=>registry.saveEntry({ ...registryEntryNamed('vendor', v), demand: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                          style={styles.noiseInput}
+                        />
+                      ) : <span style={{ fontSize: 11, color: '#6b7280' }}>not in registry</span>}
+                    </td>
+                    <td style={{ ...styles.td, color: allocation.unmetDemand[v] > 0 ? '#ef4444' : '#16a34a' }}>{allocation.unmetDemand[v]}</td>
+                  </tr>
+                ))}
+                <tr style={styles.tableRow}>
+                  <td style={styles.td}><strong>Capacity</strong></td>
+                  {allocation.suppliers.map(sp => (
+                    <td key={sp} style={styles.td}>
+                      {registryEntryNamed('supplier', sp) ? (
+                        <input
+                          type="number"
+                          value={supplierCapacity[sp]}
+                          onChange={(e)=>registry.saveEntry({ ...registryEntryNamed('supplier', sp), capacity: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                          style={styles.noiseInput}
+                        />
+                      ) : <div style={{ fontSize: 11, color: '#6b7280' }}>not in registry</div>}
+                      <div style={{ fontSize: 11, color: '#6b7280' }}>used {allocation.supplierLoad[sp]}</div>
+                    </td>
+                  ))}
+                  <td style={styles.td} colSpan={2}></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        ) : <div style={{ color:'#6b7280' }}>Run simulation to allocate suppliers.</div>}
+      </div>
+
+      {/* Pareto front */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Pareto Front (Trade-off View)</h4>
+        {pareto ? (
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 320px', gap: 20 }}>
+            <div>
+              <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginBottom: 8, fontSize: 13, color: '#6b7280' }}>
+                <label>X axis:</label>
+                <select value={paretoAxes.x} onChange={(e)=>setParetoAxes({ ...paretoAxes, x: e.target.value })}>
+                  {Engine.PARETO_OBJECTIVES.map(o => <option key={o} value={o}>{OBJECTIVE_LABELS[o]}</option>)}
+                </select>
+                <label>Y axis:</label>
+                <select value={paretoAxes.y} onChange={(e)=>setParetoAxes({ ...paretoAxes, y: e.target.value })}>
+                  {Engine.PARETO_OBJECTIVES.map(o => <option key={o} value={o}>{OBJECTIVE_LABELS[o]}</option>)}
+                </select>
+                <span style={{ marginLeft: 'auto', fontSize: 12 }}>Click a point to pick it</span>
+              </div>
+              <ResponsiveContainer width="100%" height={260}>
+                <ScatterChart margin={{ top: 10, right: 20, bottom: 10, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis type="number" dataKey="x" name={OBJECTIVE_LABELS[paretoAxes.x]} unit="%" domain={['auto', 'auto']} stroke="#9ca3af" fontSize={11} />
+                  <YAxis type="number" dataKey="y" name={OBJECTIVE_LABELS[paretoAxes.y]} unit="%" domain={['auto', 'auto']} stroke="#9ca3af" fontSize={11} />
+                  <Tooltip contentStyle={styles.tooltipStyle} cursor={{ strokeDasharray: '3 3' }} />
+                  <Legend />
+                  <Scatter
+                    name="Pareto-optimal"
+                    data={pareto.front.map(toParetoPoint)}
+                    fill="#16a34a"
+                    cursor="pointer"
+                    onClick={(point)=>setPlannerPick(point.payload?.id ?? point.id)}
+                  />
+                  <Scatter
+                    name="Dominated"
+                    data={pareto.dominated.map(toParetoPoint)}
+                    fill="#9ca3af"
+                    cursor="pointer"
+                    onClick={(point)=>setPlannerPick(point.payload?.id ?? point.id)}
+                  />
+                  {pareto.infeasible.length > 0 && (
+                    <Scatter
+                      name="Infeasible"
+                      data={pareto.infeasible.map(toParetoPoint)}
+                      fill="#fca5a5"
+                      shape="cross"
+                      cursor="pointer"
+                      onClick={(point)=>setPlannerPick(point.payload?.id ?? point.id)}
+                    />
+                  )}
+                </ScatterChart>
+              </ResponsiveContainer>
+            </div>
+            <div>
+              <h5 style={{ margin: '0 0 8px 0' }}>Non-dominated strategies</h5>
+              {pareto.front.map(s => (
+                <div
+                  key={s.id}
+                  onClick={()=>setPlannerPick(s.id)}
+                  style={{ ...styles.paretoItem, borderColor: s.id === plannerPick ? '#2563eb' : '#e5e7eb' }}
+                >
+                  <strong>{s.vendor}</strong> / {s.supplier}
+                  <div style={{ fontSize: 12, color: '#6b7280' }}>
+                    FDS rank #{s.fdsRank} • {Engine.PARETO_OBJECTIVES.map(o => `${OBJECTIVE_LABELS[o][0]} ${(s.computed[o]*100).toFixed(0)}`).join(' · ')}
+                  </div>
+                </div>
+              ))}
+              {pareto.infeasible.length > 0 && (
+                <div style={{ fontSize: 12, color: '#9ca3af', marginTop: 8 }}>
+                  Left out (break a hard constraint): {pareto.infeasible.map(s => s.vendor).join(', ')}
+                </div>
+              )}
+              {pickedStrategy && (
+                <div style={{ marginTop: 12, background: '#dbeafe', padding: '8px 12px', borderRadius: 6, fontSize: 13 }}>
+                  Planner pick: <strong>{pickedStrategy.vendor}</strong> (FDS rank #{pickedStrategy.fdsRank})
+                  {pickedStrategy.dominatedBy.length > 0 && ` — dominated by ${pickedStrategy.dominatedBy.join(', ')}`}
+                  {pickedStrategy.computed.feasible === false && ` — infeasible: ${pickedStrategy.computed.violations.filter(v => v.type === 'hard').map(v => v.message).join('; ')}`}
+                  <button onClick={()=>setPlannerPick(null)} style={{ marginLeft: 8, fontSize: 12, cursor: 'pointer' }}>Clear</button>
+                </div>
+              )}
+            </div>
+          </div>
+        ) : <div style={{ color:'#6b7280' }}>Run simulation to compute the Pareto front.</div>}
+      </div>
+
+      {/* Weight-space robustness */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Weight Robustness (Simplex Sweep)</h4>
+        {ternarySweep && weightRobustness ? (
+          <div style={{ display: 'grid', gridTemplateColumns: '360px 1fr', gap: 20 }}>
+            <div>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 13, color: '#6b7280', marginBottom: 8 }}>
+                <label>Hold fixed:</label>
+                <select value={ternaryFixed} onChange={(e)=>setTernaryFixed(e.target.value)}>
+                  {Engine.WEIGHT_KEYS.map(k => <option key={k} value={k}>{k} = {(weights[k]*100).toFixed(0)}%</option>)}
+                </select>
+              </div>
+              <TernaryPlot sweep={ternarySweep} weights={weights} colorOf={strategyColor} />
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 10, fontSize: 12 }}>
+                {strategies.map(s => (
+                  <span key={s.id}><span style={{ color: strategyColor(s.id) }}>●</span> {s.vendor}</span>
+                ))}
+              </div>
+            </div>
+            <div>
+              <h5 style={{ margin: '0 0 8px 0' }}>Share of weight simplex where each strategy ranks first among feasible strategies</h5>
+              {strategies.map(s => (
+                <div key={s.id} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6, fontSize: 13 }}>
+                  <span style={{ width: 120 }}>{s.vendor}</span>
+                  <div style={{ ...styles.progressBar, flex: 1 }}>
+                    <div style={{ ...styles.progressFill, width: `${(weightRobustness.regions[s.id] || 0) * 100}%`, background: strategyColor(s.id) }} />
+                  </div>
+                  <span style={{ width: 50, textAlign: 'right' }}>{((weightRobustness.regions[s.id] || 0) * 100).toFixed(1)}%</span>
+                </div>
+              ))}
+              <h5 style={{ margin: '16px 0 8px 0' }}>Break-even weights (others keep their ratios)</h5>
+              <table style={styles.resultsTable}>
+                <tbody>
+                  {weightRobustness.breakEvens.map(be => (
+                    <tr key={be.key} style={styles.tableRow}>
+                      <td style={styles.td}><strong>{be.key}</strong> (now {(be.current*100).toFixed(1)}%)</td>
+                      <td style={styles.td}>
+                        {be.flips.length === 0
+                          ? 'No flip — top choice holds across the whole range'
+                          : be.flips.map(f => `${strategyName(f.fromId)} → ${strategyName(f.toId)} at ${(f.at*100).toFixed(1)}%`).join('; ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : <div style={{ color:'#6b7280' }}>Run simulation to sweep the weight space.</div>}
+      </div>
+
       {/* Explainable AI Panel */}
       <div style={{ ...styles.resultsTableCard, marginBottom: 20 }}>
         <h4 style={styles.cardTitle}>Explainable AI Output</h4>
@@ -360,7 +1328,16 @@ const Simulation = () => {
         )}
         <div style={{ display: 'flex', gap: 20 }}>
           <div style={{ flex: 1 }}>
-            <h5 style={{ margin: '0 0 8px 0' }}>Explanation</h5>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <h5 style={{ margin: '0 0 8px 0' }}>Explanation</h5>
+              <button
+                onClick={exportExplanation}
+                disabled={!explanationData}
+                style={{ padding: '4px 10px', borderRadius: 6, border: '1px solid #e5e7eb', background: '#f9fafb', cursor: 'pointer', fontSize: 12 }}
+              >
+                Export JSON
+              </button>
+            </div>
             <pre style={{ whiteSpace: 'pre-wrap', color: '#374151' }}>{explanation || 'No explanation yet.'}</pre>
           </div>
           <div style={{ width: 320 }}>
@@ -397,26 +1374,134 @@ const Simulation = () => {
         </div>
       </div>
 
+      {/* Factor contributions */}
+      {explanationData && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20, marginBottom: 20 }}>
+          <div style={styles.resultsTableCard}>
+            <h4 style={styles.cardTitle}>Factor Contributions (weight × sub-score)</h4>
+            <table style={styles.resultsTable}>
+              <thead>
+                <tr style={styles.tableHeader}>
+                  <th style={styles.th}>Strategy</th>
+                  {Engine.CONTRIBUTION_FACTORS.map(f => <th key={f.key} style={styles.th}>{f.label}</th>)}
+                  <th style={styles.th}>Penalty</th>
+                  <th style={styles.th}>FDS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {explanationData.strategies.map(st => (
+                  <tr key={st.id} style={{ ...styles.tableRow, ...(st.feasible ? {} : styles.infeasibleRow) }}>
+                    <td style={styles.td}>#{st.rank} {st.vendor}</td>
+                    {Engine.CONTRIBUTION_FACTORS.map(f => (
+                      <td key={f.key} style={styles.td}>{(st.contributions[f.key] * 100).toFixed(1)}</td>
+                    ))}
+                    <td style={{ ...styles.td, color: st.contributions.penalty < 0 ? '#ef4444' : '#6b7280' }}>
+                      {(st.contributions.penalty * 100).toFixed(1)}
+                    </td>
+                    <td style={{ ...styles.td, fontWeight: 600 }}>{(st.FDS * 100).toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={{ fontSize: 11, color: '#94a3b8', marginTop: 8 }}>Points of FDS; each row sums to its FDS.</div>
+          </div>
+          <div style={styles.resultsTableCard}>
+            <h4 style={styles.cardTitle}>Why #1 beats #2</h4>
+            {waterfall ? (
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={waterfall.rows}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis dataKey="name" fontSize={11} />
+                  <YAxis fontSize={11} domain={[waterfall.floor, 'auto']} allowDataOverflow />
+                  <Tooltip
+                    contentStyle={styles.tooltipStyle}
+                    formatter={(value, name, item) => (item.payload.kind === 'total'
+                      ? [`${value.toFixed(1)} pts`, 'FDS']
+                      : [`${item.payload.delta >= 0 ? '+' : ''}${item.payload.delta.toFixed(2)} pts`, 'Change'])}
+                  />
+                  <Bar dataKey="base" stackId="waterfall" fill="transparent" tooltipType="none" />
+                  <Bar dataKey="value" stackId="waterfall">
+                    {waterfall.rows.map((r, i) => (
+                      <Cell key={i} fill={r.kind === 'total' ? '#2563eb' : r.kind === 'up' ? '#16a34a' : '#ef4444'} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            ) : (
+              <div style={{ color: '#6b7280', fontSize: 13 }}>Needs at least two strategies.</div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Sensitivity & Risk */}
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 320px', gap: 20, marginBottom: 30 }}>
         <div style={{ background: '#fff', padding: 20, borderRadius: 12, boxShadow: '0 4px 12px rgba(0,0,0,0.05)' }}>
-          <h4 style={styles.cardTitle}>Sensitivity Analysis (Perturbation Impact)</h4>
-          <p style={{ fontSize: 12, color: '#6b7280', marginBottom: 12 }}>
-            Traffic +10% | Cost +5% | Decay Rate +15%
-          </p>
+          <h4 style={styles.cardTitle}>Sensitivity Analysis (Tornado)</h4>
           {sensitivity ? (
-            <ResponsiveContainer width="100%" height={200}>
-              <BarChart data={sensitivity.map(s => ({
-                name: s.vendor.substring(0, 10),
-                impact: (s.delta * 100).toFixed(2)
-              }))}>
-                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                <XAxis dataKey="name" stroke="#9ca3af" fontSize={11} />
-                <YAxis stroke="#9ca3af" fontSize={11} />
-                <Tooltip contentStyle={styles.tooltipStyle} />
-                <Bar dataKey="impact" fill="#2563eb" radius={[4, 4, 0, 0]} name="FDS Impact %" />
-              </BarChart>
-            </ResponsiveContainer>
+            <div>
+              <div style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 12, color: '#6b7280', marginBottom: 12 }}>
+                <label>FDS of:</label>
+                <select value={tornadoId} onChange={(e)=>setTornadoTarget(e.target.value)}>
+                  {strategies.map(st => <option key={st.id} value={st.id}>{st.vendor} / {st.supplier}</option>)}
+                </select>
+                <span>Bars show FDS change (pts) at the low and high end of each range, largest swing first.</span>
+              </div>
+              <ResponsiveContainer width="100%" height={40 + tornadoBars.length * 32}>
+                <BarChart
+                  layout="vertical"
+                  stackOffset="sign"
+                  data={tornadoBars.map(b => ({
+                    name: b.label,
+                    low: +((b.lowF - b.baseF) * 100).toFixed(2),
+                    high: +((b.highF - b.baseF) * 100).toFixed(2),
+                  }))}
+                  margin={{ top: 0, right: 20, bottom: 0, left: 40 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis type="number" stroke="#9ca3af" fontSize={11} />
+                  <YAxis type="category" dataKey="name" stroke="#9ca3af" fontSize={11} width={120} />
+                  <Tooltip contentStyle={styles.tooltipStyle} />
+                  <Legend />
+                  <Bar dataKey="low" stackId="swing" fill="#ef4444" name="Low end" />
+                  <Bar dataKey="high" stackId="swing" fill="#16a34a" name="High end" />
+                </BarChart>
+              </ResponsiveContainer>
+              {tornadoBars.some(b => b.topAtLow !== sensitivity.tornado.baseTopId || b.topAtHigh !== sensitivity.tornado.baseTopId) && (
+                <div style={{ fontSize: 12, color: '#b45309', marginTop: 8 }}>
+                  Top strategy flips within range for: {tornadoBars
+                    .filter(b => b.topAtLow !== sensitivity.tornado.baseTopId || b.topAtHigh !== sensitivity.tornado.baseTopId)
+                    .map(b => b.label).join(', ')}
+                </div>
+              )}
+              {tornadoBars.some(b => !b.lowFeasible || !b.highFeasible) && (
+                <div style={{ fontSize: 12, color: '#dc2626', marginTop: 8 }}>
+                  {strategyName(tornadoId)} breaks a hard constraint at: {tornadoBars
+                    .filter(b => !b.lowFeasible || !b.highFeasible)
+                    .map(b => `${b.label} (${[!b.lowFeasible && 'low', !b.highFeasible && 'high'].filter(Boolean).join(', ')})`).join(', ')}
+                </div>
+              )}
+              <h5 style={{ margin: '16px 0 8px 0' }}>Ranges (% change from base)</h5>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: 6 }}>
+                {Object.keys(Engine.SENSITIVITY_VARIABLES).map(v => (
+                  <div key={v} style={styles.noiseRow}>
+                    <span style={{ width: 140, color: '#374151' }}>{Engine.SENSITIVITY_VARIABLES[v].label}</span>
+                    {['low', 'high'].map(end => (
+                      <label key={end} style={styles.noiseParam}>
+                        {end}
+                        <input
+                          type="number"
+                          step="1"
+                          value={sensitivityRanges[v][end]}
+                          onChange={(e)=>setSensitivityRanges({ ...sensitivityRanges, [v]: { ...sensitivityRanges[v], [end]: parseFloat(e.target.value) || 0 } })}
+                          style={styles.noiseInput}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
           ) : <div style={{ color:'#6b7280' }}>Run simulation to compute sensitivity.</div>}
         </div>
 
@@ -428,11 +1513,124 @@ const Simulation = () => {
               <div>Best: {(monteCarlo.best*100).toFixed(2)}%</div>
               <div>Worst: {(monteCarlo.worst*100).toFixed(2)}%</div>
               <div>Decision Stability: {monteCarlo.stability.toFixed(1)}%</div>
+              {monteCarlo.noFeasible > 0 && (
+                <div style={{ color: '#dc2626' }}>No feasible strategy: {((monteCarlo.noFeasible / monteCarlo.iterations) * 100).toFixed(1)}% of runs</div>
+              )}
+              <div style={{ marginTop: 8, fontSize: 12, color: '#6b7280' }}>
+                Seed: <strong>{monteCarlo.seed}</strong> • {monteCarlo.iterations} iterations
+              </div>
+              <button
+                onClick={()=>setSeedInput(String(monteCarlo.seed))}
+                style={{ marginTop: 8, padding: '4px 10px', borderRadius: 6, border: '1px solid #e5e7eb', background: '#f9fafb', cursor: 'pointer', fontSize: 12 }}
+              >
+                Reuse seed for next run
+              </button>
             </div>
           ) : <div style={{ color:'#6b7280' }}>Run simulation to compute risk profile.</div>}
         </div>
       </div>
 
+      {/* Monte Carlo noise model */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Monte Carlo Noise Model</h4>
+        <p style={{ fontSize: 12, color: '#6b7280', marginTop: -8, marginBottom: 12 }}>
+          Relative perturbations applied each iteration (value × (1 + noise)). Applies on the next run.
+        </p>
+        <NoiseSpecEditor label="Delivery time" spec={noise.delivery} onChange={(spec)=>setNoise({ ...noise, delivery: spec })} />
+        <NoiseSpecEditor label="Cost" spec={noise.cost} onChange={(spec)=>setNoise({ ...noise, cost: spec })} />
+        <NoiseSpecEditor label="Decay rate k" spec={noise.decay} onChange={(spec)=>setNoise({ ...noise, decay: spec })} />
+        <h5 style={{ margin: '16px 0 8px 0' }}>Per-strategy delivery noise</h5>
+        {strategySet.map(st => (
+          <NoiseSpecEditor
+            key={st.id}
+            label={`${st.vendor} / ${st.supplier}`}
+            spec={noise.perStrategy[st.id]?.delivery || null}
+            allowInherit
+            onChange={(spec)=>{
+              const perStrategy = { ...noise.perStrategy };
+              if (spec) perStrategy[st.id] = { delivery: spec };
+              else delete perStrategy[st.id];
+              setNoise({ ...noise, perStrategy });
+            }}
+          />
+        ))}
+        <button
+          onClick={()=>setNoise(Engine.DEFAULT_NOISE)}
+          style={{ marginTop: 8, padding: '4px 10px', borderRadius: 6, border: '1px solid #e5e7eb', background: '#f9fafb', cursor: 'pointer', fontSize: 12 }}
+        >
+          Reset to defaults
+        </button>
+      </div>
+
+      {/* Monte Carlo per-strategy distributions */}
+      {monteCarlo && monteCarlo.byStrategy && (
+        <div style={{ ...styles.resultsTableCard }}>
+          <h4 style={styles.cardTitle}>Monte Carlo Score Distributions</h4>
+          <p style={{ fontSize: 12, color: '#6b7280', marginTop: -8, marginBottom: 12 }}>
+            Mean FDS per strategy with P5–P95 error bars over {monteCarlo.iterations} iterations. Overlapping bars mean the ranking is not settled.
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 20, marginBottom: 16 }}>
+            <ResponsiveContainer width="100%" height={240}>
+              <BarChart data={monteCarlo.byStrategy.map(d => ({
+                name: (d.vendor || d.id).substring(0, 12),
+                mean: +(d.mean * 100).toFixed(2),
+                interval: [+((d.mean - d.p5) * 100).toFixed(2), +((d.p95 - d.mean) * 100).toFixed(2)],
+              }))}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="name" stroke="#9ca3af" fontSize={11} />
+                <YAxis stroke="#9ca3af" fontSize={11} />
+                <Tooltip contentStyle={styles.tooltipStyle} />
+                <Bar dataKey="mean" fill="#2563eb" radius={[4, 4, 0, 0]} name="Mean FDS %">
+                  <ErrorBar dataKey="interval" width={6} strokeWidth={2} stroke="#1f2937" direction="y" />
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={(monteCarlo.byStrategy[0]?.histogram || []).map((bin, i) => {
+                const row = { bin: (bin.x0 * 100).toFixed(1) };
+                monteCarlo.byStrategy.forEach(d => { row[d.vendor || d.id] = d.histogram[i].count; });
+                return row;
+              })}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="bin" stroke="#9ca3af" fontSize={11} />
+                <YAxis stroke="#9ca3af" fontSize={11} />
+                <Tooltip contentStyle={styles.tooltipStyle} />
+                <Legend />
+                {monteCarlo.byStrategy.map((d, i) => (
+                  <Line key={d.id} type="monotone" dataKey={d.vendor || d.id} stroke={COLORS[i % COLORS.length]} dot={false} strokeWidth={2} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <table style={styles.resultsTable}>
+            <thead>
+              <tr style={styles.tableHeader}>
+                <th style={styles.th}>Vendor</th>
+                <th style={styles.th}>Mean ± SD</th>
+                <th style={styles.th}>P5</th>
+                <th style={styles.th}>P50</th>
+                <th style={styles.th}>P95</th>
+                <th style={styles.th}>P(feasible)</th>
+                <th style={styles.th}>P(rank #1)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {monteCarlo.byStrategy.map(d => (
+                <tr key={d.id} style={styles.tableRow}>
+                  <td style={styles.td}>{d.vendor || d.id}</td>
+                  <td style={styles.td}>{(d.mean*100).toFixed(1)}% ± {(d.std*100).toFixed(1)}</td>
+                  <td style={styles.td}>{(d.p5*100).toFixed(1)}%</td>
+                  <td style={styles.td}>{(d.p50*100).toFixed(1)}%</td>
+                  <td style={styles.td}>{(d.p95*100).toFixed(1)}%</td>
+                  <td style={{ ...styles.td, color: d.probFeasible < 1 ? '#dc2626' : '#111827' }}>{(d.probFeasible*100).toFixed(1)}%</td>
+                  <td style={{ ...styles.td, fontWeight: 600 }}>{(d.probFirst*100).toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Charts Grid */}
       <div style={styles.chartsGrid}>
         {/* Route Optimization */}
@@ -516,13 +1714,72 @@ const Simulation = () => {
         </div>
       </div>
 
+      {/* Strategy bandit */}
+      <div style={styles.resultsTableCard}>
+        <h4 style={styles.cardTitle}>Strategy Bandit (Learning from Outcomes)</h4>
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', fontSize: 13, color: '#6b7280', marginBottom: 12 }}>
+          <label>Algorithm:</label>
+          <select value={bandit.algorithm} onChange={(e)=>updateBandit({ ...bandit, algorithm: e.target.value })}>
+            <option value="thompson">Thompson sampling</option>
+            <option value="ucb">UCB1</option>
+          </select>
+          <button onClick={suggestWithBandit} style={{ padding: '6px 12px', borderRadius: 6, border: 'none', background: '#2563eb', color: '#fff', cursor: 'pointer', fontSize: 12 }}>
+            Suggest next strategy
+          </button>
+          {banditPick && (
+            <span>Next pick: <strong style={{ color: '#111827' }}>{strategySet.find(st => st.id === banditPick)?.vendor}</strong></span>
+          )}
+          <span style={{ marginLeft: 'auto' }}>{bandit.totalPulls} outcomes recorded</span>
+        </div>
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={Engine.banditEstimates(bandit, strategySet.map(st => st.id)).map(e => ({
+            name: strategySet.find(st => st.id === e.id).vendor,
+            mean: +(e.mean * 100).toFixed(1),
+            interval: [+((e.mean - e.lower) * 100).toFixed(1), +((e.upper - e.mean) * 100).toFixed(1)],
+            pulls: e.pulls,
+          }))}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="name" stroke="#9ca3af" fontSize={11} />
+            <YAxis stroke="#9ca3af" fontSize={11} domain={[0, 100]} unit="%" />
+            <Tooltip contentStyle={styles.tooltipStyle} />
+            <Bar dataKey="mean" fill="#7c3aed" radius={[4, 4, 0, 0]} name="Estimated reward %">
+              <ErrorBar dataKey="interval" width={6} strokeWidth={2} stroke="#1f2937" direction="y" />
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+        <button
+          onClick={()=>{ updateBandit(Engine.createBanditState(bandit.algorithm)); setBanditPick(null); }}
+          style={{ padding: '6px 12px', borderRadius: 6, border: '1px solid #e5e7eb', background: '#f9fafb', cursor: 'pointer', fontSize: 12 }}
+        >
+          Reset bandit
+        </button>
+      </div>
+
+      {/* Delivery outcome log */}
+      <div style={styles.resultsTableCard}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <h4 style={styles.cardTitle}>Delivery Outcome Log</h4>
+          <label style={{ fontSize: 12, color: '#6b7280', display: 'flex', gap: 6, alignItems: 'center' }}>
+            <input type="checkbox" checked={useOutcomes} onChange={(e)=>setUseOutcomes(e.target.checked)} />
+            Calibrate estimates and learning from recorded outcomes
+          </label>
+        </div>
+        <OutcomeLog
+          strategies={strategySet}
+          outcomes={outcomes}
+          defaultStrategyId={banditPick}
+          onRecord={recordOutcomes}
+          onClear={clearOutcomes}
+        />
+      </div>
+
       {/* Learning Progress */}
       <div style={styles.learningCard}>
         <h4 style={styles.cardTitle}>Model Learning Progress</h4>
         <div style={styles.progressGrid}>
           <div style={styles.progressBox}>
-            <div style={styles.progressBoxLabel}>Training Iterations</div>
-            <div style={styles.progressBoxValue}>10</div>
+            <div style={styles.progressBoxLabel}>Learning Episodes</div>
+            <div style={styles.progressBoxValue}>{learningState.history.length - 1}</div>
           </div>
           <div style={styles.progressBox}>
             <div style={styles.progressBoxLabel}>Accuracy Score</div>
@@ -537,6 +1794,62 @@ const Simulation = () => {
             <div style={styles.progressBoxValue}>78%</div>
           </div>
         </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 280px', gap: 20, marginTop: 20 }}>
+          <div>
+            <h5 style={{ margin: '0 0 8px 0' }}>Weight history across episodes</h5>
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={learningState.history.map(h => ({
+                episode: h.episode,
+                Wd: +(h.Wd * 100).toFixed(2),
+                Wf: +(h.Wf * 100).toFixed(2),
+                Wc: +(h.Wc * 100).toFixed(2),
+                Wr: +(h.Wr * 100).toFixed(2),
+              }))}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="episode" stroke="#9ca3af" fontSize={11} />
+                <YAxis stroke="#9ca3af" fontSize={11} unit="%" />
+                <Tooltip contentStyle={styles.tooltipStyle} />
+                <Legend />
+                {Engine.WEIGHT_KEYS.map((k, i) => (
+                  <Line key={k} type="monotone" dataKey={k} stroke={COLORS[i % COLORS.length]} strokeWidth={2} dot={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div>
+            <h5 style={{ margin: '0 0 8px 0' }}>Learning settings</h5>
+            {[
+              ['learningRate', 'Learning rate', 0.01],
+              ['decay', 'Rate decay', 0.1],
+              ['floor', 'Weight floor', 0.01],
+              ['tolerance', 'Convergence tolerance', 0.001],
+            ].map(([key, label, step]) => (
+              <div key={key} style={styles.noiseRow}>
+                <span style={{ width: 150, color: '#374151' }}>{label}</span>
+                <input
+                  type="number"
+                  step={step}
+                  min={0}
+                  value={learningConfig[key]}
+                  onChange={(e)=>updateLearningConfig({ [key]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                  style={styles.noiseInput}
+                />
+              </div>
+            ))}
+            <div style={{ fontSize: 13, margin: '12px 0', color: learningState.converged ? '#16a34a' : '#b45309' }}>
+              {learningState.converged
+                ? 'Converged — weights have stabilised'
+                : `Not converged — last change ${((learningState.history[learningState.history.length - 1]?.change || 0) * 100).toFixed(2)} pts`}
+            </div>
+            <button
+              onClick={resetLearning}
+              style={{ padding: '6px 12px', borderRadius: 6, border: '1px solid #e5e7eb', background: '#f9fafb', cursor: 'pointer', fontSize: 12 }}
+            >
+              Reset learning history
+            </button>
+          </div>
+        </div>
       </div>
 
       {/* System Architecture Panel */}
@@ -793,6 +2106,73 @@ const styles = {
     fontWeight: "bold",
     color: "#2563eb",
   },
+  infeasibleRow: {
+    opacity: 0.5,
+    background: "#f3f4f6",
+  },
+  violationText: {
+    fontSize: "11px",
+    color: "#b91c1c",
+    marginTop: "4px",
+  },
+  toWinText: {
+    fontSize: "11px",
+    color: "#2563eb",
+    marginTop: "4px",
+  },
+  toWinToggle: {
+    display: "block",
+    marginTop: "4px",
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "#2563eb",
+    fontSize: "11px",
+    textDecoration: "underline",
+    cursor: "pointer",
+  },
+  pickBadge: {
+    marginLeft: "8px",
+    background: "#dbeafe",
+    color: "#1e40af",
+    padding: "2px 8px",
+    borderRadius: "10px",
+    fontSize: "11px",
+    fontWeight: "600",
+  },
+  paretoItem: {
+    border: "1px solid #e5e7eb",
+    borderRadius: "8px",
+    padding: "8px 12px",
+    marginBottom: "8px",
+    cursor: "pointer",
+    fontSize: "13px",
+  },
+  noiseRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    marginBottom: "8px",
+    fontSize: "13px",
+  },
+  noiseLabel: {
+    width: "220px",
+    color: "#374151",
+  },
+  noiseSelect: {
+    padding: "4px 8px",
+    borderRadius: "6px",
+  },
+  noiseParam: {
+    display: "flex",
+    alignItems: "center",
+    gap: "4px",
+    fontSize: "12px",
+    color: "#6b7280",
+  },
+  noiseInput: {
+    width: "64px",
+  },
 };
 
 export default Simulation;
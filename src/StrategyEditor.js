@@ -0,0 +1,359 @@
+import React, { useState } from "react";
+
+import Engine from "./DecisionOptimizationEngine";
+import { parseCSV, toCSV, downloadText } from "./csv";
+
+/**
+ * ============================================
+ * STRATEGY EDITOR
+ * Vendor-supplier offers evaluated by the Simulation page
+ * ============================================
+ */
+
+const NUMBER_FIELDS = [
+  { key: "deliveryTime", label: "Time (min)" },
+  { key: "maxDelivery", label: "Max time" },
+  { key: "cost", label: "Cost" },
+  { key: "maxCost", label: "Max cost" },
+  { key: "reliabilityPct", label: "Reliability %" },
+];
+
+// decayParams is written as a JSON object inside its CSV cell
+const CSV_COLUMNS = ["id", "vendor", "supplier", ...NUMBER_FIELDS.map(f => f.key), "category", "decayModel", "decayParams"];
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  const text = String(value ?? "").trim();
+  return text === "" ? NaN : Number(text);
+};
+
+// coerce a raw row (form, CSV or JSON) into strategy shape; invalid numbers stay NaN for validation
+export const normalizeStrategy = (raw) => {
+  let decayParams = raw.decayParams || {};
+  if (typeof decayParams === "string") {
+    try {
+      decayParams = decayParams.trim() ? JSON.parse(decayParams) : {};
+    } catch (e) {
+      decayParams = { invalid: NaN };
+    }
+  }
+  const strategy = {
+    id: String(raw.id ?? "").trim(),
+    vendor: String(raw.vendor ?? "").trim(),
+    supplier: String(raw.supplier ?? "").trim(),
+    // registry links; CSV rows carry names only and are linked by name
+    vendorId: raw.vendorId || undefined,
+    supplierId: raw.supplierId || undefined,
+    category: raw.category || "general",
+    decayModel: raw.decayModel || "",
+    decayParams,
+  };
+  NUMBER_FIELDS.forEach(({ key }) => { strategy[key] = toNumber(raw[key]); });
+  return strategy;
+};
+
+export const validateStrategy = (s) => {
+  const errors = [];
+  ["id", "vendor", "supplier"].forEach(key => {
+    if (!String(s[key] ?? "").trim()) errors.push(`${key} is required`);
+  });
+  ["deliveryTime", "maxDelivery", "maxCost"].forEach(key => {
+    if (!(s[key] > 0)) errors.push(`${key} must be a positive number`);
+  });
+  if (!(s.cost >= 0)) errors.push("cost must be a non-negative number");
+  if (!(s.reliabilityPct >= 0 && s.reliabilityPct <= 100)) errors.push("reliabilityPct must be 0-100");
+  if (!Engine.PRODUCT_CATEGORIES[s.category]) errors.push(`unknown category "${s.category}"`);
+  if (s.decayModel && !Engine.DECAY_MODELS[s.decayModel]) errors.push(`unknown decay model "${s.decayModel}"`);
+  if (Object.values(s.decayParams || {}).some(v => !Number.isFinite(v))) errors.push("decay parameters must be numbers");
+  return errors;
+};
+
+// { [index]: [messages] } for every row with problems, including duplicate ids
+export const strategyErrors = (strategies) => {
+  const result = {};
+  const seen = new Set();
+  strategies.forEach((s, i) => {
+    const errors = validateStrategy(s);
+    if (s.id && seen.has(s.id)) errors.push(`duplicate id "${s.id}"`);
+    seen.add(s.id);
+    if (errors.length > 0) result[i] = errors;
+  });
+  return result;
+};
+
+const nextId = (strategies) => {
+  const used = strategies.map(s => parseInt(String(s.id).replace(/^s/, ""), 10)).filter(Number.isFinite);
+  return `s${(used.length ? Math.max(...used) : 0) + 1}`;
+};
+
+// vendors / suppliers: registry entries offered for the vendor and supplier columns (free text without them)
+const StrategyEditor = ({ strategies, vendors, suppliers, onChange, onReset }) => {
+  const [importErrors, setImportErrors] = useState([]);
+  const errors = strategyErrors(strategies);
+
+  const updateRow = (index, patch) => {
+    onChange(strategies.map((s, i) => i === index ? { ...s, ...patch } : s));
+  };
+
+  const updateDecayParam = (index, key, value) => {
+    const decayParams = { ...strategies[index].decayParams };
+    if (value === "") delete decayParams[key];
+    else decayParams[key] = toNumber(value);
+    updateRow(index, { decayParams });
+  };
+
+  const addRow = () => {
+    onChange([...strategies, normalizeStrategy({
+      id: nextId(strategies), vendor: "", supplier: "", deliveryTime: 45, maxDelivery: 60, cost: 400, maxCost: 600, reliabilityPct: 90,
+    })]);
+  };
+
+  const duplicateRow = (index) => {
+    const copy = { ...strategies[index], id: nextId(strategies), decayParams: { ...strategies[index].decayParams } };
+    onChange([...strategies.slice(0, index + 1), copy, ...strategies.slice(index + 1)]);
+  };
+
+  const deleteRow = (index) => onChange(strategies.filter((_, i) => i !== index));
+
+  // an import replaces the set with its valid rows; bad rows are reported and skipped
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    let rows;
+    try {
+      const text = await file.text();
+      rows = /\.json$/i.test(file.name) ? JSON.parse(text) : parseCSV(text);
+      if (!Array.isArray(rows)) throw new Error("expected an array of strategies");
+    } catch (err) {
+      setImportErrors([`Could not read ${file.name}: ${err.message}`]);
+      return;
+    }
+    const imported = [];
+    const rowErrors = [];
+    rows.forEach((row, i) => {
+      // JSON arrays can hold anything; only plain objects are strategy rows
+      if (!row || typeof row !== "object" || Array.isArray(row)) {
+        rowErrors.push(`Row ${i + 1}: expected an object, got ${row === null ? "null" : Array.isArray(row) ? "an array" : typeof row}`);
+        return;
+      }
+      const s = normalizeStrategy(row);
+      const problems = validateStrategy(s);
+      if (imported.some(x => x.id === s.id)) problems.push(`duplicate id "${s.id}"`);
+      if (problems.length > 0) rowErrors.push(`Row ${i + 1}: ${problems.join(", ")}`);
+      else imported.push(s);
+    });
+    setImportErrors(rowErrors);
+    if (imported.length > 0) onChange(imported);
+  };
+
+  const exportCSV = () => {
+    const rows = strategies.map(s => ({ ...s, decayParams: JSON.stringify(s.decayParams || {}) }));
+    downloadText("strategies.csv", toCSV(rows, CSV_COLUMNS));
+  };
+
+  const exportJSON = () => {
+    downloadText("strategies.json", JSON.stringify(strategies, null, 2), "application/json");
+  };
+
+  return (
+    <div>
+      <div style={styles.actions}>
+        <button onClick={addRow} style={{ ...styles.button, ...styles.primary }}>Add strategy</button>
+        <label style={styles.button}>
+          Import CSV / JSON
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleImport} style={{ display: "none" }} />
+        </label>
+        <button onClick={exportCSV} disabled={strategies.length === 0} style={styles.button}>Export CSV</button>
+        <button onClick={exportJSON} disabled={strategies.length === 0} style={styles.button}>Export JSON</button>
+        <button onClick={onReset} style={styles.button}>Reset to defaults</button>
+        <span style={styles.hint}>Changes apply on the next run</span>
+      </div>
+
+      {importErrors.length > 0 && (
+        <div style={styles.errors}>
+          {importErrors.slice(0, 5).map((err, i) => <div key={i}>{err}</div>)}
+          {importErrors.length > 5 && <div>…and {importErrors.length - 5} more</div>}
+        </div>
+      )}
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Id</th>
+              <th style={styles.th}>Vendor</th>
+              <th style={styles.th}>Supplier</th>
+              {NUMBER_FIELDS.map(f => <th key={f.key} style={styles.th}>{f.label}</th>)}
+              <th style={styles.th}>Category</th>
+              <th style={styles.th}>Decay model</th>
+              <th style={styles.th}>Decay params</th>
+              <th style={styles.th}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {strategies.length === 0 && (
+              <tr><td style={styles.td} colSpan={NUMBER_FIELDS.length + 7}>No strategies — add one or import a file</td></tr>
+            )}
+            {strategies.map((s, i) => {
+              const { name: modelName, model } = Engine.resolveDecayModel(s);
+              return (
+                <React.Fragment key={i}>
+                  <tr style={errors[i] ? styles.invalidRow : undefined}>
+                    <td style={styles.td}>
+                      <input value={s.id} onChange={(e) => updateRow(i, { id: e.target.value })} style={{ ...styles.input, width: "48px" }} />
+                    </td>
+                    {[["vendor", "vendorId", vendors], ["supplier", "supplierId", suppliers]].map(([key, idKey, options]) => (
+                      <td key={key} style={styles.td}>
+                        {options ? (
+                          <select
+                            value={s[idKey] || ""}
+                            onChange={(e) => updateRow(i, { [idKey]: e.target.value, [key]: options.find(o => o.id === e.target.value)?.name || "" })}
+                            style={{ ...styles.input, width: "130px" }}
+                          >
+                            <option value="">{s[key] && !s[idKey] ? `${s[key]} (not in registry)` : `Select ${key}`}</option>
+                            {options.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+                          </select>
+                        ) : (
+                          <input
+                            value={s[key]}
+                            onChange={(e) => updateRow(i, { [key]: e.target.value })}
+                            style={{ ...styles.input, width: "120px" }}
+                          />
+                        )}
+                      </td>
+                    ))}
+                    {NUMBER_FIELDS.map(({ key }) => (
+                      <td key={key} style={styles.td}>
+                        <input
+                          type="number"
+                          value={Number.isFinite(s[key]) ? s[key] : ""}
+                          onChange={(e) => updateRow(i, { [key]: toNumber(e.target.value) })}
+                          style={{ ...styles.input, width: "64px" }}
+                        />
+                      </td>
+                    ))}
+                    <td style={styles.td}>
+                      <select value={s.category} onChange={(e) => updateRow(i, { category: e.target.value, decayModel: "", decayParams: {} })} style={styles.input}>
+                        {Object.entries(Engine.PRODUCT_CATEGORIES).map(([key, c]) => <option key={key} value={key}>{c.label}</option>)}
+                      </select>
+                    </td>
+                    <td style={styles.td}>
+                      <select value={s.decayModel} onChange={(e) => updateRow(i, { decayModel: e.target.value, decayParams: {} })} style={styles.input}>
+                        <option value="">Category default</option>
+                        {Object.entries(Engine.DECAY_MODELS).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+                      </select>
+                    </td>
+                    <td style={styles.td}>
+                      {Object.keys(model.defaults).length === 0 && <span style={styles.hint}>—</span>}
+                      {Object.keys(model.defaults).map(key => (
+                        <label key={`${modelName}-${key}`} style={styles.param}>
+                          {key}
+                          <input
+                            type="number"
+                            placeholder={String(Engine.resolveDecayModel({ ...s, decayParams: {} }).params[key])}
+                            value={Number.isFinite(s.decayParams?.[key]) ? s.decayParams[key] : ""}
+                            onChange={(e) => updateDecayParam(i, key, e.target.value)}
+                            style={{ ...styles.input, width: "56px" }}
+                          />
+                        </label>
+                      ))}
+                    </td>
+                    <td style={{ ...styles.td, whiteSpace: "nowrap" }}>
+                      <button onClick={() => duplicateRow(i)} style={styles.button}>Duplicate</button>{" "}
+                      <button onClick={() => deleteRow(i)} style={styles.button}>Delete</button>
+                    </td>
+                  </tr>
+                  {errors[i] && (
+                    <tr>
+                      <td colSpan={NUMBER_FIELDS.length + 7} style={styles.errorCell}>{errors[i].join("; ")}</td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  actions: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "8px",
+    alignItems: "center",
+    marginBottom: "12px",
+  },
+  button: {
+    padding: "6px 12px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    background: "#f9fafb",
+    cursor: "pointer",
+    fontSize: "12px",
+  },
+  primary: {
+    background: "#2563eb",
+    color: "#fff",
+    border: "none",
+  },
+  hint: {
+    fontSize: "11px",
+    color: "#94a3b8",
+  },
+  errors: {
+    background: "#fef2f2",
+    color: "#b91c1c",
+    padding: "8px 12px",
+    borderRadius: "6px",
+    fontSize: "12px",
+    marginBottom: "12px",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: "13px",
+  },
+  th: {
+    textAlign: "left",
+    padding: "8px",
+    borderBottom: "2px solid #e5e7eb",
+    color: "#6b7280",
+    fontWeight: "600",
+    fontSize: "11px",
+    textTransform: "uppercase",
+  },
+  td: {
+    padding: "6px 8px",
+    borderBottom: "1px solid #f3f4f6",
+    color: "#374151",
+    verticalAlign: "top",
+  },
+  input: {
+    padding: "4px 6px",
+    borderRadius: "6px",
+    border: "1px solid #e5e7eb",
+    fontSize: "12px",
+  },
+  param: {
+    display: "inline-flex",
+    flexDirection: "column",
+    fontSize: "10px",
+    color: "#6b7280",
+    marginRight: "6px",
+  },
+  invalidRow: {
+    background: "#fef2f2",
+  },
+  errorCell: {
+    padding: "4px 8px 8px",
+    color: "#b91c1c",
+    fontSize: "11px",
+    borderBottom: "1px solid #f3f4f6",
+  },
+};
+
+export default StrategyEditor;
@@ -0,0 +1,74 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import StrategyEditor, { normalizeStrategy, validateStrategy, strategyErrors } from './StrategyEditor';
+
+const ROW = { id: 's1', vendor: 'Urban Foods', supplier: 'SwiftDeliver Inc', deliveryTime: 48, maxDelivery: 60, cost: 420, maxCost: 600, reliabilityPct: 92 };
+
+// jsdom's File has no text(), which the import reads
+const fileOf = (name, text) => {
+  const file = new File([text], name);
+  file.text = () => Promise.resolve(text);
+  return file;
+};
+
+const importFile = (file) => {
+  const onChange = jest.fn();
+  render(<StrategyEditor strategies={[]} onChange={onChange} onReset={() => {}} />);
+  fireEvent.change(screen.getByLabelText('Import CSV / JSON'), { target: { files: [file] } });
+  return onChange;
+};
+
+test('normalizeStrategy coerces CSV text and parses decay parameters', () => {
+  const s = normalizeStrategy({ ...ROW, id: ' s1 ', deliveryTime: '48', cost: '', decayParams: '{"q10": 3}' });
+  expect(s.id).toBe('s1');
+  expect(s.deliveryTime).toBe(48);
+  expect(s.cost).toBeNaN();
+  expect(s.category).toBe('general');
+  expect(s.decayParams).toEqual({ q10: 3 });
+  expect(normalizeStrategy({ ...ROW, decayParams: '{oops' }).decayParams.invalid).toBeNaN();
+});
+
+test('validateStrategy reports every bad field', () => {
+  expect(validateStrategy(normalizeStrategy(ROW))).toEqual([]);
+  const bad = normalizeStrategy({ ...ROW, vendor: '', maxDelivery: 0, cost: -1, reliabilityPct: 120, category: 'meat', decayModel: 'magic' });
+  expect(validateStrategy(bad)).toEqual([
+    'vendor is required',
+    'maxDelivery must be a positive number',
+    'cost must be a non-negative number',
+    'reliabilityPct must be 0-100',
+    'unknown category "meat"',
+    'unknown decay model "magic"',
+  ]);
+});
+
+test('strategyErrors flags duplicate ids by row', () => {
+  const rows = [normalizeStrategy(ROW), normalizeStrategy(ROW), normalizeStrategy({ ...ROW, id: 's2' })];
+  expect(strategyErrors(rows)).toEqual({ 1: ['duplicate id "s1"'] });
+});
+
+test('a CSV import keeps the valid rows and reports the bad ones', async () => {
+  const csv = [
+    'id,vendor,supplier,deliveryTime,maxDelivery,cost,maxCost,reliabilityPct',
+    's1,"Urban Foods, North",SwiftDeliver Inc,48,60,420,600,92',
+    's2,Metro Market,SwiftDeliver Inc,fast,60,400,600,90',
+  ].join('\n');
+  const onChange = importFile(fileOf('offers.csv', csv));
+  await waitFor(() => expect(onChange).toHaveBeenCalled());
+  const [imported] = onChange.mock.calls[0];
+  expect(imported.map(s => s.vendor)).toEqual(['Urban Foods, North']);
+  expect(screen.getByText('Row 2: deliveryTime must be a positive number')).toBeInTheDocument();
+});
+
+test('a JSON import rejects rows that are not objects', async () => {
+  const onChange = importFile(fileOf('offers.json', JSON.stringify([ROW, null, [1], 'x'])));
+  await waitFor(() => expect(onChange).toHaveBeenCalled());
+  expect(onChange.mock.calls[0][0].map(s => s.id)).toEqual(['s1']);
+  expect(screen.getByText('Row 2: expected an object, got null')).toBeInTheDocument();
+  expect(screen.getByText('Row 3: expected an object, got an array')).toBeInTheDocument();
+  expect(screen.getByText('Row 4: expected an object, got string')).toBeInTheDocument();
+});
+
+test('an unreadable file leaves the set alone', async () => {
+  const onChange = importFile(fileOf('offers.json', '{"id": "s1"}'));
+  expect(await screen.findByText('Could not read offers.json: expected an array of strategies')).toBeInTheDocument();
+  expect(onChange).not.toHaveBeenCalled();
+});
@@ -0,0 +1,355 @@
+// VehicleRoutingEngine.js
+// Capacitated vehicle routing with time windows (CVRPTW) for vendor deliveries.
+// A solution is a "giant tour" (vendor visit order) split optimally into vehicle routes;
+// the genetic algorithm searches giant tours, then 2-opt / Or-opt polish the routes.
+
+import Genetic from "./GeneticOptimizationEngine";
+
+const ROAD_FACTOR = 1.3; // street distance vs straight line
+
+// vehicles leave from and return to the city depot
+const DEFAULT_DEPOT = { id: 'depot', name: 'Central Depot', coords: { x: 3, y: 3 } };
+
+const DEFAULT_FLEET = { vehicles: 3, capacity: 180 };
+
+const DEFAULT_ROUTING_OPTIONS = {
+  speedKmh: 25,
+  serviceMinutes: 10,
+  departure: 7 * 60 + 30, // minutes after midnight
+  latenessPenalty: 5, // cost minutes per minute late
+  extraVehiclePenalty: 500, // per route beyond the fleet size, only used when the fleet cannot carry every vendor
+};
+
+// problem: { depot: { id, coords }, vendors: [{ id, coords, demand, congestionLevel, window: { open, close } }],
+//            fleet: { vehicles, capacity }, options }
+function buildTravelMatrix(problem) {
+  const options = { ...DEFAULT_ROUTING_OPTIONS, ...problem.options };
+  const nodes = [problem.depot, ...problem.vendors];
+  const index = {};
+  nodes.forEach((n, i) => { index[n.id] = i; });
+  const distance = nodes.map(a => nodes.map(b => Math.hypot(a.coords.x - b.coords.x, a.coords.y - b.coords.y) * ROAD_FACTOR));
+  // congestion at the destination slows the approach to it
+  const time = nodes.map((a, i) => nodes.map((b, j) => (distance[i][j] / options.speedKmh) * 60 * (1 + (b.congestionLevel || 0) / 100)));
+  const vendorById = new Map(problem.vendors.map(v => [v.id, v]));
+  return { nodes, index, distance, time, options, vendorById };
+}
+
+// A route is timed one stop at a time from the depot, so splitTour can extend
+// a route by a stop without re-walking the stops before it.
+const startRoute = (matrix) => ({ clock: matrix.options.departure, prev: 0, km: 0, lateness: 0, load: 0, congestionDelay: 0 });
+
+function visitStop(state, vendor, matrix) {
+  const { index, distance, time, options } = matrix;
+  const at = index[vendor.id];
+  state.km += distance[state.prev][at];
+  state.congestionDelay += time[state.prev][at] - (distance[state.prev][at] / options.speedKmh) * 60;
+  const arrival = state.clock + time[state.prev][at];
+  const start = Math.max(arrival, vendor.window ? vendor.window.open : arrival);
+  const lateBy = vendor.window ? Math.max(0, start - vendor.window.close) : 0;
+  state.lateness += lateBy;
+  state.load += vendor.demand;
+  state.clock = start + (vendor.serviceMinutes ?? options.serviceMinutes);
+  state.prev = at;
+  return { id: vendor.id, arrival, start, departure: state.clock, lateBy, load: state.load };
+}
+
+// cost of driving back to the depot from where the route stands
+const routeCostSoFar = (state, matrix) =>
+  state.clock + matrix.time[state.prev][0] - matrix.options.departure + state.lateness * matrix.options.latenessPenalty;
+
+function evaluateRoute(route, problem, matrix) {
+  const { distance, time, options } = matrix;
+  const state = startRoute(matrix);
+  const stops = route.map(id => visitStop(state, matrix.vendorById.get(id), matrix));
+  const returnAt = state.clock + time[state.prev][0];
+  const duration = returnAt - options.departure;
+  return {
+    stops,
+    distance: state.km + distance[state.prev][0],
+    duration,
+    lateness: state.lateness,
+    load: state.load,
+    congestionDelay: state.congestionDelay,
+    returnAt,
+    cost: routeCostSoFar(state, matrix),
+  };
+}
+
+const overCapacity = (route, problem, matrix) =>
+  route.reduce((sum, id) => sum + matrix.vendorById.get(id).demand, 0) > problem.fleet.capacity;
+
+// vendors whose demand alone exceeds a vehicle's capacity; no split can serve them
+const oversizedVendors = (problem) => problem.vendors.filter(v => v.demand > problem.fleet.capacity);
+
+// the solvers refuse a problem no split can serve rather than return an empty plan
+function assertRoutable(problem) {
+  const oversized = oversizedVendors(problem);
+  if (oversized.length === 0) return;
+  const list = oversized.map(v => `${v.name || v.id} (${v.demand})`).join(", ");
+  throw new Error(`Demand exceeds the vehicle capacity of ${problem.fleet.capacity} for: ${list}`);
+}
+
+// Optimal split of a giant tour into capacity-feasible routes (Prins-style DP over route count).
+// Routes beyond the fleet are only tried when the fleet cannot carry the whole tour.
+function splitTour(order, problem, matrix) {
+  const n = order.length;
+  const vehicles = Number.isFinite(problem.fleet.vehicles) ? problem.fleet.vehicles : n;
+  // segmentCost[i][j - i - 1]: cost of the route order[i..j), grown one stop at a time up to capacity
+  const segmentCost = order.map((_, i) => {
+    const costs = [];
+    const state = startRoute(matrix);
+    for (let j = i; j < n; j++) {
+      const vendor = matrix.vendorById.get(order[j]);
+      if (state.load + vendor.demand > problem.fleet.capacity) break;
+      visitStop(state, vendor, matrix);
+      costs.push(routeCostSoFar(state, matrix));
+    }
+    return costs;
+  });
+
+  const best = [[0, ...new Array(n).fill(Infinity)]];
+  const from = [new Array(n + 1).fill(-1)];
+  let bestK = -1;
+  let bestCost = Infinity;
+  for (let k = 1; k <= n && (k <= vehicles || bestK < 0); k++) {
+    best.push(new Array(n + 1).fill(Infinity));
+    from.push(new Array(n + 1).fill(-1));
+    for (let i = 0; i < n; i++) {
+      if (best[k - 1][i] === Infinity) continue;
+      segmentCost[i].forEach((cost, offset) => {
+        const j = i + offset + 1;
+        const total = best[k - 1][i] + cost;
+        if (total < best[k][j]) {
+          best[k][j] = total;
+          from[k][j] = i;
+        }
+      });
+    }
+    const cost = best[k][n] + Math.max(0, k - vehicles) * matrix.options.extraVehiclePenalty;
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestK = k;
+    }
+  }
+  if (bestK < 0) return { routes: [], cost: Infinity }; // a single vendor exceeds vehicle capacity (see assertRoutable)
+  const routes = [];
+  let j = n;
+  for (let k = bestK; k > 0; k--) {
+    const i = from[k][j];
+    routes.unshift(order.slice(i, j));
+    j = i;
+  }
+  return { routes, cost: bestCost };
+}
+
+function solutionCost(routes, problem, matrix) {
+  const extra = Math.max(0, routes.length - problem.fleet.vehicles) * matrix.options.extraVehiclePenalty;
+  return routes.reduce((sum, r) => sum + evaluateRoute(r, problem, matrix).cost, 0) + extra;
+}
+
+// 2-opt inside each route, Or-opt moves of 1-3 consecutive stops within and across routes
+function improveRoutes(routes, problem, matrix, maxPasses = 50) {
+  let current = routes.map(r => [...r]).filter(r => r.length > 0);
+  const routeCost = (r) => (r.length ? evaluateRoute(r, problem, matrix).cost : 0);
+  let moves = 0;
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+
+    // 2-opt: reverse a segment of one route
+    for (let a = 0; a < current.length; a++) {
+      let r = current[a];
+      let cost = routeCost(r);
+      for (let i = 0; i < r.length - 1; i++) {
+        for (let j = i + 1; j < r.length; j++) {
+          const candidate = [...r.slice(0, i), ...r.slice(i, j + 1).reverse(), ...r.slice(j + 1)];
+          const c = routeCost(candidate);
+          if (c < cost - 1e-9) {
+            r = candidate;
+            cost = c;
+            improved = true;
+            moves++;
+          }
+        }
+      }
+      current[a] = r;
+    }
+
+    // Or-opt: move a short segment to the best position in any route
+    for (let a = 0; a < current.length; a++) {
+      for (let len = 1; len <= 3; len++) {
+        for (let i = 0; i + len <= current[a].length; i++) {
+          const segment = current[a].slice(i, i + len);
+          const rest = [...current[a].slice(0, i), ...current[a].slice(i + len)];
+          const before = solutionCost(current, problem, matrix);
+          let bestMove = null;
+          for (let b = 0; b < current.length; b++) {
+            const target = b === a ? rest : current[b];
+            if (b !== a && overCapacity([...target, ...segment], problem, matrix)) continue;
+            for (let p = 0; p <= target.length; p++) {
+              if (b === a && p === i) continue;
+              const inserted = [...target.slice(0, p), ...segment, ...target.slice(p)];
+              const next = current.map((r, idx) => (idx === a ? rest : r));
+              next[b] = inserted;
+              const cost = solutionCost(next.filter(r => r.length > 0), problem, matrix);
+              if (cost < before - 1e-9 && (!bestMove || cost < bestMove.cost)) bestMove = { next, cost };
+            }
+          }
+          if (bestMove) {
+            current = bestMove.next.filter(r => r.length > 0);
+            improved = true;
+            moves++;
+            break;
+          }
+        }
+        if (a >= current.length) break;
+      }
+    }
+
+    if (!improved) break;
+  }
+  return { routes: current, moves };
+}
+
+function describeSolution(routes, problem, matrix) {
+  const detailed = routes.map((route, i) => ({ vehicle: i + 1, ...evaluateRoute(route, problem, matrix) }));
+  return {
+    routes: detailed,
+    order: routes.flat(),
+    vehiclesUsed: routes.length,
+    totalDistance: detailed.reduce((s, r) => s + r.distance, 0),
+    totalDuration: detailed.reduce((s, r) => s + r.duration, 0),
+    totalLateness: detailed.reduce((s, r) => s + r.lateness, 0),
+    cost: solutionCost(routes, problem, matrix),
+  };
+}
+
+// objectives traded off by solveRoutingPareto, all minimised
+const ROUTING_OBJECTIVES = [
+  { key: 'totalDelay', label: 'Total delay', unit: 'min' }, // dispatch to service start, summed over vendors
+  { key: 'weightedLateness', label: 'Demand-weighted lateness', unit: 'unit·min' },
+  { key: 'congestionExposure', label: 'Congestion exposure', unit: 'min' }, // minutes lost to congestion
+  { key: 'cost', label: 'Cost', unit: '' },
+];
+
+function routingObjectives(solution, problem, matrix) {
+  const demandOf = (id) => matrix.vendorById.get(id).demand;
+  const stops = solution.routes.flatMap(r => r.stops);
+  return {
+    totalDelay: stops.reduce((s, stop) => s + stop.start - matrix.options.departure, 0),
+    weightedLateness: stops.reduce((s, stop) => s + stop.lateBy * demandOf(stop.id), 0),
+    congestionExposure: solution.routes.reduce((s, r) => s + r.congestionDelay, 0),
+    cost: solution.cost,
+  };
+}
+
+// the given vendor order split into routes with no search - the "before" for comparisons
+function evaluateOrder(order, problem) {
+  assertRoutable(problem);
+  const matrix = buildTravelMatrix(problem);
+  return describeSolution(splitTour(order, problem, matrix).routes, problem, matrix);
+}
+
+// the given vendor order split into routes and polished by 2-opt / Or-opt, with no genetic search;
+// listedCost is the cost of the split before polishing
+function polishOrder(order, problem) {
+  assertRoutable(problem);
+  const matrix = buildTravelMatrix(problem);
+  const split = splitTour(order, problem, matrix);
+  const { routes, moves } = improveRoutes(split.routes, problem, matrix);
+  return { ...describeSolution(routes, problem, matrix), listedCost: split.cost, localSearchMoves: moves };
+}
+
+// throws when a vendor's demand exceeds vehicle capacity (see oversizedVendors)
+// options: { rng, seed, generations = 40, populationSize = 40, onProgress, ...Genetic.DEFAULT_GA_OPTIONS }
+// onProgress({ phase: 'genetic' | 'localSearch', generation, generations, bestFitness, bestSolution, bestCost })
+function solveRouting(problem, options = {}) {
+  assertRoutable(problem);
+  const matrix = buildTravelMatrix(problem);
+  const { generations = 40, populationSize = 40, onProgress, ...gaOptions } = options;
+  const fitness = (order) => {
+    const { cost } = splitTour(order, problem, matrix);
+    return { fitness: 1 / (1 + cost), cost };
+  };
+  const ga = Genetic.runGeneticOptimization(problem.vendors, generations, populationSize, {
+    ...gaOptions,
+    fitness,
+    onProgress: onProgress
+      ? (p) => onProgress({ ...p, phase: 'genetic', bestCost: 1 / p.bestFitness - 1 })
+      : undefined,
+  });
+
+  const split = splitTour(ga.bestSolution, problem, matrix);
+  const { routes, moves } = improveRoutes(split.routes, problem, matrix);
+  const solution = describeSolution(routes, problem, matrix);
+  if (onProgress) {
+    onProgress({
+      phase: 'localSearch',
+      generation: ga.generationsRun,
+      generations,
+      bestFitness: 1 / (1 + solution.cost),
+      bestSolution: solution.order,
+      bestCost: solution.cost,
+    });
+  }
+  return {
+    ...solution,
+    gaCost: split.cost,
+    localSearchMoves: moves,
+    history: ga.history,
+    seed: ga.seed,
+    generationsRun: ga.generationsRun,
+    stoppedBy: ga.stoppedBy,
+  };
+}
+
+// NSGA-II over giant tours, each split as in solveRouting; no local search, since it only follows cost.
+// options: { rng, seed, generations = 40, populationSize = 40, onProgress, crossover, mutation, mutationRate }
+// returns { solutions: [{ ...describeSolution, objectives }] sorted by cost, generationsRun, seed }
+function solveRoutingPareto(problem, options = {}) {
+  assertRoutable(problem);
+  const matrix = buildTravelMatrix(problem);
+  const { generations = 40, populationSize = 40, ...gaOptions } = options;
+  const describe = (order) => describeSolution(splitTour(order, problem, matrix).routes, problem, matrix);
+  const objectives = (order) => {
+    const values = routingObjectives(describe(order), problem, matrix);
+    return ROUTING_OBJECTIVES.map(o => values[o.key]);
+  };
+  const result = Genetic.runNSGA2(problem.vendors, generations, populationSize, { ...gaOptions, objectives });
+
+  // many tours split into the same routes (or routes with the same scores) - keep one of each
+  const seen = new Set();
+  const solutions = result.front
+    .map(({ order }) => {
+      const solution = describe(order);
+      return { ...solution, objectives: routingObjectives(solution, problem, matrix) };
+    })
+    .filter(solution => {
+      const key = ROUTING_OBJECTIVES.map(o => solution.objectives[o.key].toFixed(3)).join('|');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.cost - b.cost);
+  return { solutions, generationsRun: result.generationsRun, seed: result.seed };
+}
+
+const VehicleRoutingEngine = {
+  DEFAULT_DEPOT,
+  DEFAULT_FLEET,
+  DEFAULT_ROUTING_OPTIONS,
+  ROUTING_OBJECTIVES,
+  buildTravelMatrix,
+  evaluateRoute,
+  splitTour,
+  oversizedVendors,
+  improveRoutes,
+  describeSolution,
+  evaluateOrder,
+  polishOrder,
+  routingObjectives,
+  solveRouting,
+  solveRoutingPareto,
+};
+
+export default VehicleRoutingEngine;
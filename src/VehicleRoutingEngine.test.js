@@ -0,0 +1,140 @@
+import Routing from './VehicleRoutingEngine';
+import Genetic from './GeneticOptimizationEngine';
+
+const VENDORS = [
+  { id: 'v1', name: 'Fresh Mart', coords: { x: 1, y: 1 }, demand: 95, congestionLevel: 45, window: { open: 480, close: 570 } },
+  { id: 'v2', name: 'Urban Foods', coords: { x: 5, y: 2 }, demand: 65, congestionLevel: 30, window: { open: 510, close: 600 } },
+  { id: 'v3', name: 'Metro Market', coords: { x: 2, y: 5 }, demand: 54, congestionLevel: 60, window: { open: 540, close: 660 } },
+  { id: 'v4', name: 'City Store', coords: { x: 6, y: 6 }, demand: 96, congestionLevel: 75, window: { open: 465, close: 540 } },
+  { id: 'v5', name: 'Prime Hub', coords: { x: 4, y: 0 }, demand: 72, congestionLevel: 40, window: { open: 570, close: 690 } },
+];
+const IDS = VENDORS.map(v => v.id);
+
+const problemWith = (fleet) => ({ depot: Routing.DEFAULT_DEPOT, vendors: VENDORS, fleet });
+
+// every way to cut the tour into consecutive routes
+const cuts = (order) => (order.length === 0 ? [[]] : order.flatMap((_, i) =>
+  cuts(order.slice(i + 1)).map(rest => [order.slice(0, i + 1), ...rest])));
+
+describe('evaluateRoute', () => {
+  test('times each stop from the depot and waits for the delivery window', () => {
+    const problem = problemWith(Routing.DEFAULT_FLEET);
+    const matrix = Routing.buildTravelMatrix(problem);
+    const route = Routing.evaluateRoute(['v5'], problem, matrix);
+    const out = matrix.time[0][matrix.index.v5];
+    const [stop] = route.stops;
+    expect(stop.arrival).toBeCloseTo(450 + out);
+    expect(stop.start).toBe(570); // opens at 9:30
+    expect(stop.lateBy).toBe(0);
+    expect(route.returnAt).toBeCloseTo(570 + 10 + matrix.time[matrix.index.v5][0]);
+    expect(route.cost).toBeCloseTo(route.duration);
+    expect(route.load).toBe(72);
+  });
+
+  test('lateness is charged at the configured penalty', () => {
+    const late = { ...problemWith(Routing.DEFAULT_FLEET), options: { departure: 600, latenessPenalty: 3 } };
+    const matrix = Routing.buildTravelMatrix(late);
+    const route = Routing.evaluateRoute(['v4'], late, matrix);
+    expect(route.lateness).toBeCloseTo(600 + matrix.time[0][matrix.index.v4] - 540);
+    expect(route.cost).toBeCloseTo(route.duration + 3 * route.lateness);
+  });
+});
+
+describe('splitTour', () => {
+  test('routes respect capacity and serve every vendor exactly once', () => {
+    const problem = problemWith(Routing.DEFAULT_FLEET);
+    const matrix = Routing.buildTravelMatrix(problem);
+    const { routes, cost } = Routing.splitTour(IDS, problem, matrix);
+    expect(Number.isFinite(cost)).toBe(true);
+    expect(routes.flat()).toEqual(IDS);
+    expect(routes.length).toBeLessThanOrEqual(Routing.DEFAULT_FLEET.vehicles);
+    routes.forEach(route => {
+      const load = route.reduce((s, id) => s + VENDORS.find(v => v.id === id).demand, 0);
+      expect(load).toBeLessThanOrEqual(problem.fleet.capacity);
+    });
+  });
+
+  test('the split is the cheapest cut of the tour within the fleet', () => {
+    const problem = problemWith(Routing.DEFAULT_FLEET);
+    const matrix = Routing.buildTravelMatrix(problem);
+    const order = ['v4', 'v1', 'v2', 'v3', 'v5'];
+    const costOf = (routes) => routes.reduce((s, r) => s + Routing.evaluateRoute(r, problem, matrix).cost, 0);
+    const feasible = cuts(order).filter(routes => routes.length <= problem.fleet.vehicles &&
+      routes.every(r => Routing.evaluateRoute(r, problem, matrix).load <= problem.fleet.capacity));
+    const best = Math.min(...feasible.map(costOf));
+    const split = Routing.splitTour(order, problem, matrix);
+    expect(split.cost).toBeCloseTo(best);
+    expect(costOf(split.routes)).toBeCloseTo(best);
+  });
+
+  test('extra vehicles are added, at a penalty, only when the fleet cannot carry the tour', () => {
+    const problem = problemWith({ vehicles: 2, capacity: 100 });
+    const matrix = Routing.buildTravelMatrix(problem);
+    const { routes, cost } = Routing.splitTour(IDS, problem, matrix);
+    expect(routes.length).toBe(5);
+    const driving = routes.reduce((s, r) => s + Routing.evaluateRoute(r, problem, matrix).cost, 0);
+    expect(cost).toBeCloseTo(driving + 3 * matrix.options.extraVehiclePenalty);
+  });
+
+  test('a vendor larger than a vehicle leaves no split', () => {
+    const problem = problemWith({ vehicles: 3, capacity: 90 });
+    const matrix = Routing.buildTravelMatrix(problem);
+    expect(Routing.splitTour(IDS, problem, matrix)).toEqual({ routes: [], cost: Infinity });
+  });
+});
+
+describe('solveRouting', () => {
+  test('throws naming the vendors whose demand exceeds vehicle capacity', () => {
+    const problem = problemWith({ vehicles: 3, capacity: 90 });
+    expect(Routing.oversizedVendors(problem).map(v => v.id)).toEqual(['v1', 'v4']);
+    expect(() => Routing.solveRouting(problem, { seed: 1, generations: 2, populationSize: 4 }))
+      .toThrow('Demand exceeds the vehicle capacity of 90 for: Fresh Mart (95), City Store (96)');
+    expect(() => Routing.evaluateOrder(IDS, problem)).toThrow(/Fresh Mart/);
+    expect(() => Routing.solveRoutingPareto(problem, { seed: 1, generations: 2, populationSize: 4 })).toThrow(/City Store/);
+  });
+
+  test('the same seed reproduces the same plan, within capacity', () => {
+    const problem = problemWith(Routing.DEFAULT_FLEET);
+    const first = Routing.solveRouting(problem, { seed: 21, generations: 10, populationSize: 12 });
+    const second = Routing.solveRouting(problem, { seed: 21, generations: 10, populationSize: 12 });
+    expect(second.routes.map(r => r.stops.map(s => s.id))).toEqual(first.routes.map(r => r.stops.map(s => s.id)));
+    expect(second.cost).toBe(first.cost);
+    expect(first.seed).toBe(21);
+    expect([...first.order].sort()).toEqual(IDS);
+    first.routes.forEach(r => expect(r.load).toBeLessThanOrEqual(Routing.DEFAULT_FLEET.capacity));
+  });
+
+  test('local search never makes the genetic plan worse', () => {
+    const problem = problemWith(Routing.DEFAULT_FLEET);
+    const result = Routing.solveRouting(problem, { seed: 8, generations: 5, populationSize: 8 });
+    expect(result.cost).toBeLessThanOrEqual(result.gaCost + 1e-9);
+    expect(result.cost).toBeLessThanOrEqual(Routing.evaluateOrder(IDS, problem).cost + 1e-9);
+  });
+});
+
+describe('solveRoutingPareto', () => {
+  test('returns distinct, mutually non-dominated plans sorted by cost', () => {
+    const problem = problemWith(Routing.DEFAULT_FLEET);
+    const { solutions, seed } = Routing.solveRoutingPareto(problem, { seed: 4, generations: 8, populationSize: 12 });
+    expect(seed).toBe(4);
+    expect(solutions.length).toBeGreaterThan(0);
+    const vector = (s) => Routing.ROUTING_OBJECTIVES.map(o => s.objectives[o.key]);
+    const costs = solutions.map(s => s.cost);
+    expect(costs).toEqual([...costs].sort((a, b) => a - b));
+    solutions.forEach(a => {
+      expect([...a.order].sort()).toEqual(IDS);
+      solutions.forEach(b => expect(Genetic.dominates(vector(a), vector(b))).toBe(false));
+    });
+  });
+});
+
+describe('polishOrder', () => {
+  test('polishing the listed order never costs more than splitting it as-is', () => {
+    const problem = problemWith(Routing.DEFAULT_FLEET);
+    const listed = Routing.evaluateOrder(IDS, problem);
+    const polished = Routing.polishOrder(IDS, problem);
+    expect(polished.listedCost).toBeCloseTo(listed.cost);
+    expect(polished.cost).toBeLessThanOrEqual(listed.cost + 1e-9);
+    expect([...polished.order].sort()).toEqual(IDS);
+  });
+});
@@ -0,0 +1,522 @@
+import React, { useState } from "react";
+
+import {
+  DISTRICTS,
+  ENTRY_TYPES,
+  nextEntryId,
+  useVendorRegistry,
+  validateEntry,
+} from "./vendorRegistry";
+
+/**
+ * ============================================
+ * VENDORS COMPONENT
+ * Vendor / supplier registry shared by every page
+ * ============================================
+ */
+
+const EMPTY_FORM = {
+  id: null,
+  type: "vendor",
+  name: "",
+  district: "",
+  x: "",
+  y: "",
+  demand: "",
+  congestion: "",
+  capacity: "",
+  open: "08:00",
+  close: "10:00",
+  person: "",
+  phone: "",
+  email: "",
+};
+
+const toClock = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+const fromClock = (text) => {
+  const [h, m] = String(text).split(":").map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : NaN;
+};
+
+const toNumber = (text) => (String(text).trim() === "" ? NaN : Number(text));
+
+const toForm = (entry) => ({
+  id: entry.id,
+  type: entry.type,
+  name: entry.name,
+  district: entry.district,
+  x: String(entry.coords.x),
+  y: String(entry.coords.y),
+  demand: String(entry.demand),
+  congestion: String(entry.congestion),
+  capacity: String(entry.capacity),
+  open: entry.window ? toClock(entry.window.open) : EMPTY_FORM.open,
+  close: entry.window ? toClock(entry.window.close) : EMPTY_FORM.close,
+  person: entry.contacts?.person || "",
+  phone: entry.contacts?.phone || "",
+  email: entry.contacts?.email || "",
+});
+
+const toEntry = (form, id) => ({
+  id,
+  type: form.type,
+  name: form.name.trim(),
+  district: form.district,
+  coords: { x: toNumber(form.x), y: toNumber(form.y) },
+  demand: toNumber(form.demand),
+  congestion: toNumber(form.congestion),
+  capacity: toNumber(form.capacity),
+  ...(form.type === "vendor" ? { window: { open: fromClock(form.open), close: fromClock(form.close) } } : {}),
+  contacts: { person: form.person.trim(), phone: form.phone.trim(), email: form.email.trim() },
+});
+
+const Vendors = () => {
+  const { entries, vendors, suppliers, saveEntry, deleteEntry, resetRegistry } = useVendorRegistry();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState([]);
+  const [activeTab, setActiveTab] = useState("vendor");
+
+  const editing = formData.id !== null;
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = () => {
+    const entry = toEntry(formData, editing ? formData.id : nextEntryId(entries, formData.type));
+    const errors = validateEntry(entry, entries);
+    setFormErrors(errors);
+    if (errors.length > 0) return;
+    saveEntry(entry);
+    setFormData(EMPTY_FORM);
+    setActiveTab(entry.type);
+  };
+
+  const handleEdit = (entry) => {
+    setFormData(toForm(entry));
+    setFormErrors([]);
+  };
+
+  const handleCancel = () => {
+    setFormData(EMPTY_FORM);
+    setFormErrors([]);
+  };
+
+  const handleDelete = (id) => {
+    deleteEntry(id);
+    if (formData.id === id) handleCancel();
+  };
+
+  const filteredEntries = entries.filter(e => activeTab === "all" || e.type === activeTab);
+  const totalDemand = vendors.reduce((sum, v) => sum + v.demand, 0);
+  const totalCapacity = suppliers.reduce((sum, s) => sum + s.capacity, 0);
+
+  const tabButton = (key, label, count, activeBg, activeColor) => (
+    <button
+      style={{
+        ...styles.tab,
+        background: activeTab === key ? activeBg : "transparent",
+        color: activeTab === key ? activeColor : "#64748b",
+      }}
+      onClick={() => setActiveTab(key)}
+    >
+      {label} ({count})
+    </button>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.main}>
+        <h2 style={styles.title}>🏪 Vendor Registry</h2>
+        <p style={styles.subtitle}>
+          Vendors and suppliers used by the Dashboard, Simulation, Customer Queue and AI Insights — edit once, every page follows
+        </p>
+
+        {/* Stats Row */}
+        <div style={styles.statsRow}>
+          <div style={styles.statCard}>
+            <span style={styles.statLabel}>Vendors</span>
+            <span style={{ ...styles.statValue, color: "#2563eb" }}>{vendors.length}</span>
+          </div>
+          <div style={styles.statCard}>
+            <span style={styles.statLabel}>Suppliers</span>
+            <span style={{ ...styles.statValue, color: "#a855f7" }}>{suppliers.length}</span>
+          </div>
+          <div style={styles.statCard}>
+            <span style={styles.statLabel}>Vendor Demand</span>
+            <span style={styles.statValue}>{totalDemand} u</span>
+          </div>
+          <div style={styles.statCard}>
+            <span style={styles.statLabel}>Supplier Capacity</span>
+            <span style={{ ...styles.statValue, color: totalCapacity >= totalDemand ? "#16a34a" : "#ef4444" }}>
+              {totalCapacity} u
+            </span>
+          </div>
+        </div>
+
+        <div style={styles.contentRow}>
+          {/* Add / Edit Form */}
+          <div style={styles.formCard}>
+            <h3 style={styles.cardTitle}>{editing ? `✏️ Edit ${formData.name || formData.id}` : "➕ Add Entry"}</h3>
+
+            <div style={styles.formRow}>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Type</label>
+                <select name="type" value={formData.type} onChange={handleInputChange} disabled={editing} style={styles.select}>
+                  {Object.entries(ENTRY_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+                </select>
+              </div>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>District</label>
+                <select name="district" value={formData.district} onChange={handleInputChange} style={styles.select}>
+                  <option value="">Select district</option>
+                  {DISTRICTS.map(district => <option key={district} value={district}>{district}</option>)}
+                </select>
+              </div>
+            </div>
+
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Name</label>
+              <input name="name" value={formData.name} onChange={handleInputChange} placeholder="Business name" style={styles.input} />
+            </div>
+
+            <div style={styles.formRow}>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>X (km)</label>
+                <input type="number" name="x" value={formData.x} onChange={handleInputChange} style={styles.input} />
+              </div>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Y (km)</label>
+                <input type="number" name="y" value={formData.y} onChange={handleInputChange} style={styles.input} />
+              </div>
+            </div>
+
+            <div style={styles.formRow}>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Demand (units)</label>
+                <input type="number" name="demand" value={formData.demand} onChange={handleInputChange} style={styles.input} />
+              </div>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Congestion (%)</label>
+                <input type="number" name="congestion" value={formData.congestion} onChange={handleInputChange} style={styles.input} />
+              </div>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Capacity (units)</label>
+                <input type="number" name="capacity" value={formData.capacity} onChange={handleInputChange} style={styles.input} />
+              </div>
+            </div>
+
+            {formData.type === "vendor" && (
+              <div style={styles.formRow}>
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Window opens</label>
+                  <input type="time" name="open" value={formData.open} onChange={handleInputChange} style={styles.input} />
+                </div>
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Window closes</label>
+                  <input type="time" name="close" value={formData.close} onChange={handleInputChange} style={styles.input} />
+                </div>
+              </div>
+            )}
+
+            <div style={styles.formGroup}>
+              <label style={styles.label}>Contact person</label>
+              <input name="person" value={formData.person} onChange={handleInputChange} style={styles.input} />
+            </div>
+            <div style={styles.formRow}>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Phone</label>
+                <input name="phone" value={formData.phone} onChange={handleInputChange} style={styles.input} />
+              </div>
+              <div style={styles.formGroup}>
+                <label style={styles.label}>Email</label>
+                <input type="email" name="email" value={formData.email} onChange={handleInputChange} style={styles.input} />
+              </div>
+            </div>
+
+            {formErrors.length > 0 && (
+              <div style={styles.errorBox}>
+                {formErrors.map(err => <div key={err}>• {err}</div>)}
+              </div>
+            )}
+
+            <div style={styles.formRow}>
+              <button style={styles.saveButton} onClick={handleSave}>{editing ? "Save Changes" : "Add to Registry"}</button>
+              {editing && <button style={styles.secondaryButton} onClick={handleCancel}>Cancel</button>}
+            </div>
+          </div>
+
+          {/* Registry Table */}
+          <div style={styles.tableCard}>
+            <div style={styles.tabRow}>
+              {tabButton("vendor", "🏪 Vendors", vendors.length, "#e0f2fe", "#0369a1")}
+              {tabButton("supplier", "🚚 Suppliers", suppliers.length, "#f3e8ff", "#7e22ce")}
+              {tabButton("all", "📋 All", entries.length, "#f3f4f6", "#374151")}
+              <button style={{ ...styles.secondaryButton, marginLeft: "auto" }} onClick={resetRegistry}>Reset to defaults</button>
+            </div>
+
+            <div style={styles.tableWrapper}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Name</th>
+                    <th style={styles.th}>District</th>
+                    <th style={styles.th}>Coords</th>
+                    <th style={styles.th}>Demand</th>
+                    <th style={styles.th}>Congestion</th>
+                    <th style={styles.th}>Capacity</th>
+                    <th style={styles.th}>Window</th>
+                    <th style={styles.th}>Contact</th>
+                    <th style={styles.th}>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredEntries.length === 0 ? (
+                    <tr>
+                      <td colSpan="9" style={{ ...styles.td, textAlign: "center", color: "#64748b" }}>
+                        Nothing registered in this category
+                      </td>
+                    </tr>
+                  ) : (
+                    filteredEntries.map(entry => (
+                      <tr key={entry.id} style={{ ...styles.tr, background: entry.id === formData.id ? "#eff6ff" : undefined }}>
+                        <td style={styles.td}>
+                          <span style={styles.entryName}>{entry.name}</span>
+                          <div style={styles.muted}>{ENTRY_TYPES[entry.type].label} · {entry.id}</div>
+                        </td>
+                        <td style={styles.td}>{entry.district}</td>
+                        <td style={styles.td}>({entry.coords.x}, {entry.coords.y})</td>
+                        <td style={styles.td}>{entry.demand}</td>
+                        <td style={styles.td}>
+                          <span style={{
+                            ...styles.badge,
+                            background: entry.congestion > 60 ? "#fef2f2" : entry.congestion > 40 ? "#fef3c7" : "#dcfce7",
+                            color: entry.congestion > 60 ? "#dc2626" : entry.congestion > 40 ? "#d97706" : "#16a34a",
+                          }}>
+                            {entry.congestion}%
+                          </span>
+                        </td>
+                        <td style={styles.td}>{entry.capacity}</td>
+                        <td style={styles.td}>{entry.window ? `${toClock(entry.window.open)}–${toClock(entry.window.close)}` : "—"}</td>
+                        <td style={styles.td}>
+                          <div>{entry.contacts?.person || "—"}</div>
+                          <div style={styles.muted}>{[entry.contacts?.phone, entry.contacts?.email].filter(Boolean).join(" · ")}</div>
+                        </td>
+                        <td style={{ ...styles.td, whiteSpace: "nowrap" }}>
+                          <button style={styles.secondaryButton} onClick={() => handleEdit(entry)}>Edit</button>{" "}
+                          <button style={styles.deleteButton} onClick={() => handleDelete(entry.id)}>Delete</button>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/* ---------------- STYLES ---------------- */
+const styles = {
+  container: {
+    background: "#f8fafc",
+    minHeight: "100vh",
+    padding: "30px",
+  },
+  main: {
+    maxWidth: "1400px",
+    margin: "0 auto",
+  },
+  title: {
+    margin: 0,
+    fontSize: "24px",
+    fontWeight: "700",
+    color: "#1e293b",
+  },
+  subtitle: {
+    color: "#64748b",
+    marginBottom: "24px",
+    fontSize: "14px",
+  },
+  statsRow: {
+    display: "grid",
+    gridTemplateColumns: "repeat(4, 1fr)",
+    gap: "16px",
+    marginBottom: "24px",
+  },
+  statCard: {
+    background: "#ffffff",
+    padding: "16px",
+    borderRadius: "10px",
+    border: "1px solid #e2e8f0",
+    textAlign: "center",
+  },
+  statLabel: {
+    display: "block",
+    fontSize: "12px",
+    color: "#64748b",
+    marginBottom: "4px",
+  },
+  statValue: {
+    fontSize: "24px",
+    fontWeight: "700",
+    fontFamily: "monospace",
+  },
+  contentRow: {
+    display: "grid",
+    gridTemplateColumns: "1fr 2.2fr",
+    gap: "24px",
+  },
+  formCard: {
+    background: "#ffffff",
+    padding: "24px",
+    borderRadius: "12px",
+    border: "1px solid #e2e8f0",
+    height: "fit-content",
+  },
+  cardTitle: {
+    margin: "0 0 20px",
+    fontSize: "16px",
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  formRow: {
+    display: "flex",
+    gap: "12px",
+  },
+  formGroup: {
+    flex: 1,
+    marginBottom: "16px",
+  },
+  label: {
+    display: "block",
+    fontSize: "12px",
+    fontWeight: "500",
+    color: "#374151",
+    marginBottom: "6px",
+  },
+  input: {
+    width: "100%",
+    padding: "10px 12px",
+    border: "1px solid #e2e8f0",
+    borderRadius: "8px",
+    fontSize: "14px",
+    outline: "none",
+    boxSizing: "border-box",
+  },
+  select: {
+    width: "100%",
+    padding: "10px 12px",
+    border: "1px solid #e2e8f0",
+    borderRadius: "8px",
+    fontSize: "14px",
+    outline: "none",
+    background: "#fff",
+    cursor: "pointer",
+  },
+  errorBox: {
+    padding: "10px 12px",
+    marginBottom: "16px",
+    borderRadius: "8px",
+    background: "#fef2f2",
+    color: "#b91c1c",
+    fontSize: "12px",
+  },
+  saveButton: {
+    flex: 1,
+    padding: "12px",
+    background: "#2563eb",
+    color: "#fff",
+    border: "none",
+    borderRadius: "8px",
+    fontSize: "14px",
+    fontWeight: "600",
+    cursor: "pointer",
+  },
+  secondaryButton: {
+    padding: "6px 12px",
+    background: "#f9fafb",
+    color: "#374151",
+    border: "1px solid #e5e7eb",
+    borderRadius: "6px",
+    fontSize: "12px",
+    cursor: "pointer",
+  },
+  deleteButton: {
+    padding: "6px 12px",
+    background: "#fef2f2",
+    color: "#dc2626",
+    border: "1px solid #fecaca",
+    borderRadius: "6px",
+    fontSize: "12px",
+    cursor: "pointer",
+  },
+  tableCard: {
+    background: "#ffffff",
+    padding: "24px",
+    borderRadius: "12px",
+    border: "1px solid #e2e8f0",
+  },
+  tabRow: {
+    display: "flex",
+    gap: "8px",
+    marginBottom: "20px",
+  },
+  tab: {
+    padding: "8px 16px",
+    border: "none",
+    borderRadius: "6px",
+    fontSize: "13px",
+    fontWeight: "500",
+    cursor: "pointer",
+    transition: "all 0.2s",
+  },
+  tableWrapper: {
+    overflowX: "auto",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+  },
+  th: {
+    textAlign: "left",
+    padding: "10px 12px",
+    borderBottom: "2px solid #e2e8f0",
+    color: "#64748b",
+    fontWeight: "600",
+    fontSize: "11px",
+    textTransform: "uppercase",
+  },
+  tr: {
+    borderBottom: "1px solid #f1f5f9",
+  },
+  td: {
+    padding: "12px",
+    fontSize: "13px",
+    color: "#374151",
+    verticalAlign: "top",
+  },
+  entryName: {
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  muted: {
+    fontSize: "11px",
+    color: "#94a3b8",
+  },
+  badge: {
+    display: "inline-block",
+    padding: "2px 8px",
+    borderRadius: "4px",
+    fontSize: "11px",
+    fontWeight: "600",
+  },
+};
+
+export default Vendors;
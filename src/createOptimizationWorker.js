@@ -0,0 +1,8 @@
+// createOptimizationWorker.js
+// Kept apart from workerClient: import.meta only parses in the webpack build,
+// so this module is loaded lazily and only where Worker exists.
+
+const createOptimizationWorker = () =>
+  new Worker(new URL("./optimization.worker.js", import.meta.url));
+
+export default createOptimizationWorker;
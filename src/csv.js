@@ -0,0 +1,59 @@
+// csv.js
+// Minimal CSV reading/writing for imports and exports (quoted fields supported)
+
+function splitLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+// returns one object per data row keyed by the header row
+export function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== "");
+  if (lines.length === 0) return [];
+  const header = splitLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const cells = splitLine(line);
+    const row = {};
+    header.forEach((h, i) => { row[h] = cells[i] ?? ""; });
+    return row;
+  });
+}
+
+const escapeCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCSV(rows, columns) {
+  const lines = [columns.join(",")];
+  rows.forEach(row => lines.push(columns.map(c => escapeCell(row[c])).join(",")));
+  return lines.join("\n");
+}
+
+// trigger a browser download of text content
+export function downloadText(filename, text, type = "text/csv") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
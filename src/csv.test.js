@@ -0,0 +1,35 @@
+import { parseCSV, toCSV } from './csv';
+
+test('parseCSV keys rows by the header and skips blank lines', () => {
+  const rows = parseCSV('id, vendor ,cost\r\ns1,Urban Foods,420\n\ns2,Metro Market,400\n');
+  expect(rows).toEqual([
+    { id: 's1', vendor: 'Urban Foods', cost: '420' },
+    { id: 's2', vendor: 'Metro Market', cost: '400' },
+  ]);
+  expect(parseCSV('  \n')).toEqual([]);
+});
+
+test('parseCSV reads quoted commas and doubled quotes', () => {
+  const rows = parseCSV('id,notes\ns1,"late, then ""rerouted"""\ns2,');
+  expect(rows).toEqual([
+    { id: 's1', notes: 'late, then "rerouted"' },
+    { id: 's2', notes: '' },
+  ]);
+});
+
+test('short rows fill missing cells with empty strings', () => {
+  expect(parseCSV('a,b,c\n1')).toEqual([{ a: '1', b: '', c: '' }]);
+});
+
+test('toCSV quotes only cells that need it and round-trips through parseCSV', () => {
+  const rows = [
+    { id: 's1', notes: 'say "hi", twice', cost: 420 },
+    { id: 's2', notes: null, cost: 0 },
+  ];
+  const text = toCSV(rows, ['id', 'notes', 'cost']);
+  expect(text).toBe('id,notes,cost\ns1,"say ""hi"", twice",420\ns2,,0');
+  expect(parseCSV(text)).toEqual([
+    { id: 's1', notes: 'say "hi", twice', cost: '420' },
+    { id: 's2', notes: '', cost: '0' },
+  ]);
+});
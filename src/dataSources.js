@@ -0,0 +1,315 @@
+// dataSources.js
+// Delivery-record feeds for the Dashboard: connectDataSource(config, { onRecords, onStatus })
+// returns { close }. Adapters: mock generator, REST polling, WebSocket, Server-Sent Events, CSV replay.
+// Record: { id, vendorId, supplierId, timestamp (ms), deliveryMinutes, promisedMinutes, spoiled,
+//           fuelCost, laborCost, storageCost, maintenanceCost, insuranceCost, otherCost, plannedCost }
+
+import { useEffect, useState } from "react";
+
+import Engine from "./DecisionOptimizationEngine";
+import { parseCSV } from "./csv";
+
+const MAX_RECORDS = 500;
+const TREND_HOURS = 8;
+
+// share of plannedCost budgeted to each category; efficiency = budget / actual
+export const COST_CATEGORIES = [
+  { key: "fuelCost", label: "Fuel", budgetShare: 0.3 },
+  { key: "laborCost", label: "Labor", budgetShare: 0.35 },
+  { key: "storageCost", label: "Storage", budgetShare: 0.12 },
+  { key: "maintenanceCost", label: "Maintenance", budgetShare: 0.1 },
+  { key: "insuranceCost", label: "Insurance", budgetShare: 0.08 },
+  { key: "otherCost", label: "Other", budgetShare: 0.05 },
+];
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  const text = String(value ?? "").trim();
+  return text === "" ? NaN : Number(text);
+};
+
+// coerce a raw record (JSON or CSV row); null when it has no usable time or duration
+export const normalizeRecord = (raw) => {
+  if (!raw || typeof raw !== "object") return null;
+  const timestamp = typeof raw.timestamp === "number" || /^\d+$/.test(String(raw.timestamp ?? "").trim())
+    ? toNumber(raw.timestamp)
+    : Date.parse(raw.timestamp);
+  const deliveryMinutes = toNumber(raw.deliveryMinutes);
+  if (!Number.isFinite(timestamp) || !Number.isFinite(deliveryMinutes)) return null;
+  const record = {
+    id: String(raw.id ?? `${timestamp}-${raw.vendorId ?? ""}`),
+    vendorId: raw.vendorId != null ? String(raw.vendorId) : "",
+    supplierId: raw.supplierId != null ? String(raw.supplierId) : "",
+    timestamp,
+    deliveryMinutes,
+    promisedMinutes: toNumber(raw.promisedMinutes),
+    spoiled: raw.spoiled === true || /^(true|1|yes)$/i.test(String(raw.spoiled ?? "")),
+    plannedCost: toNumber(raw.plannedCost),
+  };
+  COST_CATEGORIES.forEach(({ key }) => { record[key] = toNumber(raw[key]); });
+  return record;
+};
+
+// newer copies replace older ones with the same id; oldest records drop past MAX_RECORDS
+export const mergeRecords = (current, incoming) => {
+  const byId = new Map(current.map(r => [r.id, r]));
+  incoming.forEach(r => byId.set(r.id, r));
+  return [...byId.values()].sort((a, b) => a.timestamp - b.timestamp).slice(-MAX_RECORDS);
+};
+
+const mean = (values) => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : null);
+
+const hourLabel = (timestamp) => `${String(new Date(timestamp).getHours()).padStart(2, "0")}:00`;
+
+// KPIs for the Dashboard cards and charts; null values mean "no data yet"
+export const computeDeliveryKpis = (records) => {
+  const late = records.filter(r => Number.isFinite(r.promisedMinutes) && r.deliveryMinutes > r.promisedMinutes);
+  const withPromise = records.filter(r => Number.isFinite(r.promisedMinutes));
+
+  // hourly average delivery time over the latest TREND_HOURS hours that have records
+  const buckets = new Map();
+  records.forEach(r => {
+    const hourStart = Math.floor(r.timestamp / 3600000) * 3600000;
+    if (!buckets.has(hourStart)) buckets.set(hourStart, []);
+    buckets.get(hourStart).push(r.deliveryMinutes);
+  });
+  const deliveryTrend = [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .slice(-TREND_HOURS)
+    .map(([hourStart, values]) => ({ time: hourLabel(hourStart), value: +mean(values).toFixed(1), count: values.length }));
+
+  const costed = records.filter(r => Number.isFinite(r.plannedCost));
+  const efficiency = (budget, actual) => (actual > 0 ? Math.min(100, (budget / actual) * 100) : null);
+  // categories the feed does not report are left out rather than shown as 0%
+  const costEfficiency = COST_CATEGORIES.map(({ key, label, budgetShare }) => {
+    const rows = costed.filter(r => Number.isFinite(r[key]));
+    const value = efficiency(
+      rows.reduce((s, r) => s + r.plannedCost * budgetShare, 0),
+      rows.reduce((s, r) => s + r[key], 0),
+    );
+    return value === null ? null : { category: label, value: +value.toFixed(1) };
+  }).filter(Boolean);
+  const totalActual = costed.reduce((s, r) => s + COST_CATEGORIES.reduce((c, { key }) => c + (Number.isFinite(r[key]) ? r[key] : 0), 0), 0);
+
+  return {
+    records: records.length,
+    avgDeliveryMinutes: mean(records.map(r => r.deliveryMinutes)),
+    spoilageRate: records.length ? records.filter(r => r.spoiled).length / records.length : null,
+    onTimeRate: withPromise.length ? 1 - late.length / withPromise.length : null,
+    costEfficiency: efficiency(costed.reduce((s, r) => s + r.plannedCost, 0), totalActual),
+    activeSuppliers: new Set(records.map(r => r.supplierId).filter(Boolean)).size,
+    activeVendors: new Set(records.map(r => r.vendorId).filter(Boolean)).size,
+    deliveryTrend,
+    costByCategory: costEfficiency,
+    lastTimestamp: records.length ? records[records.length - 1].timestamp : null,
+  };
+};
+
+/* ---------------- ADAPTERS ---------------- */
+
+// a fake delivery for one registry vendor; congested vendors are slower, slow deliveries spoil more
+const mockRecord = (vendor, supplier, timestamp, rng, n) => {
+  const deliveryMinutes = 22 + (vendor.congestion / 100) * 28 + (rng() - 0.5) * 16;
+  const noise = () => 0.75 + rng() * 0.6;
+  return {
+    id: `mock-${timestamp}-${n}`,
+    vendorId: vendor.id,
+    supplierId: supplier ? supplier.id : "",
+    timestamp,
+    deliveryMinutes: +deliveryMinutes.toFixed(1),
+    promisedMinutes: 45,
+    spoiled: rng() < 0.04 + Math.max(0, deliveryMinutes - 40) * 0.02,
+    fuelCost: +(18 + deliveryMinutes * 0.6 * noise()).toFixed(2),
+    laborCost: +(deliveryMinutes * 1.05 * noise()).toFixed(2),
+    storageCost: +(14 * noise()).toFixed(2),
+    maintenanceCost: +(11 * noise()).toFixed(2),
+    insuranceCost: +(9 * noise()).toFixed(2),
+    otherCost: +(6 * noise()).toFixed(2),
+    plannedCost: 110,
+  };
+};
+
+// config: { vendors, suppliers, intervalMs = 3000, seed } - starts with TREND_HOURS of history
+function connectMock(config, { onRecords, onStatus }) {
+  const { rng } = Engine.resolveRng({ seed: config.seed });
+  const vendors = config.vendors || [];
+  const suppliers = config.suppliers || [];
+  let n = 0;
+  const next = (timestamp) => {
+    const vendor = vendors[Math.floor(rng() * vendors.length)];
+    const supplier = suppliers[Math.floor(rng() * suppliers.length)];
+    return mockRecord(vendor, supplier, timestamp, rng, n++);
+  };
+  if (vendors.length === 0) {
+    onStatus({ state: "error", message: "the vendor registry is empty" });
+    return { close: () => {} };
+  }
+
+  const now = Date.now();
+  const history = Array.from({ length: TREND_HOURS * 6 }, (_, i) => next(now - (TREND_HOURS * 60 - i * 10) * 60000));
+  onRecords(history);
+  onStatus({ state: "live" });
+  const timer = setInterval(() => onRecords([next(Date.now())]), config.intervalMs || 3000);
+  return { close: () => clearInterval(timer) };
+}
+
+// JSON body: an array of records or { records: [...] }
+const recordsFromPayload = (payload) => (Array.isArray(payload) ? payload : payload?.records ? payload.records : [payload]);
+
+// config: { url, intervalMs = 10000 }
+function connectRest(config, { onRecords, onStatus }) {
+  let timer = null;
+  let closed = false;
+  const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+
+  const poll = async () => {
+    try {
+      const response = await fetch(config.url, { signal: controller?.signal, headers: { Accept: "application/json" } });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      onRecords(recordsFromPayload(await response.json()));
+      onStatus({ state: "live" });
+    } catch (err) {
+      if (closed) return;
+      onStatus({ state: "error", message: err.message });
+    }
+    if (!closed) timer = setTimeout(poll, config.intervalMs || 10000);
+  };
+
+  onStatus({ state: "connecting" });
+  poll();
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(timer);
+      if (controller) controller.abort();
+    },
+  };
+}
+
+// every message is a JSON record or batch
+const handleMessage = (data, { onRecords, onStatus }) => {
+  try {
+    onRecords(recordsFromPayload(JSON.parse(data)));
+  } catch (err) {
+    onStatus({ state: "error", message: `unreadable message: ${err.message}` });
+  }
+};
+
+// config: { url } (ws:// or wss://)
+function connectWebSocket(config, handlers) {
+  if (typeof WebSocket === "undefined") {
+    handlers.onStatus({ state: "error", message: "WebSocket is not supported here" });
+    return { close: () => {} };
+  }
+  let socket;
+  try {
+    socket = new WebSocket(config.url);
+  } catch (err) {
+    // a malformed URL throws instead of failing the connection
+    handlers.onStatus({ state: "error", message: err.message });
+    return { close: () => {} };
+  }
+  handlers.onStatus({ state: "connecting" });
+  socket.onopen = () => handlers.onStatus({ state: "live" });
+  socket.onmessage = (event) => handleMessage(event.data, handlers);
+  socket.onerror = () => handlers.onStatus({ state: "error", message: "connection failed" });
+  socket.onclose = (event) => {
+    if (!event.wasClean) handlers.onStatus({ state: "error", message: `closed (code ${event.code})` });
+  };
+  return {
+    close: () => {
+      socket.onclose = null;
+      socket.close();
+    },
+  };
+}
+
+// config: { url } - the browser reconnects an EventSource by itself
+function connectSSE(config, handlers) {
+  if (typeof EventSource === "undefined") {
+    handlers.onStatus({ state: "error", message: "Server-Sent Events are not supported here" });
+    return { close: () => {} };
+  }
+  let source;
+  try {
+    source = new EventSource(config.url);
+  } catch (err) {
+    handlers.onStatus({ state: "error", message: err.message });
+    return { close: () => {} };
+  }
+  handlers.onStatus({ state: "connecting" });
+  source.onopen = () => handlers.onStatus({ state: "live" });
+  source.onmessage = (event) => handleMessage(event.data, handlers);
+  source.onerror = () => handlers.onStatus({ state: "connecting", message: "reconnecting" });
+  return { close: () => source.close() };
+}
+
+// config: { text, fileName, speed = 60 } - replays rows in timestamp order, speed x faster than recorded
+function connectCsvReplay(config, { onRecords, onStatus }) {
+  const rows = parseCSV(config.text || "").map(normalizeRecord).filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+  if (rows.length === 0) {
+    onStatus({ state: "error", message: "no usable rows (needs timestamp and deliveryMinutes columns)" });
+    return { close: () => {} };
+  }
+  const speed = config.speed > 0 ? config.speed : 60;
+  let timer = null;
+  let i = 0;
+  const emit = () => {
+    onRecords([rows[i]]);
+    i++;
+    if (i >= rows.length) {
+      onStatus({ state: "ended", message: `replayed ${rows.length} records` });
+      return;
+    }
+    // long gaps in the recording are capped so the replay keeps moving
+    const delay = Math.min(5000, Math.max(0, (rows[i].timestamp - rows[i - 1].timestamp) / speed));
+    timer = setTimeout(emit, delay);
+  };
+  onStatus({ state: "live" });
+  emit();
+  return { close: () => clearTimeout(timer) };
+}
+
+export const DATA_SOURCES = {
+  mock: { label: "Mock generator", connect: connectMock },
+  rest: { label: "REST polling", connect: connectRest, needsUrl: true },
+  websocket: { label: "WebSocket stream", connect: connectWebSocket, needsUrl: true },
+  sse: { label: "Server-Sent Events", connect: connectSSE, needsUrl: true },
+  csv: { label: "CSV replay", connect: connectCsvReplay },
+};
+
+export function connectDataSource(config, { onRecords = () => {}, onStatus = () => {} } = {}) {
+  const source = DATA_SOURCES[config.kind];
+  if (!source) {
+    onStatus({ state: "error", message: `unknown data source "${config.kind}"` });
+    return { close: () => {} };
+  }
+  return source.connect(config, {
+    onRecords: (raw) => onRecords(raw.map(normalizeRecord).filter(Boolean)),
+    onStatus,
+  });
+}
+
+// records and status of one connection; a new config object reconnects and starts empty
+export function useDataSource(config) {
+  const [records, setRecords] = useState([]);
+  const [status, setStatus] = useState({ state: "connecting" });
+  const [updatedAt, setUpdatedAt] = useState(null);
+
+  useEffect(() => {
+    setRecords([]);
+    setStatus({ state: "connecting" });
+    setUpdatedAt(null);
+    const connection = connectDataSource(config, {
+      onRecords: (incoming) => {
+        if (incoming.length === 0) return;
+        setRecords(prev => mergeRecords(prev, incoming));
+        setUpdatedAt(Date.now());
+      },
+      onStatus: setStatus,
+    });
+    return () => connection.close();
+  }, [config]);
+
+  return { records, status, updatedAt };
+}
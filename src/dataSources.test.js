@@ -0,0 +1,110 @@
+import { normalizeRecord, mergeRecords, computeDeliveryKpis, connectDataSource } from './dataSources';
+
+const HOUR = 3600000;
+const T0 = Date.UTC(2024, 4, 6, 9);
+
+const record = (overrides) => normalizeRecord({
+  timestamp: T0, deliveryMinutes: 30, promisedMinutes: 45, plannedCost: 100, ...overrides,
+});
+
+describe('normalizeRecord', () => {
+  test('coerces CSV strings: epoch or ISO time, numbers and truthy spoilage', () => {
+    const csv = normalizeRecord({ id: 'r1', vendorId: 'v1', timestamp: String(T0), deliveryMinutes: ' 31.5 ', spoiled: 'yes', fuelCost: '' });
+    expect(csv).toMatchObject({ id: 'r1', vendorId: 'v1', supplierId: '', timestamp: T0, deliveryMinutes: 31.5, spoiled: true });
+    expect(csv.fuelCost).toBeNaN();
+    expect(csv.promisedMinutes).toBeNaN();
+    expect(normalizeRecord({ timestamp: '2024-05-06T09:00:00Z', deliveryMinutes: 20, spoiled: '0' }))
+      .toMatchObject({ timestamp: T0, spoiled: false, id: `${T0}-` });
+  });
+
+  test('rejects rows without a usable time or duration', () => {
+    expect(normalizeRecord(null)).toBeNull();
+    expect(normalizeRecord('text')).toBeNull();
+    expect(normalizeRecord({ timestamp: 'yesterday', deliveryMinutes: 20 })).toBeNull();
+    expect(normalizeRecord({ timestamp: T0, deliveryMinutes: '' })).toBeNull();
+    expect(normalizeRecord({ timestamp: T0 })).toBeNull();
+  });
+});
+
+describe('mergeRecords', () => {
+  test('newer copies replace older ones and the result stays in time order', () => {
+    const merged = mergeRecords(
+      [record({ id: 'a', timestamp: T0 + 2 }), record({ id: 'b', timestamp: T0 })],
+      [record({ id: 'a', timestamp: T0 + 1, deliveryMinutes: 99 })],
+    );
+    expect(merged.map(r => [r.id, r.deliveryMinutes])).toEqual([['b', 30], ['a', 99]]);
+  });
+});
+
+describe('computeDeliveryKpis', () => {
+  test('no records means no values rather than zeros', () => {
+    expect(computeDeliveryKpis([])).toMatchObject({
+      records: 0, avgDeliveryMinutes: null, spoilageRate: null, onTimeRate: null, costEfficiency: null,
+      deliveryTrend: [], costByCategory: [], lastTimestamp: null,
+    });
+  });
+
+  test('averages, rates, hourly trend and cost efficiency from known records', () => {
+    const records = [
+      record({ id: '1', vendorId: 'v1', supplierId: 'sp1', deliveryMinutes: 30, fuelCost: 30, laborCost: 50 }),
+      record({ id: '2', vendorId: 'v2', supplierId: 'sp1', deliveryMinutes: 50, spoiled: true, fuelCost: 60 }),
+      record({ id: '3', vendorId: 'v1', timestamp: T0 + HOUR, deliveryMinutes: 40, promisedMinutes: '' }),
+    ];
+    const kpis = computeDeliveryKpis(records);
+    expect(kpis.records).toBe(3);
+    expect(kpis.avgDeliveryMinutes).toBe(40);
+    expect(kpis.spoilageRate).toBeCloseTo(1 / 3);
+    expect(kpis.onTimeRate).toBe(0.5); // record 3 has no promise; record 2 is late
+    expect(kpis.activeVendors).toBe(2);
+    expect(kpis.activeSuppliers).toBe(1);
+    expect(kpis.deliveryTrend.map(p => [p.value, p.count])).toEqual([[40, 2], [40, 1]]);
+    // fuel: 0.3 of 200 planned against 90 spent; labor: 0.35 of 100 against 50; unreported categories are left out
+    expect(kpis.costByCategory).toEqual([{ category: 'Fuel', value: 66.7 }, { category: 'Labor', value: 70 }]);
+    expect(kpis.costEfficiency).toBe(100); // 300 planned against 140 reported, capped
+    expect(kpis.lastTimestamp).toBe(T0 + HOUR);
+  });
+});
+
+describe('connectDataSource', () => {
+  const connect = (config) => {
+    const statuses = [];
+    const batches = [];
+    const connection = connectDataSource(config, { onRecords: r => batches.push(r), onStatus: s => statuses.push(s) });
+    return { statuses, batches, connection };
+  };
+
+  afterEach(() => {
+    delete global.WebSocket;
+    delete global.EventSource;
+  });
+
+  test('a malformed stream URL is reported as an error status, not thrown', () => {
+    const reject = function Rejecting(url) { throw new SyntaxError(`Failed to construct: the URL '${url}' is invalid.`); };
+    global.WebSocket = reject;
+    global.EventSource = reject;
+    ['websocket', 'sse'].forEach(kind => {
+      const { statuses, connection } = connect({ kind, url: 'ws//nope' });
+      expect(statuses).toEqual([{ state: 'error', message: "Failed to construct: the URL 'ws//nope' is invalid." }]);
+      expect(() => connection.close()).not.toThrow();
+    });
+  });
+
+  test('unknown kinds and CSV files without usable rows report an error', () => {
+    expect(connect({ kind: 'carrier-pigeon' }).statuses).toEqual([{ state: 'error', message: 'unknown data source "carrier-pigeon"' }]);
+    const { statuses, batches } = connect({ kind: 'csv', text: 'timestamp,deliveryMinutes\nsoon,abc\n' });
+    expect(statuses[0].state).toBe('error');
+    expect(batches).toEqual([]);
+  });
+
+  test('the mock feed replays the same history for the same seed', () => {
+    const config = { kind: 'mock', seed: 7, vendors: [{ id: 'v1', congestion: 40 }, { id: 'v2', congestion: 80 }], suppliers: [{ id: 'sp1' }] };
+    const first = connect(config);
+    const second = connect(config);
+    first.connection.close();
+    second.connection.close();
+    const shape = ({ batches }) => batches[0].map(r => [r.vendorId, r.deliveryMinutes, r.spoiled]);
+    expect(first.batches[0]).toHaveLength(48);
+    expect(shape(second)).toEqual(shape(first));
+    expect(first.statuses).toEqual([{ state: 'live' }]);
+  });
+});
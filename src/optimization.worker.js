@@ -0,0 +1,19 @@
+// optimization.worker.js
+// Runs optimizationTasks off the main thread. Messages in: { task, args };
+// messages out: { type: 'progress', progress } | { type: 'result', result } | { type: 'error', message }
+
+import TASKS from "./optimizationTasks";
+
+/* eslint-disable-next-line no-restricted-globals */
+const ctx = self;
+
+ctx.onmessage = ({ data }) => {
+  const { task, args } = data;
+  try {
+    if (!TASKS[task]) throw new Error(`Unknown optimization task: ${task}`);
+    const result = TASKS[task](args, (progress) => ctx.postMessage({ type: "progress", progress }));
+    ctx.postMessage({ type: "result", result });
+  } catch (err) {
+    ctx.postMessage({ type: "error", message: err.message });
+  }
+};
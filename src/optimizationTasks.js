@@ -0,0 +1,28 @@
+// optimizationTasks.js
+// Long-running engine calls, keyed by name, shared by the worker and its inline fallback.
+// Each task takes plain (cloneable) args and an onProgress callback.
+
+import Engine from "./DecisionOptimizationEngine";
+import Genetic from "./GeneticOptimizationEngine";
+import Routing from "./VehicleRoutingEngine";
+
+const TASKS = {
+  monteCarlo: ({ strategies, weights, scenarioParams, iterations, options }, onProgress) =>
+    Engine.monteCarloSimulation(strategies, weights, scenarioParams, iterations, {
+      ...options,
+      onProgress: (done, total) => onProgress({ done, total }),
+    }),
+
+  genetic: ({ vendors, generations, populationSize, options }, onProgress) =>
+    Genetic.runGeneticOptimization(vendors, generations, populationSize, { ...options, onProgress }),
+
+  routing: ({ problem, options }, onProgress) =>
+    Routing.solveRouting(problem, { ...options, onProgress }),
+
+  polishRoutes: ({ order, problem }) => Routing.polishOrder(order, problem),
+
+  routingPareto: ({ problem, options }, onProgress) =>
+    Routing.solveRoutingPareto(problem, { ...options, onProgress }),
+};
+
+export default TASKS;
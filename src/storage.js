@@ -0,0 +1,30 @@
+// storage.js
+// Small localStorage wrapper for state that should survive a page reload
+
+const PREFIX = "urbanflux:";
+
+export function loadState(key, fallback = null) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    // storage disabled or corrupted entry - fall back to defaults
+    return fallback;
+  }
+}
+
+export function saveState(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+export function clearState(key) {
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+  } catch (e) {
+    console.error(e);
+  }
+}
@@ -0,0 +1,21 @@
+import { loadState, saveState, clearState } from './storage';
+
+afterEach(() => window.localStorage.clear());
+
+test('saved state round-trips under the app prefix', () => {
+  saveState('weights', { Wd: 0.3 });
+  expect(window.localStorage.getItem('urbanflux:weights')).toBe('{"Wd":0.3}');
+  expect(loadState('weights')).toEqual({ Wd: 0.3 });
+});
+
+test('missing and corrupted entries fall back', () => {
+  expect(loadState('missing', [])).toEqual([]);
+  window.localStorage.setItem('urbanflux:broken', '{not json');
+  expect(loadState('broken', 'fallback')).toBe('fallback');
+});
+
+test('clearState removes the entry', () => {
+  saveState('learning', { episode: 2 });
+  clearState('learning');
+  expect(loadState('learning')).toBeNull();
+});
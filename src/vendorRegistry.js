@@ -0,0 +1,169 @@
+// vendorRegistry.js
+// Single source of vendors and suppliers for every page, persisted through storage.js.
+// Entry: { id, type: 'vendor' | 'supplier', name, district, coords: { x, y } (km on the city grid),
+//          demand (units per delivery cycle), congestion (%), capacity (units), contacts: { person, phone, email },
+//          window: { open, close } (vendors only, minutes after midnight) }
+
+import React, { createContext, useContext, useMemo, useState } from "react";
+
+import { loadState, saveState, clearState } from "./storage";
+
+export const ENTRY_TYPES = {
+  vendor: { label: "Vendor", idPrefix: "v" },
+  supplier: { label: "Supplier", idPrefix: "sp" },
+};
+
+export const DISTRICTS = [
+  "Downtown",
+  "North District",
+  "East Plaza",
+  "South Market",
+  "West End",
+  "Central Hub",
+  "Airport Zone",
+  "Industrial Park",
+  "Suburban",
+];
+
+export const DEFAULT_REGISTRY = [
+  {
+    id: "v1", type: "vendor", name: "Fresh Mart", district: "Downtown", coords: { x: 5, y: 5 },
+    demand: 95, congestion: 45, capacity: 150, window: { open: 480, close: 570 },
+    contacts: { person: "Dana Ortiz", phone: "+1 555 0101", email: "orders@freshmart.example" },
+  },
+  {
+    id: "v2", type: "vendor", name: "Urban Foods", district: "North District", coords: { x: 5, y: 10 },
+    demand: 65, congestion: 30, capacity: 100, window: { open: 510, close: 600 },
+    contacts: { person: "Sam Whitaker", phone: "+1 555 0102", email: "supply@urbanfoods.example" },
+  },
+  {
+    id: "v3", type: "vendor", name: "Metro Market", district: "East Plaza", coords: { x: 10, y: 6 },
+    demand: 54, congestion: 60, capacity: 90, window: { open: 540, close: 660 },
+    contacts: { person: "Priya Nair", phone: "+1 555 0103", email: "receiving@metromarket.example" },
+  },
+  {
+    id: "v4", type: "vendor", name: "City Store", district: "South Market", coords: { x: 5, y: 0 },
+    demand: 96, congestion: 75, capacity: 140, window: { open: 465, close: 540 },
+    contacts: { person: "Luis Moreno", phone: "+1 555 0104", email: "ops@citystore.example" },
+  },
+  {
+    id: "v5", type: "vendor", name: "Prime Hub", district: "West End", coords: { x: 0, y: 5 },
+    demand: 72, congestion: 40, capacity: 110, window: { open: 570, close: 690 },
+    contacts: { person: "Alex Chen", phone: "+1 555 0105", email: "deliveries@primehub.example" },
+  },
+  {
+    id: "v6", type: "vendor", name: "Quick Center", district: "Central Hub", coords: { x: 6, y: 6 },
+    demand: 91, congestion: 55, capacity: 130, window: { open: 480, close: 630 },
+    contacts: { person: "Robin Hale", phone: "+1 555 0106", email: "store@quickcenter.example" },
+  },
+  {
+    id: "sp1", type: "supplier", name: "SwiftDeliver Inc", district: "Industrial Park", coords: { x: 12, y: 2 },
+    demand: 0, congestion: 35, capacity: 150,
+    contacts: { person: "Morgan Reyes", phone: "+1 555 0201", email: "dispatch@swiftdeliver.example" },
+  },
+  {
+    id: "sp2", type: "supplier", name: "ColdChain Co", district: "Airport Zone", coords: { x: 14, y: 12 },
+    demand: 0, congestion: 25, capacity: 110,
+    contacts: { person: "Jamie Brooks", phone: "+1 555 0202", email: "orders@coldchain.example" },
+  },
+  {
+    id: "sp3", type: "supplier", name: "FreshRoute Corp", district: "Suburban", coords: { x: 1, y: 12 },
+    demand: 0, congestion: 20, capacity: 90,
+    contacts: { person: "Taylor Kim", phone: "+1 555 0203", email: "fleet@freshroute.example" },
+  },
+];
+
+export const validateEntry = (entry, entries = []) => {
+  const errors = [];
+  const name = String(entry.name ?? "").trim();
+  if (!ENTRY_TYPES[entry.type]) errors.push(`unknown type "${entry.type}"`);
+  if (!name) errors.push("name is required");
+  // strategies and allocations match entries by name, so names are unique per type
+  else if (entries.some(e => e.id !== entry.id && e.type === entry.type && e.name.trim().toLowerCase() === name.toLowerCase())) {
+    errors.push(`another ${entry.type} is called "${name}"`);
+  }
+  if (!String(entry.district ?? "").trim()) errors.push("district is required");
+  if (!Number.isFinite(entry.coords?.x) || !Number.isFinite(entry.coords?.y)) errors.push("coordinates must be numbers");
+  if (!(entry.demand >= 0)) errors.push("demand must be a non-negative number");
+  if (!(entry.congestion >= 0 && entry.congestion <= 100)) errors.push("congestion must be 0-100");
+  if (!(entry.capacity > 0)) errors.push("capacity must be a positive number");
+  if (entry.window && !(entry.window.open >= 0 && entry.window.close > entry.window.open)) {
+    errors.push("delivery window must close after it opens");
+  }
+  const email = String(entry.contacts?.email ?? "").trim();
+  if (email && !/^[^@\s]+@[^@\s]+$/.test(email)) errors.push("contact email is not valid");
+  return errors;
+};
+
+export const nextEntryId = (entries, type) => {
+  const prefix = ENTRY_TYPES[type].idPrefix;
+  const used = entries
+    .filter(e => e.type === type)
+    .map(e => parseInt(String(e.id).slice(prefix.length), 10))
+    .filter(Number.isFinite);
+  return `${prefix}${(used.length ? Math.max(...used) : 0) + 1}`;
+};
+
+// strategies name their vendor and supplier; link them to registry ids (by id first, then by name)
+// and take the current registry names, so a rename reaches every strategy
+export const linkStrategy = (strategy, entries) => {
+  const find = (type, id, name) =>
+    entries.find(e => e.type === type && e.id === id) ||
+    entries.find(e => e.type === type && e.name.trim().toLowerCase() === String(name ?? "").trim().toLowerCase());
+  const vendor = find("vendor", strategy.vendorId, strategy.vendor);
+  const supplier = find("supplier", strategy.supplierId, strategy.supplier);
+  return {
+    ...strategy,
+    vendorId: vendor ? vendor.id : undefined,
+    vendor: vendor ? vendor.name : strategy.vendor,
+    supplierId: supplier ? supplier.id : undefined,
+    supplier: supplier ? supplier.name : strategy.supplier,
+  };
+};
+
+// registry vendor -> the vendor shape the routing engine works on
+export const toRoutingVendor = (entry) => ({
+  id: entry.id,
+  name: entry.name,
+  location: entry.district,
+  demand: entry.demand,
+  congestionLevel: entry.congestion,
+  coords: entry.coords,
+  window: entry.window,
+});
+
+const VendorRegistryContext = createContext(null);
+
+export const VendorRegistryProvider = ({ children }) => {
+  const [entries, setEntries] = useState(() => loadState("vendors") || DEFAULT_REGISTRY);
+
+  const value = useMemo(() => {
+    const update = (next) => {
+      setEntries(next);
+      saveState("vendors", next);
+    };
+    return {
+      entries,
+      vendors: entries.filter(e => e.type === "vendor"),
+      suppliers: entries.filter(e => e.type === "supplier"),
+      findEntry: (id) => entries.find(e => e.id === id),
+      // adds the entry when its id is new, replaces it otherwise
+      saveEntry: (entry) => update(entries.some(e => e.id === entry.id)
+        ? entries.map(e => e.id === entry.id ? entry : e)
+        : [...entries, entry]),
+      deleteEntry: (id) => update(entries.filter(e => e.id !== id)),
+      resetRegistry: () => {
+        setEntries(DEFAULT_REGISTRY);
+        clearState("vendors");
+      },
+    };
+  }, [entries]);
+
+  return <VendorRegistryContext.Provider value={value}>{children}</VendorRegistryContext.Provider>;
+};
+
+export const useVendorRegistry = () => {
+  const registry = useContext(VendorRegistryContext);
+  if (!registry) throw new Error("useVendorRegistry must be used inside a VendorRegistryProvider");
+  return registry;
+};
@@ -0,0 +1,118 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import {
+  DEFAULT_REGISTRY,
+  validateEntry,
+  nextEntryId,
+  linkStrategy,
+  toRoutingVendor,
+  VendorRegistryProvider,
+  useVendorRegistry,
+} from './vendorRegistry';
+import { loadState } from './storage';
+
+const FRESH_MART = DEFAULT_REGISTRY.find(e => e.id === 'v1');
+
+describe('validateEntry', () => {
+  test('the default registry is valid', () => {
+    DEFAULT_REGISTRY.forEach(entry => expect(validateEntry(entry, DEFAULT_REGISTRY)).toEqual([]));
+  });
+
+  test('rejects missing and out-of-range fields', () => {
+    const errors = validateEntry({
+      ...FRESH_MART,
+      type: 'depot',
+      district: ' ',
+      coords: { x: 'a', y: 1 },
+      demand: -1,
+      congestion: 120,
+      capacity: 0,
+      window: { open: 600, close: 540 },
+      contacts: { email: 'not-an-email' },
+    });
+    expect(errors).toEqual([
+      'unknown type "depot"',
+      'district is required',
+      'coordinates must be numbers',
+      'demand must be a non-negative number',
+      'congestion must be 0-100',
+      'capacity must be a positive number',
+      'delivery window must close after it opens',
+      'contact email is not valid',
+    ]);
+    expect(validateEntry({ ...FRESH_MART, name: '  ' })).toEqual(['name is required']);
+  });
+
+  test('names are unique per type, ignoring case and spaces, but an entry may keep its own', () => {
+    const copy = { ...FRESH_MART, id: 'v9', name: ' fresh MART ' };
+    expect(validateEntry(copy, DEFAULT_REGISTRY)).toEqual(['another vendor is called "fresh MART"']);
+    expect(validateEntry(FRESH_MART, DEFAULT_REGISTRY)).toEqual([]);
+    expect(validateEntry({ ...copy, type: 'supplier', window: undefined }, DEFAULT_REGISTRY)).toEqual([]);
+  });
+});
+
+describe('nextEntryId', () => {
+  test('continues the highest id of the type', () => {
+    expect(nextEntryId(DEFAULT_REGISTRY, 'vendor')).toBe('v7');
+    expect(nextEntryId(DEFAULT_REGISTRY, 'supplier')).toBe('sp4');
+    expect(nextEntryId([], 'vendor')).toBe('v1');
+  });
+});
+
+describe('linkStrategy', () => {
+  test('links by id first and takes the current registry name', () => {
+    const renamed = DEFAULT_REGISTRY.map(e => (e.id === 'v1' ? { ...e, name: 'Fresh Mart Downtown' } : e));
+    const linked = linkStrategy({ id: 's1', vendorId: 'v1', vendor: 'Fresh Mart', supplier: 'swiftdeliver inc' }, renamed);
+    expect(linked).toMatchObject({ vendorId: 'v1', vendor: 'Fresh Mart Downtown', supplierId: 'sp1', supplier: 'SwiftDeliver Inc' });
+  });
+
+  test('keeps the typed name when nothing in the registry matches', () => {
+    const linked = linkStrategy({ id: 's9', vendor: 'Corner Shop', supplier: 'Nobody Ltd' }, DEFAULT_REGISTRY);
+    expect(linked).toMatchObject({ vendorId: undefined, vendor: 'Corner Shop', supplierId: undefined, supplier: 'Nobody Ltd' });
+  });
+});
+
+describe('toRoutingVendor', () => {
+  test('maps registry fields onto the routing engine vendor shape', () => {
+    expect(toRoutingVendor(FRESH_MART)).toEqual({
+      id: 'v1',
+      name: 'Fresh Mart',
+      location: 'Downtown',
+      demand: 95,
+      congestionLevel: 45,
+      coords: { x: 5, y: 5 },
+      window: { open: 480, close: 570 },
+    });
+  });
+});
+
+describe('VendorRegistryProvider', () => {
+  beforeEach(() => localStorage.clear());
+
+  const Probe = () => {
+    const { vendors, suppliers, saveEntry, deleteEntry } = useVendorRegistry();
+    return (
+      <div>
+        <p>{vendors.map(v => v.name).join(', ')}</p>
+        <p>{suppliers.length} suppliers</p>
+        <button onClick={() => saveEntry({ ...FRESH_MART, name: 'Fresh Mart Downtown' })}>Rename</button>
+        <button onClick={() => deleteEntry('sp3')}>Delete</button>
+      </div>
+    );
+  };
+
+  test('edits replace entries in place and are persisted', () => {
+    render(<VendorRegistryProvider><Probe /></VendorRegistryProvider>);
+    expect(screen.getByText('3 suppliers')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Rename'));
+    fireEvent.click(screen.getByText('Delete'));
+    expect(screen.getByText(/^Fresh Mart Downtown, Urban Foods/)).toBeInTheDocument();
+    expect(screen.getByText('2 suppliers')).toBeInTheDocument();
+    expect(loadState('vendors').map(e => e.id)).toEqual(['v1', 'v2', 'v3', 'v4', 'v5', 'v6', 'sp1', 'sp2']);
+  });
+
+  test('the hook refuses to run outside the provider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => render(<Probe />)).toThrow('useVendorRegistry must be used inside a VendorRegistryProvider');
+    console.error.mockRestore();
+  });
+});
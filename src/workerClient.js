@@ -0,0 +1,80 @@
+// workerClient.js
+// Promise API over the optimization worker: runTask(task, args, { onProgress })
+// returns { promise, cancel }. Cancelling terminates the worker and rejects with
+// a TaskCancelledError. Without Worker support (tests, old browsers) the task
+// runs inline on the next tick.
+
+import TASKS from "./optimizationTasks";
+
+export class TaskCancelledError extends Error {
+  constructor(task) {
+    super(`Optimization task "${task}" was cancelled`);
+    this.name = "TaskCancelledError";
+  }
+}
+
+const runInline = (task, args, onProgress) => {
+  let settled = false;
+  let rejectTask;
+  const promise = new Promise((resolve, reject) => {
+    rejectTask = reject;
+    setTimeout(() => {
+      if (settled) return;
+      try {
+        const result = TASKS[task](args, onProgress);
+        settled = true;
+        resolve(result);
+      } catch (err) {
+        settled = true;
+        reject(err);
+      }
+    }, 0);
+  });
+  const cancel = () => {
+    if (settled) return;
+    settled = true;
+    rejectTask(new TaskCancelledError(task));
+  };
+  return { promise, cancel };
+};
+
+export function runTask(task, args, { onProgress = () => {} } = {}) {
+  if (typeof Worker === "undefined") return runInline(task, args, onProgress);
+
+  let worker = null;
+  let settled = false;
+  let rejectTask;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectTask = reject;
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      if (worker) worker.terminate();
+      fn(value);
+    };
+
+    import("./createOptimizationWorker")
+      .then(({ default: createOptimizationWorker }) => {
+        if (settled) return; // cancelled before the worker started
+        worker = createOptimizationWorker();
+        worker.onmessage = ({ data }) => {
+          if (data.type === "progress") onProgress(data.progress);
+          else if (data.type === "result") finish(resolve, data.result);
+          else finish(reject, new Error(data.message));
+        };
+        worker.onerror = (e) => finish(reject, new Error(e.message || "Optimization worker failed"));
+        worker.postMessage({ task, args });
+      })
+      .catch(err => finish(reject, err));
+  });
+
+  const cancel = () => {
+    if (settled) return;
+    settled = true;
+    if (worker) worker.terminate();
+    rejectTask(new TaskCancelledError(task));
+  };
+
+  return { promise, cancel };
+}
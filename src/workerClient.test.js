@@ -0,0 +1,41 @@
+import { runTask, TaskCancelledError } from './workerClient';
+import Engine from './DecisionOptimizationEngine';
+
+// jsdom has no Worker, so these run the inline fallback the app uses without one
+const STRATEGIES = [
+  { id: 's1', vendor: 'Urban Foods', supplier: 'SwiftDeliver Inc', deliveryTime: 48, maxDelivery: 60, cost: 420, maxCost: 600, reliabilityPct: 92 },
+  { id: 's2', vendor: 'Metro Market', supplier: 'SwiftDeliver Inc', deliveryTime: 50, maxDelivery: 60, cost: 400, maxCost: 600, reliabilityPct: 90 },
+];
+const WEIGHTS = { Wd: 0.3, Wf: 0.3, Wc: 0.2, Wr: 0.2 };
+const SCENARIO = { k: 0.04 };
+
+test('runTask resolves with the engine result and reports progress', async () => {
+  const progress = [];
+  const args = { strategies: STRATEGIES, weights: WEIGHTS, scenarioParams: SCENARIO, iterations: 100, options: { seed: 4 } };
+  const { promise } = runTask('monteCarlo', args, { onProgress: (p) => progress.push(p) });
+  const result = await promise;
+  const direct = Engine.monteCarloSimulation(STRATEGIES, WEIGHTS, SCENARIO, 100, { seed: 4 });
+  expect(result.topCounts).toEqual(direct.topCounts);
+  expect(result.meanF).toBe(direct.meanF);
+  expect(progress[progress.length - 1]).toEqual({ done: 100, total: 100 });
+});
+
+test('cancel rejects with TaskCancelledError before the task runs', async () => {
+  const onProgress = jest.fn();
+  const args = { strategies: STRATEGIES, weights: WEIGHTS, scenarioParams: SCENARIO, iterations: 100, options: {} };
+  const { promise, cancel } = runTask('monteCarlo', args, { onProgress });
+  cancel();
+  await expect(promise).rejects.toBeInstanceOf(TaskCancelledError);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  expect(onProgress).not.toHaveBeenCalled();
+});
+
+test('engine errors reject the task with their message', async () => {
+  const problem = {
+    depot: { id: 'depot', coords: { x: 0, y: 0 } },
+    vendors: [{ id: 'v1', name: 'Fresh Mart', coords: { x: 1, y: 1 }, demand: 200 }],
+    fleet: { vehicles: 1, capacity: 100 },
+  };
+  const { promise } = runTask('routing', { problem, options: { seed: 1 } });
+  await expect(promise).rejects.toThrow('Demand exceeds the vehicle capacity of 100 for: Fresh Mart (200)');
+});